@@ -0,0 +1,208 @@
+const database = require('./database');
+const { effectivePriceJoin } = require('./pricing');
+
+// Confidence assigned to each way a scanned code can resolve to an item
+const MATCH_CONFIDENCE = {
+  combined: 1.0,       // `${item_code}-${id}` as printed by generateCodeValue
+  serial: 1.0,         // serial number of a single unit
+  item_code: 0.95,     // exact item code
+  item_code_ci: 0.9,   // item code, ignoring case
+  alias: 0.85,         // product-level alias (UPC/EAN/supplier code)
+  combined_id: 0.7,    // combined label whose id still exists but whose item code changed
+  item_id: 0.6,        // bare numeric id
+  partial: 0.3         // item code prefix/substring, suggestion only
+};
+
+// Scans at or above this confidence are treated as a positive identification
+const MIN_FOUND_CONFIDENCE = 0.5;
+
+// Largest value an inventory_items.id (SERIAL) can hold; longer numbers are barcodes, not ids
+const MAX_ITEM_ID = 2147483647;
+
+// Initialize product alias table used by the scan resolver
+const initializeProductAliasesTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS product_aliases (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(product_id) ON DELETE CASCADE,
+        alias VARCHAR(100) NOT NULL,
+        alias_type VARCHAR(20) DEFAULT 'barcode',
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_product_aliases_alias ON product_aliases (LOWER(alias))`;
+    console.log('✅ Product aliases table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating product aliases table:', err);
+    throw err;
+  }
+};
+
+// Fetch full inventory rows (with today's price) for a set of ids
+const fetchItemsByIds = async (sql, ids) => {
+  if (!ids.length) return [];
+  return sql(`
+    SELECT
+      i.id,
+      i.item_code,
+      i.product_id,
+      p.product_name,
+      p.product_description,
+      p.product_category,
+      p.product_image,
+      pp.price,
+      i.unit_of_measure,
+      i.category_id,
+      i.status,
+      i.warehouse_id,
+      i.total_quantity,
+      i.created_at,
+      i.updated_at,
+      c.category_name,
+      w.warehouse_name
+    FROM inventory_items i
+    LEFT JOIN categories c ON i.category_id = c.category_id
+    LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
+    LEFT JOIN products p ON p.product_id = i.product_id
+    ${effectivePriceJoin('pp', 'i.product_id')}
+    WHERE i.id = ANY($1)
+  `, [ids]);
+};
+
+// Resolve a scanned code (item label, product alias or unit serial) to ranked inventory matches.
+// Each match is an inventory row plus match_type, confidence and matched_value.
+const resolveScannedCode = async (rawCode, options = {}) => {
+  try {
+    const code = String(rawCode || '').trim();
+    if (!code) return [];
+    const limit = Math.max(1, Math.min(50, parseInt(options.limit) || 10));
+
+    const sql = await database.sql();
+    if (!sql) return [];
+
+    const candidates = new Map();
+    const consider = (id, matchType, matchedValue) => {
+      const confidence = MATCH_CONFIDENCE[matchType];
+      const existing = candidates.get(id);
+      if (!existing || existing.confidence < confidence) {
+        candidates.set(id, { match_type: matchType, confidence, matched_value: matchedValue });
+      }
+    };
+
+    // Combined format: item codes may contain dashes, so split on the last one
+    const combined = code.match(/^(.+)-(\d+)$/);
+    if (combined && Number(combined[2]) <= MAX_ITEM_ID) {
+      const [, codePart, idPart] = combined;
+      const rows = await sql`SELECT id, item_code FROM inventory_items WHERE id = ${parseInt(idPart)}`;
+      if (rows.length) {
+        consider(rows[0].id, rows[0].item_code === codePart ? 'combined' : 'combined_id', code);
+      }
+    }
+
+    const byCode = await sql`
+      SELECT id, item_code FROM inventory_items
+      WHERE LOWER(item_code) = LOWER(${code})
+    `;
+    byCode.forEach(r => consider(r.id, r.item_code === code ? 'item_code' : 'item_code_ci', r.item_code));
+
+    const byAlias = await sql`
+      SELECT i.id, pa.alias
+      FROM product_aliases pa
+      JOIN inventory_items i ON i.product_id = pa.product_id
+      WHERE LOWER(pa.alias) = LOWER(${code})
+    `;
+    byAlias.forEach(r => consider(r.id, 'alias', r.alias));
+
+    const bySerial = await sql`
+      SELECT item_id, serial_number FROM serial_numbers
+      WHERE LOWER(serial_number) = LOWER(${code})
+    `;
+    bySerial.forEach(r => consider(r.item_id, 'serial', r.serial_number));
+
+    if (/^\d+$/.test(code) && Number(code) <= MAX_ITEM_ID) {
+      const byId = await sql`SELECT id FROM inventory_items WHERE id = ${parseInt(code)}`;
+      byId.forEach(r => consider(r.id, 'item_id', code));
+    }
+
+    // Loose matches are only offered when nothing identifies the item outright
+    if (!candidates.size && code.length >= 3) {
+      const term = `%${code}%`;
+      const partial = await sql`
+        SELECT id, item_code FROM inventory_items
+        WHERE item_code ILIKE ${term} OR ${code} ILIKE '%' || item_code || '%'
+        ORDER BY LENGTH(item_code) DESC
+        LIMIT ${limit}
+      `;
+      partial.forEach(r => consider(r.id, 'partial', r.item_code));
+    }
+
+    const items = await fetchItemsByIds(sql, Array.from(candidates.keys()));
+    return items
+      .map(item => ({ ...item, ...candidates.get(item.id) }))
+      .sort((a, b) => (b.confidence - a.confidence) || ((b.total_quantity || 0) - (a.total_quantity || 0)))
+      .slice(0, limit);
+  } catch (err) {
+    console.error('Error resolving scanned code:', err);
+    throw err;
+  }
+};
+
+// Get aliases for a product
+const getProductAliases = async (productId) => {
+  try {
+    const sql = await database.sql();
+    return await sql`
+      SELECT id, product_id, alias, alias_type, created_by, created_at
+      FROM product_aliases
+      WHERE product_id = ${productId}
+      ORDER BY created_at DESC
+    `;
+  } catch (err) {
+    console.error('Error fetching product aliases:', err);
+    throw err;
+  }
+};
+
+// Add an alias (barcode, UPC, supplier code...) for a product
+const addProductAlias = async (productId, alias, aliasType = 'barcode', createdBy = null) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      INSERT INTO product_aliases (product_id, alias, alias_type, created_by)
+      VALUES (${productId}, ${String(alias).trim()}, ${aliasType}, ${createdBy})
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error adding product alias:', err);
+    throw err;
+  }
+};
+
+// Delete a product alias
+const deleteProductAlias = async (productId, aliasId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      DELETE FROM product_aliases
+      WHERE id = ${aliasId} AND product_id = ${productId}
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error deleting product alias:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  MIN_FOUND_CONFIDENCE,
+  initializeProductAliasesTable,
+  resolveScannedCode,
+  getProductAliases,
+  addProductAlias,
+  deleteProductAlias
+};
@@ -0,0 +1,443 @@
+const database = require('./database');
+const { buildStockChangeQuery } = require('./stockMovements');
+const { httpError } = require('./errors');
+const { effectivePriceJoin } = require('./pricing');
+
+// Count session lifecycle: open (counting) -> approved (adjustments posted), or cancelled
+const CYCLE_COUNT_STATUSES = ['open', 'approved', 'cancelled'];
+
+// A line's variance is large, and needs a manager to approve, when it reaches
+// either threshold: this many units, or this percentage of the expected quantity
+const LARGE_VARIANCE_QTY = parseInt(process.env.CYCLE_COUNT_LARGE_VARIANCE_QTY) || 10;
+const LARGE_VARIANCE_PCT = parseFloat(process.env.CYCLE_COUNT_LARGE_VARIANCE_PCT) || 20;
+
+// Initialize cycle count tables
+const initializeCycleCountTables = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`CREATE SEQUENCE IF NOT EXISTS cycle_count_number_seq`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS cycle_counts (
+        id SERIAL PRIMARY KEY,
+        count_number VARCHAR(30) UNIQUE NOT NULL,
+        warehouse_id VARCHAR(50) REFERENCES warehouses(warehouse_id),
+        category_id VARCHAR(50),
+        status VARCHAR(20) DEFAULT 'open',
+        notes TEXT,
+        created_by INTEGER,
+        approved_by INTEGER,
+        approved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    // expected_quantity is the location's stock when the session started (or
+    // when the location was first scanned); counted_quantity stays null until counted
+    await sql`
+      CREATE TABLE IF NOT EXISTS cycle_count_lines (
+        id SERIAL PRIMARY KEY,
+        count_id INTEGER NOT NULL REFERENCES cycle_counts(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        warehouse_id VARCHAR(50) NOT NULL,
+        bin_code VARCHAR(50) NOT NULL DEFAULT '',
+        expected_quantity INTEGER NOT NULL,
+        counted_quantity INTEGER CHECK (counted_quantity >= 0),
+        scan_count INTEGER NOT NULL DEFAULT 0,
+        counted_by VARCHAR(50),
+        counted_at TIMESTAMP,
+        CONSTRAINT uq_cycle_count_lines UNIQUE (count_id, item_id, warehouse_id, bin_code)
+      )
+    `;
+    // One row per state change; a session can only be approved or cancelled once
+    await sql`
+      CREATE TABLE IF NOT EXISTS cycle_count_events (
+        id SERIAL PRIMARY KEY,
+        count_id INTEGER NOT NULL REFERENCES cycle_counts(id) ON DELETE CASCADE,
+        event VARCHAR(20) NOT NULL,
+        from_status VARCHAR(20),
+        user_id INTEGER,
+        username VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_cycle_count_events UNIQUE (count_id, from_status)
+      )
+    `;
+    console.log('✅ Cycle count tables created/verified');
+  } catch (err) {
+    console.error('❌ Error creating cycle count tables:', err);
+    throw err;
+  }
+};
+
+// Reserve the next count number, e.g. CC-000042
+const nextCountNumber = async (sql) => {
+  const rows = await sql`SELECT nextval('cycle_count_number_seq') AS n`;
+  return `CC-${String(rows[0].n).padStart(6, '0')}`;
+};
+
+const isLargeVariance = (expected, variance) => {
+  if (!variance) return false;
+  if (Math.abs(variance) >= LARGE_VARIANCE_QTY) return true;
+  if (!expected) return true;
+  return Math.abs(variance) / expected * 100 >= LARGE_VARIANCE_PCT;
+};
+
+// Add variance figures to a count line; uncounted lines have no variance yet
+const withVariance = (line) => {
+  const counted = line.counted_quantity;
+  const variance = counted === null || counted === undefined ? null : counted - line.expected_quantity;
+  const price = line.price === null || line.price === undefined ? null : Number(line.price);
+  return {
+    ...line,
+    variance,
+    variance_pct: variance === null || !line.expected_quantity ? null : Math.round(variance / line.expected_quantity * 1000) / 10,
+    variance_value: variance === null || price === null ? null : Math.round(variance * price * 100) / 100,
+    large_variance: variance !== null && isLargeVariance(line.expected_quantity, variance)
+  };
+};
+
+const getAllCycleCounts = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      SELECT
+        c.*,
+        w.warehouse_name,
+        cat.category_name,
+        COUNT(l.id)::int AS line_count,
+        COUNT(l.counted_quantity)::int AS counted_lines
+      FROM cycle_counts c
+      LEFT JOIN warehouses w ON w.warehouse_id = c.warehouse_id
+      LEFT JOIN categories cat ON cat.category_id = c.category_id
+      LEFT JOIN cycle_count_lines l ON l.count_id = c.id
+    `;
+    const conds = [];
+    const params = [];
+    if (filters.status) {
+      conds.push(`c.status = $${params.length + 1}`);
+      params.push(filters.status);
+    }
+    if (filters.warehouse) {
+      conds.push(`c.warehouse_id = $${params.length + 1}`);
+      params.push(filters.warehouse);
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` GROUP BY c.id, w.warehouse_name, cat.category_name ORDER BY c.created_at DESC`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching cycle counts:', err);
+    throw err;
+  }
+};
+
+// Get a count session with its lines (including variances) and state history
+const getCycleCountById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const counts = await sql`
+      SELECT c.*, w.warehouse_name, cat.category_name
+      FROM cycle_counts c
+      LEFT JOIN warehouses w ON w.warehouse_id = c.warehouse_id
+      LEFT JOIN categories cat ON cat.category_id = c.category_id
+      WHERE c.id = ${id}
+    `;
+    if (!counts.length) return null;
+    const [lines, events] = await Promise.all([
+      sql(`
+        SELECT l.*, NULLIF(l.bin_code, '') AS bin_code, i.item_code, p.product_name, pp.price
+        FROM cycle_count_lines l
+        LEFT JOIN inventory_items i ON i.id = l.item_id
+        LEFT JOIN products p ON p.product_id = i.product_id
+        ${effectivePriceJoin('pp', 'i.product_id')}
+        WHERE l.count_id = $1
+        ORDER BY l.warehouse_id, l.bin_code, i.item_code
+      `, [id]),
+      sql`SELECT * FROM cycle_count_events WHERE count_id = ${id} ORDER BY created_at, id`
+    ]);
+    return { ...counts[0], lines: lines.map(withVariance), events };
+  } catch (err) {
+    console.error('Error fetching cycle count:', err);
+    throw err;
+  }
+};
+
+// Start a session, snapshotting the expected stock of every location in scope.
+// Scope is a warehouse, a category, both, or neither (full physical inventory).
+const createCycleCount = async (countData, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const warehouseId = countData.warehouse_id || null;
+    const categoryId = countData.category_id || null;
+    const countNumber = await nextCountNumber(sql);
+    const user = context.user || null;
+
+    try {
+      await sql.transaction([
+        sql`
+          INSERT INTO cycle_counts (count_number, warehouse_id, category_id, notes, created_by)
+          VALUES (${countNumber}, ${warehouseId}, ${categoryId}, ${countData.notes || null}, ${user ? user.id : null})
+        `,
+        sql`
+          INSERT INTO cycle_count_lines (count_id, item_id, warehouse_id, bin_code, expected_quantity)
+          SELECT c.id, l.item_id, l.warehouse_id, l.bin_code, l.quantity
+          FROM cycle_counts c
+          JOIN inventory_locations l ON (c.warehouse_id IS NULL OR l.warehouse_id = c.warehouse_id)
+          JOIN inventory_items i ON i.id = l.item_id
+          WHERE c.count_number = ${countNumber}
+            AND (c.category_id IS NULL OR i.category_id = c.category_id)
+        `,
+        sql`
+          INSERT INTO cycle_count_events (count_id, event, user_id, username)
+          SELECT id, 'created', ${user ? user.id : null}, ${user ? user.username : null}
+          FROM cycle_counts WHERE count_number = ${countNumber}
+        `
+      ]);
+    } catch (err) {
+      if (err && err.code === '23503') {
+        throw httpError(400, 'Unknown warehouse', { fields: { warehouse_id: 'Unknown warehouse' } });
+      }
+      throw err;
+    }
+
+    const created = await sql`SELECT id FROM cycle_counts WHERE count_number = ${countNumber}`;
+    return getCycleCountById(created[0].id);
+  } catch (err) {
+    console.error('Error creating cycle count:', err);
+    throw err;
+  }
+};
+
+// Record a counted quantity for an item at a location. mode 'add' adds to what
+// was counted so far (one scan = one unit), 'set' replaces it. The location
+// defaults to the session's warehouse, then the item's only line in the session,
+// then the item's home warehouse.
+const recordCycleCount = async (id, countData, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const quantity = Number(countData.quantity === undefined ? 1 : countData.quantity);
+    const mode = countData.mode || 'set';
+    if (!['set', 'add'].includes(mode)) {
+      throw httpError(400, "mode must be 'set' or 'add'");
+    }
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw httpError(400, 'quantity must be a whole number of zero or more');
+    }
+
+    const counts = await sql`SELECT * FROM cycle_counts WHERE id = ${id}`;
+    if (!counts.length) return null;
+    const count = counts[0];
+    if (count.status !== 'open') {
+      throw httpError(409, `Count ${count.count_number} is ${count.status}`);
+    }
+
+    const items = countData.item_id
+      ? await sql`SELECT id, item_code, category_id, warehouse_id FROM inventory_items WHERE id = ${countData.item_id}`
+      : await sql`SELECT id, item_code, category_id, warehouse_id FROM inventory_items WHERE item_code = ${countData.item_code || ''}`;
+    if (!items.length) throw httpError(404, 'Item not found');
+    const item = items[0];
+    if (count.category_id && item.category_id !== count.category_id) {
+      throw httpError(400, `${item.item_code} is outside this count's category (${count.category_id})`);
+    }
+    if (count.warehouse_id && countData.warehouse_id && countData.warehouse_id !== count.warehouse_id) {
+      throw httpError(400, `Count ${count.count_number} only covers ${count.warehouse_id}`);
+    }
+
+    let warehouseId = countData.warehouse_id || count.warehouse_id;
+    let binCode = countData.bin_code;
+    if (!warehouseId || binCode === undefined) {
+      const lines = await sql`
+        SELECT warehouse_id, bin_code FROM cycle_count_lines
+        WHERE count_id = ${id} AND item_id = ${item.id}
+          AND (${warehouseId}::text IS NULL OR warehouse_id = ${warehouseId})
+      `;
+      if (lines.length === 1) {
+        warehouseId = lines[0].warehouse_id;
+        if (binCode === undefined) binCode = lines[0].bin_code;
+      } else if (!warehouseId && lines.length > 1) {
+        throw httpError(400, `${item.item_code} is stocked in several locations; warehouse_id is required`);
+      }
+    }
+    warehouseId = warehouseId || item.warehouse_id;
+    if (!warehouseId) {
+      throw httpError(400, 'warehouse_id is required');
+    }
+    binCode = binCode || '';
+
+    const user = context.user || null;
+    // A location counted that was not in the snapshot expects what it holds now
+    const result = await sql`
+      INSERT INTO cycle_count_lines (count_id, item_id, warehouse_id, bin_code, expected_quantity, counted_quantity, scan_count, counted_by, counted_at)
+      SELECT c.id, ${item.id}, ${warehouseId}, ${binCode},
+        COALESCE((SELECT quantity FROM inventory_locations WHERE item_id = ${item.id} AND warehouse_id = ${warehouseId} AND bin_code = ${binCode}), 0),
+        ${quantity}, 1, ${user ? user.username : null}, CURRENT_TIMESTAMP
+      FROM cycle_counts c
+      WHERE c.id = ${id} AND c.status = 'open'
+      ON CONFLICT (count_id, item_id, warehouse_id, bin_code) DO UPDATE SET
+        counted_quantity = CASE WHEN ${mode} = 'add'
+          THEN COALESCE(cycle_count_lines.counted_quantity, 0) + EXCLUDED.counted_quantity
+          ELSE EXCLUDED.counted_quantity END,
+        scan_count = cycle_count_lines.scan_count + 1,
+        counted_by = EXCLUDED.counted_by,
+        counted_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    if (!result.length) {
+      throw httpError(409, `Count ${count.count_number} is no longer open`);
+    }
+    await sql`UPDATE cycle_counts SET updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
+    return withVariance({ ...result[0], bin_code: result[0].bin_code || null, item_code: item.item_code });
+  } catch (err) {
+    console.error('Error recording cycle count:', err);
+    throw err;
+  }
+};
+
+// Variance report: totals plus the lines, optionally only those that differ
+const getCycleCountVariance = async (id, options = {}) => {
+  try {
+    const count = await getCycleCountById(id);
+    if (!count) return null;
+    const lines = count.lines;
+    const counted = lines.filter(l => l.variance !== null);
+    const differing = counted.filter(l => l.variance !== 0);
+    const summary = {
+      line_count: lines.length,
+      counted_lines: counted.length,
+      uncounted_lines: lines.length - counted.length,
+      variance_lines: differing.length,
+      large_variance_lines: differing.filter(l => l.large_variance).length,
+      expected_quantity: counted.reduce((sum, l) => sum + l.expected_quantity, 0),
+      counted_quantity: counted.reduce((sum, l) => sum + l.counted_quantity, 0),
+      net_variance: differing.reduce((sum, l) => sum + l.variance, 0),
+      net_variance_value: Math.round(differing.reduce((sum, l) => sum + (l.variance_value || 0), 0) * 100) / 100,
+      large_variance_threshold: { quantity: LARGE_VARIANCE_QTY, percent: LARGE_VARIANCE_PCT }
+    };
+    return {
+      id: count.id,
+      count_number: count.count_number,
+      status: count.status,
+      warehouse_id: count.warehouse_id,
+      category_id: count.category_id,
+      summary,
+      lines: options.onlyVariances ? differing : lines
+    };
+  } catch (err) {
+    console.error('Error building cycle count variance:', err);
+    throw err;
+  }
+};
+
+const eventQuery = (sql, count, event, user) => sql`
+  INSERT INTO cycle_count_events (count_id, event, from_status, user_id, username)
+  VALUES (${count.id}, ${event}, ${count.status}, ${user ? user.id : null}, ${user ? user.username : null})
+`;
+
+// Approve a session, posting every variance as a stock adjustment in one
+// transaction. Adjustments apply the difference to the snapshot, so stock that
+// moved while counting is kept. Uncounted lines are skipped, or counted as zero
+// with options.uncounted = 'zero'. options.canApproveLarge must be set when any
+// variance is large.
+const approveCycleCount = async (id, options = {}, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const count = await getCycleCountById(id);
+    if (!count) return null;
+    if (count.status !== 'open') {
+      throw httpError(409, `Cannot approve a count that is ${count.status}`);
+    }
+    const lines = count.lines
+      .map(line => (line.counted_quantity === null && options.uncounted === 'zero'
+        ? withVariance({ ...line, counted_quantity: 0 })
+        : line))
+      .filter(line => line.variance);
+    const large = lines.filter(line => line.large_variance);
+    if (large.length && !options.canApproveLarge) {
+      throw httpError(403, 'Large variances need a manager to approve', large.map(line => ({
+        item_code: line.item_code,
+        warehouse_id: line.warehouse_id,
+        bin_code: line.bin_code,
+        expected_quantity: line.expected_quantity,
+        counted_quantity: line.counted_quantity,
+        variance: line.variance
+      })));
+    }
+
+    const user = context.user || null;
+    const queries = [
+      eventQuery(sql, count, 'approved', user),
+      ...lines.map(line => buildStockChangeQuery(sql, {
+        itemId: line.item_id,
+        warehouseId: line.warehouse_id,
+        binCode: line.bin_code,
+        operation: line.variance > 0 ? 'add' : 'subtract',
+        quantity: Math.abs(line.variance),
+        movementType: 'cycle_count',
+        user,
+        referenceType: 'cycle_count',
+        referenceId: count.count_number,
+        notes: `Counted ${line.counted_quantity}, expected ${line.expected_quantity}`
+      })),
+      sql`
+        UPDATE cycle_count_lines SET counted_quantity = 0
+        WHERE count_id = ${id} AND counted_quantity IS NULL AND ${options.uncounted === 'zero'}
+      `,
+      sql`
+        UPDATE cycle_counts
+        SET status = 'approved', approved_by = ${user ? user.id : null}, approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+      `
+    ];
+    try {
+      await sql.transaction(queries);
+    } catch (err) {
+      if (err && err.constraint === 'uq_cycle_count_events') {
+        throw httpError(409, `Count ${count.count_number} was changed by someone else; reload and try again`);
+      }
+      throw err;
+    }
+    return getCycleCountById(id);
+  } catch (err) {
+    console.error('Error approving cycle count:', err);
+    throw err;
+  }
+};
+
+const cancelCycleCount = async (id, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const counts = await sql`SELECT * FROM cycle_counts WHERE id = ${id}`;
+    if (!counts.length) return null;
+    const count = counts[0];
+    if (count.status !== 'open') {
+      throw httpError(409, `Cannot cancel a count that is ${count.status}`);
+    }
+    try {
+      await sql.transaction([
+        eventQuery(sql, count, 'cancelled', context.user || null),
+        sql`UPDATE cycle_counts SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`
+      ]);
+    } catch (err) {
+      if (err && err.constraint === 'uq_cycle_count_events') {
+        throw httpError(409, `Count ${count.count_number} was changed by someone else; reload and try again`);
+      }
+      throw err;
+    }
+    return getCycleCountById(id);
+  } catch (err) {
+    console.error('Error cancelling cycle count:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  CYCLE_COUNT_STATUSES,
+  initializeCycleCountTables,
+  getAllCycleCounts,
+  getCycleCountById,
+  createCycleCount,
+  recordCycleCount,
+  getCycleCountVariance,
+  approveCycleCount,
+  cancelCycleCount
+};
@@ -1,4 +1,6 @@
 const { neon } = require('@neondatabase/serverless');
+const { normalizeRole } = require('./permissions');
+const { httpError } = require('./errors');
 require('dotenv').config();
 
 // Material shipments removed
@@ -74,6 +76,13 @@ const testConnection = async () => {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true`;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false`;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP`;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0`;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP`;
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP`;
     
     // Create notifications table if it doesn't exist
     await sql`
@@ -86,6 +95,42 @@ const testConnection = async () => {
         is_read BOOLEAN DEFAULT false
       )
     `;
+    // Who a notification is for: target_user_id, else users with target_role,
+    // else everyone. It is delivered to each of them who has its category
+    // switched on, and each recipient keeps their own read state.
+    await sql`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS category VARCHAR(30)`;
+    await sql`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS target_role VARCHAR(20)`;
+    await sql`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS target_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE`;
+    await sql`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS created_by INTEGER`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS notification_recipients (
+        notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        read_at TIMESTAMP,
+        archived_at TIMESTAMP,
+        PRIMARY KEY (notification_id, user_id)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_notification_recipients_user ON notification_recipients (user_id, archived_at, read_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_notifications_created ON notifications (created_at)`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        category VARCHAR(30) NOT NULL,
+        enabled BOOLEAN NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, category)
+      )
+    `;
+    // Notifications from before per-user delivery went to everyone, with the shared read flag
+    await sql`
+      INSERT INTO notification_recipients (notification_id, user_id, read_at)
+      SELECT n.id, u.id, CASE WHEN n.is_read THEN CURRENT_TIMESTAMP END
+      FROM notifications n CROSS JOIN users u
+      WHERE n.category IS NULL
+      ON CONFLICT DO NOTHING
+    `;
+    await sql`UPDATE notifications SET category = 'messages' WHERE category IS NULL`;
     
     // Create scan history table if it doesn't exist
     await sql`
@@ -117,32 +162,75 @@ const initializeDatabase = async () => {
     // Check if admin user exists, if not create it
     const adminCheck = await sql`SELECT * FROM users WHERE username = 'admin'`;
     
+    const bcrypt = require('bcryptjs');
     if (adminCheck.length === 0) {
-      const bcrypt = require('bcryptjs');
       const hashedPassword = await bcrypt.hash('admin', 10);
       
+      // The default password must be replaced on first login
       await sql`
-        INSERT INTO users (username, password, role) 
-        VALUES ('admin', ${hashedPassword}, 'admin')
+        INSERT INTO users (username, password, role, must_change_password) 
+        VALUES ('admin', ${hashedPassword}, 'admin', true)
       `;
       
       console.log('✅ Default admin user created (username: admin, password: admin)');
     } else {
       console.log('✅ Admin user already exists');
+      // Existing installs still on the default password are forced to rotate it too
+      if (await bcrypt.compare('admin', adminCheck[0].password)) {
+        await sql`UPDATE users SET must_change_password = true WHERE id = ${adminCheck[0].id}`;
+        console.log('⚠️ Admin user still has the default password; a change will be required at next login');
+      }
     }
     
+    const { initializeSessionTable } = require('./sessionStore');
+    await initializeSessionTable();
+    
     // Initialize inventory tables
-    const { initializeInventoryTable, initializeOrderShipmentsTable, getAllOrderShipments } = require('./inventory');
+    const {
+      initializeInventoryTable,
+      initializeOrderShipmentsTable,
+      initializeRecordVersions,
+      getAllOrderShipments
+    } = require('./inventory');
+    const { initializeInventoryLocationsTable, initializeStockMovementsTable } = require('./stockMovements');
+    const { initializeStockLotsTable } = require('./lots');
+    const { initializeProductAliasesTable } = require('./barcodeLookup');
+    const { initializePurchasingTables } = require('./purchasing');
+    const { initializeStockTransfersTables } = require('./transfers');
+    const { initializeReservationsTable, reserveUnreservedOrders } = require('./reservations');
+    const { initializeReturnsTables } = require('./returns');
+    const { initializeCycleCountTables } = require('./cycleCounts');
+    const { initializeSerialNumbersTables } = require('./serials');
+    const { initializeReorderColumns } = require('./reorder');
+    const { initializeStandardCostsTable } = require('./valuation');
     await initializeInventoryTable();
+    await initializeInventoryLocationsTable();
+    await initializeStockMovementsTable();
+    await initializeStockLotsTable();
+    await initializeProductAliasesTable();
+    await initializePurchasingTables();
+    await initializeStockTransfersTables();
     await initializeOrderShipmentsTable();
+    await initializeReservationsTable();
+    await initializeReorderColumns();
+    await initializeStandardCostsTable();
+    await initializeReturnsTables();
+    await initializeCycleCountTables();
+    await initializeSerialNumbersTables();
+    await initializeRecordVersions();
     // Trigger initial sync from production_planning (processed) into order_shipments
     try { await getAllOrderShipments({}); } catch (e) { console.warn('Initial sync from production_planning skipped:', e?.message); }
+    // Open orders from before reservations existed reserve their stock, oldest first
+    try { await reserveUnreservedOrders(); } catch (e) { console.warn('Reserving open orders skipped:', e?.message); }
     
   } catch (err) {
     console.error('❌ Database initialization error:', err);
   }
 };
 
+// The admin/admin fallback used when the database is down must be opted into
+const isMockLoginEnabled = () => process.env.ALLOW_MOCK_LOGIN === 'true';
+
 // User authentication functions
 const authenticateUser = async (username, password) => {
   try {
@@ -153,6 +241,9 @@ const authenticateUser = async (username, password) => {
     }
     
     const user = result[0];
+    if (user.is_active === false) {
+      return null;
+    }
     const bcrypt = require('bcryptjs');
     const isValidPassword = await bcrypt.compare(password, user.password);
     
@@ -160,15 +251,17 @@ const authenticateUser = async (username, password) => {
       return {
         id: user.id,
         username: user.username,
-        role: user.role
+        role: normalizeRole(user.role),
+        mustChangePassword: !!user.must_change_password
       };
     }
     
     return null;
   } catch (err) {
     console.error('Authentication error:', err);
-    // Mock authentication for testing when database is not available
-    if (username === 'admin' && password === 'admin') {
+    // Mock authentication for testing when database is not available; off unless explicitly enabled
+    if (isMockLoginEnabled() && username === 'admin' && password === 'admin') {
+      console.warn('⚠️ Database unavailable, signing in with mock admin (ALLOW_MOCK_LOGIN=true)');
       return {
         id: 1,
         username: 'admin',
@@ -179,17 +272,183 @@ const authenticateUser = async (username, password) => {
   }
 };
 
+// User management functions
+const getAllUsers = async () => {
+  try {
+    const result = await sql`
+      SELECT id, username, role, is_active, must_change_password, password_changed_at,
+             locked_until, last_login_at, created_at, updated_at
+      FROM users
+      ORDER BY username
+    `;
+    return result.map(user => ({ ...user, role: normalizeRole(user.role) }));
+  } catch (err) {
+    console.error('Get users error:', err);
+    throw err;
+  }
+};
+
+const getUserById = async (id) => {
+  try {
+    const result = await sql`
+      SELECT id, username, role, is_active, must_change_password, password_changed_at,
+             locked_until, last_login_at, created_at, updated_at
+      FROM users
+      WHERE id = ${id}
+    `;
+    return result[0] ? { ...result[0], role: normalizeRole(result[0].role) } : null;
+  } catch (err) {
+    console.error('Get user error:', err);
+    throw err;
+  }
+};
+
+// New accounts get a temporary password and must choose their own at first login
+const createUser = async (username, password, role) => {
+  try {
+    const bcrypt = require('bcryptjs');
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const result = await sql`
+      INSERT INTO users (username, password, role, must_change_password)
+      VALUES (${username}, ${hashedPassword}, ${normalizeRole(role)}, true)
+      RETURNING id, username, role, is_active, must_change_password, created_at
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Create user error:', err);
+    throw err;
+  }
+};
+
+const updateUserRole = async (id, role) => {
+  try {
+    const result = await sql`
+      UPDATE users SET role = ${normalizeRole(role)}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING id, username, role, is_active, must_change_password, created_at, updated_at
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Update user role error:', err);
+    throw err;
+  }
+};
+
+// Update username, role and/or active flag; omitted fields are left unchanged
+const updateUser = async (id, userData) => {
+  try {
+    const { username, role, is_active } = userData;
+    const result = await sql`
+      UPDATE users SET
+        username = COALESCE(${username ?? null}, username),
+        role = COALESCE(${role ? normalizeRole(role) : null}, role),
+        is_active = COALESCE(${typeof is_active === 'boolean' ? is_active : null}, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING id, username, role, is_active, must_change_password, created_at, updated_at
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Update user error:', err);
+    throw err;
+  }
+};
+
+const deleteUser = async (id) => {
+  try {
+    const result = await sql`
+      DELETE FROM users WHERE id = ${id}
+      RETURNING id, username
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Delete user error:', err);
+    throw err;
+  }
+};
+
+const verifyUserPassword = async (id, password) => {
+  try {
+    const result = await sql`SELECT password FROM users WHERE id = ${id}`;
+    if (result.length === 0) {
+      return false;
+    }
+    const bcrypt = require('bcryptjs');
+    return await bcrypt.compare(password, result[0].password);
+  } catch (err) {
+    console.error('Verify password error:', err);
+    throw err;
+  }
+};
+
+// Set a new password; mustChange flags it as temporary (admin reset)
+const setUserPassword = async (id, password, mustChange = false) => {
+  try {
+    const bcrypt = require('bcryptjs');
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const result = await sql`
+      UPDATE users SET
+        password = ${hashedPassword},
+        must_change_password = ${mustChange},
+        password_changed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING id, username, must_change_password, password_changed_at
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Set password error:', err);
+    throw err;
+  }
+};
+
 // In-memory notifications storage for testing when database is not available
 let inMemoryNotifications = [];
 let nextNotificationId = 1;
 
-// Notification functions
-const createNotification = async (title, message, type = 'info') => {
+// Kinds of notification users can switch on or off, and whether they are on
+// for users who have not chosen
+const NOTIFICATION_CATEGORIES = {
+  stock_alerts: { label: 'Stock alerts (reorder points, expiring lots)', enabled: true },
+  inventory_changes: { label: 'Items added, updated or deleted by others', enabled: true },
+  scans: { label: 'Barcode scans', enabled: true },
+  messages: { label: 'Messages', enabled: true }
+};
+
+// Read notifications are archived after NOTIFICATION_ARCHIVE_DAYS, and all are
+// deleted after NOTIFICATION_RETENTION_DAYS
+const NOTIFICATION_ARCHIVE_DAYS = parseInt(process.env.NOTIFICATION_ARCHIVE_DAYS) || 30;
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+// Notification functions. options: category (default 'messages'), userId or
+// role to target, excludeUserId (e.g. whoever caused it) and createdBy.
+const createNotification = async (title, message, type = 'info', options = {}) => {
+  const category = options.category || 'messages';
   try {
+    const defaultEnabled = NOTIFICATION_CATEGORIES[category] ? NOTIFICATION_CATEGORIES[category].enabled : true;
+    const users = await sql`
+      SELECT u.id, u.role
+      FROM users u
+      LEFT JOIN notification_preferences np ON np.user_id = u.id AND np.category = ${category}
+      WHERE u.is_active IS DISTINCT FROM false
+        AND COALESCE(np.enabled, ${defaultEnabled})
+        AND (${options.userId || null}::int IS NULL OR u.id = ${options.userId || null})
+        AND (${options.excludeUserId || null}::int IS NULL OR u.id <> ${options.excludeUserId || null})
+    `;
+    const recipientIds = users
+      .filter(user => !options.role || normalizeRole(user.role) === options.role)
+      .map(user => user.id);
     const result = await sql`
-      INSERT INTO notifications (title, message, type, created_at, is_read) 
-      VALUES (${title}, ${message}, ${type}, CURRENT_TIMESTAMP, false)
-      RETURNING id, title, message, type, created_at, is_read
+      WITH n AS (
+        INSERT INTO notifications (title, message, type, category, target_role, target_user_id, created_by, created_at, is_read)
+        VALUES (${title}, ${message}, ${type}, ${category}, ${options.role || null}, ${options.userId || null},
+          ${options.createdBy || null}, CURRENT_TIMESTAMP, false)
+        RETURNING id, title, message, type, category, target_role, target_user_id, created_at
+      ), delivered AS (
+        INSERT INTO notification_recipients (notification_id, user_id)
+        SELECT n.id, r.user_id FROM n, unnest(${recipientIds}::int[]) AS r(user_id)
+      )
+      SELECT n.*, false AS is_read, ${recipientIds.length}::int AS recipient_count FROM n
     `;
     return result[0];
   } catch (err) {
@@ -212,14 +471,22 @@ const createNotification = async (title, message, type = 'info') => {
   }
 };
 
-const getNotifications = async (limit = 10) => {
+// A user's notifications, newest first: their inbox, or with options.archived
+// the ones they archived; options.unreadOnly leaves out the read ones
+const getNotifications = async (userId, options = {}) => {
+  const limit = options.limit || 10;
   try {
-    const result = await sql`
-      SELECT id, title, message, type, created_at, is_read 
-      FROM notifications 
-      ORDER BY created_at DESC 
-      LIMIT ${limit}
-    `;
+    const result = await sql(`
+      SELECT n.id, n.title, n.message, n.type, n.category, n.created_at,
+        (r.read_at IS NOT NULL) AS is_read, r.read_at, r.archived_at
+      FROM notification_recipients r
+      JOIN notifications n ON n.id = r.notification_id
+      WHERE r.user_id = $1
+        AND r.archived_at IS ${options.archived ? 'NOT NULL' : 'NULL'}
+        ${options.unreadOnly ? 'AND r.read_at IS NULL' : ''}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $2
+    `, [userId, limit]);
     return result;
   } catch (err) {
     console.error('Get notifications error:', err);
@@ -228,10 +495,15 @@ const getNotifications = async (limit = 10) => {
   }
 };
 
-const markNotificationAsRead = async (id) => {
+// Mark one of the user's notifications read; false when it was not delivered to them
+const markNotificationAsRead = async (id, userId) => {
   try {
-    await sql`UPDATE notifications SET is_read = true WHERE id = ${id}`;
-    return true;
+    const result = await sql`
+      UPDATE notification_recipients SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE notification_id = ${id} AND user_id = ${userId}
+      RETURNING notification_id
+    `;
+    return result.length > 0;
   } catch (err) {
     console.error('Mark notification as read error:', err);
     // Fallback to in-memory storage
@@ -244,9 +516,12 @@ const markNotificationAsRead = async (id) => {
   }
 };
 
-const markAllNotificationsAsRead = async () => {
+const markAllNotificationsAsRead = async (userId) => {
   try {
-    await sql`UPDATE notifications SET is_read = true WHERE is_read = false`;
+    await sql`
+      UPDATE notification_recipients SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId} AND read_at IS NULL
+    `;
     return true;
   } catch (err) {
     console.error('Mark all notifications as read error:', err);
@@ -258,9 +533,12 @@ const markAllNotificationsAsRead = async () => {
   }
 };
 
-const getUnreadNotificationCount = async () => {
+const getUnreadNotificationCount = async (userId) => {
   try {
-    const result = await sql`SELECT COUNT(*) as count FROM notifications WHERE is_read = false`;
+    const result = await sql`
+      SELECT COUNT(*) as count FROM notification_recipients
+      WHERE user_id = ${userId} AND read_at IS NULL AND archived_at IS NULL
+    `;
     return result[0].count;
   } catch (err) {
     console.error('Get unread notification count error:', err);
@@ -269,6 +547,90 @@ const getUnreadNotificationCount = async () => {
   }
 };
 
+// Move one of the user's notifications out of their inbox; archiving marks it read
+const archiveNotification = async (id, userId) => {
+  try {
+    const result = await sql`
+      UPDATE notification_recipients SET
+        read_at = COALESCE(read_at, CURRENT_TIMESTAMP),
+        archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)
+      WHERE notification_id = ${id} AND user_id = ${userId}
+      RETURNING notification_id
+    `;
+    return result.length > 0;
+  } catch (err) {
+    console.error('Archive notification error:', err);
+    throw err;
+  }
+};
+
+// Which categories the user receives, with the defaults for ones never chosen
+const getNotificationPreferences = async (userId) => {
+  try {
+    const rows = await sql`SELECT category, enabled FROM notification_preferences WHERE user_id = ${userId}`;
+    const chosen = new Map(rows.map(row => [row.category, row.enabled]));
+    return Object.entries(NOTIFICATION_CATEGORIES).map(([category, info]) => ({
+      category,
+      label: info.label,
+      enabled: chosen.has(category) ? chosen.get(category) : info.enabled
+    }));
+  } catch (err) {
+    console.error('Get notification preferences error:', err);
+    throw err;
+  }
+};
+
+// Switch categories on or off for the user: { stock_alerts: true, scans: false }
+const updateNotificationPreferences = async (userId, preferences = {}) => {
+  try {
+    const entries = Object.entries(preferences || {});
+    for (const [category, enabled] of entries) {
+      if (!NOTIFICATION_CATEGORIES[category]) {
+        throw httpError(400, `Unknown notification category: ${category}`, { categories: Object.keys(NOTIFICATION_CATEGORIES) });
+      }
+      if (typeof enabled !== 'boolean') {
+        throw httpError(400, `${category} must be true or false`);
+      }
+    }
+    if (entries.length) {
+      await sql`
+        INSERT INTO notification_preferences (user_id, category, enabled)
+        SELECT ${userId}, p.category, p.enabled
+        FROM unnest(${entries.map(([category]) => category)}::text[], ${entries.map(([, enabled]) => enabled)}::boolean[])
+          AS p(category, enabled)
+        ON CONFLICT (user_id, category) DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = CURRENT_TIMESTAMP
+      `;
+    }
+    return getNotificationPreferences(userId);
+  } catch (err) {
+    console.error('Update notification preferences error:', err);
+    throw err;
+  }
+};
+
+// Archive notifications read more than NOTIFICATION_ARCHIVE_DAYS ago and delete
+// ones older than NOTIFICATION_RETENTION_DAYS, or that nobody received
+const cleanupNotifications = async () => {
+  try {
+    const archived = await sql`
+      UPDATE notification_recipients SET archived_at = CURRENT_TIMESTAMP
+      WHERE archived_at IS NULL
+        AND read_at < CURRENT_TIMESTAMP - make_interval(days => ${NOTIFICATION_ARCHIVE_DAYS})
+      RETURNING notification_id
+    `;
+    const deleted = await sql`
+      DELETE FROM notifications n
+      WHERE n.created_at < CURRENT_TIMESTAMP - make_interval(days => ${NOTIFICATION_RETENTION_DAYS})
+        OR NOT EXISTS (SELECT 1 FROM notification_recipients r WHERE r.notification_id = n.id)
+      RETURNING n.id
+    `;
+    return { archived: archived.length, deleted: deleted.length };
+  } catch (err) {
+    console.error('Notification cleanup error:', err);
+    throw err;
+  }
+};
+
 // Scan history functions
 const saveScanHistory = async (scanData) => {
   const connection = await getSql();
@@ -368,12 +730,26 @@ module.exports = {
   },
   testConnection,
   initializeDatabase,
+  isMockLoginEnabled,
   authenticateUser,
+  getAllUsers,
+  getUserById,
+  createUser,
+  updateUserRole,
+  updateUser,
+  deleteUser,
+  verifyUserPassword,
+  setUserPassword,
+  NOTIFICATION_CATEGORIES,
   createNotification,
   getNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
   getUnreadNotificationCount,
+  archiveNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  cleanupNotifications,
   saveScanHistory,
   getScanHistory,
   clearScanHistory,
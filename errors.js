@@ -0,0 +1,66 @@
+// Errors carrying an HTTP status, thrown by domain modules for business-rule
+// failures (bad input, missing records, invalid state) so routes can answer
+// with that status instead of a generic 500.
+const httpError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+// Columns and value named by a Postgres error detail such as
+// 'Key (item_code)=(W-1) already exists.'; LOWER(alias) indexes name the column
+const keyOf = (err) => {
+  const match = /Key \((.+?)\)=\((.*)\)/.exec((err && err.detail) || '');
+  if (!match) return null;
+  const columns = match[1].split(', ').map(column => column.replace(/^lower\((\w+)(?:::[\w ]+)?\)$/i, '$1'));
+  return { columns, value: match[2] };
+};
+
+const fieldDetails = (columns, message) => ({
+  fields: Object.fromEntries(columns.map(column => [column, message]))
+});
+
+// Turn the Postgres errors a request can cause with well-formed but clashing
+// values into HTTP errors naming the field: a duplicate unique value (409), a
+// reference to a missing row (400, or 409 when deleting a row still referenced)
+// and a missing required value (400). Other errors are returned unchanged.
+const toDatabaseError = (err) => {
+  if (!err || err.status || typeof err.code !== 'string') return err;
+  const key = keyOf(err);
+  if (err.code === '23505') {
+    const message = key ? `${key.columns.join(', ')} ${key.value} is already in use` : 'A record with these values already exists';
+    return httpError(409, message, key ? fieldDetails(key.columns, message) : undefined);
+  }
+  if (err.code === '23503') {
+    if (/still referenced/.test(err.detail || '')) {
+      return httpError(409, `This record is still used by ${/table "(\w+)"/.exec(err.detail)?.[1] || 'other records'}`);
+    }
+    const message = key ? `${key.columns.join(', ')} ${key.value} does not exist` : 'A referenced record does not exist';
+    return httpError(400, message, key ? fieldDetails(key.columns, message) : undefined);
+  }
+  if (err.code === '23502' && err.column) {
+    const message = `${err.column} is required`;
+    return httpError(400, message, fieldDetails([err.column], message));
+  }
+  return err;
+};
+
+// Send err as JSON: its own status and message for business errors (and the
+// database errors toDatabaseError recognizes), otherwise a 500 with the
+// route's fallback message
+const sendError = (res, error, fallbackMessage) => {
+  const err = toDatabaseError(error);
+  if (err && err.status) {
+    const body = { success: false, message: err.message };
+    if (err.details !== undefined) body.details = err.details;
+    return res.status(err.status).json(body);
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+module.exports = {
+  httpError,
+  toDatabaseError,
+  sendError
+};
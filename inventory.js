@@ -1,4 +1,48 @@
 const database = require('./database');
+const {
+  buildStockChangeQuery,
+  buildLocationMoveQuery,
+  checkTotalSet,
+  toStockError,
+  applyStockChange
+} = require('./stockMovements');
+const { httpError } = require('./errors');
+const { chooseFefoSources } = require('./lots');
+const { ITEM_REORDER_POINT, ITEM_LOW_STOCK_CONDITION } = require('./reorder');
+const { effectivePriceJoin, getOrderValue } = require('./pricing');
+const {
+  parseSerialNumbers,
+  toSerialError,
+  buildSerialStatusQuery,
+  chooseShipmentSerials,
+  buildOrderSerialsQueries
+} = require('./serials');
+const {
+  OPEN_ORDER_STATUSES,
+  resolveOrderItem,
+  buildReleaseQuery,
+  reserveOrderStock,
+  syncOrderReservation
+} = require('./reservations');
+
+// Per-location balances of item i as a JSON array, for item listings
+const ITEM_LOCATIONS_SELECT = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'warehouse_id', l.warehouse_id,
+      'warehouse_name', lw.warehouse_name,
+      'bin_code', NULLIF(l.bin_code, ''),
+      'quantity', l.quantity
+    ) ORDER BY l.warehouse_id, l.bin_code)
+    FROM inventory_locations l
+    LEFT JOIN warehouses lw ON lw.warehouse_id = l.warehouse_id
+    WHERE l.item_id = i.id AND l.quantity > 0
+  ), '[]'::json)`;
+
+// Earliest expiry among the lots of item i still in stock
+const ITEM_NEXT_EXPIRY_SELECT = `(
+    SELECT MIN(s.expiry_date)::text FROM stock_lots s WHERE s.item_id = i.id AND s.quantity > 0
+  )`;
 
 // Initialize inventory table
 const initializeInventoryTable = async () => {
@@ -220,6 +264,27 @@ const initializeOrderShipmentsTable = async () => {
     `;
     await sql`ALTER TABLE order_shipments ADD COLUMN IF NOT EXISTS product_id INTEGER`;
     await sql`ALTER TABLE order_shipments ADD COLUMN IF NOT EXISTS product_name VARCHAR(255)`;
+    // Optional location to ship from; when unset the source is chosen at ship time
+    await sql`ALTER TABLE order_shipments ADD COLUMN IF NOT EXISTS warehouse_id VARCHAR(50)`;
+    await sql`ALTER TABLE order_shipments ADD COLUMN IF NOT EXISTS bin_code VARCHAR(50)`;
+
+    // Every status change of an order; seq numbers each order's changes so two
+    // concurrent transitions from the same state cannot both succeed
+    await sql`
+      CREATE TABLE IF NOT EXISTS order_shipment_status_history (
+        id SERIAL PRIMARY KEY,
+        order_shipment_id INTEGER NOT NULL REFERENCES order_shipments(id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        user_id INTEGER,
+        username VARCHAR(50),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_order_status_history_seq UNIQUE (order_shipment_id, seq)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_order_status_history_created ON order_shipment_status_history (created_at)`;
 
     // Try to align order_id with production_planning if it exists; else fallback to sales_orders
     const ppCol = await sql`
@@ -367,33 +432,184 @@ const syncProcessedPlansIntoShipments = async () => {
   const t = await sql`SELECT to_regclass('public.production_planning') AS reg`;
   if (!t.length || !t[0].reg) return;
   const queryText = `
-    INSERT INTO order_shipments (
-      order_id, product_id, product_name, quantity,
-      status, order_date, ship_date, updated_at
+    WITH ins AS (
+      INSERT INTO order_shipments (
+        order_id, product_id, product_name, quantity, total_value,
+        status, order_date, ship_date, updated_at
+      )
+      SELECT
+        pp.order_id,
+        pp.product_id,
+        pp.product_name,
+        pp.quantity,
+        ROUND(pp.quantity * price.price * (1 - COALESCE(price.discount_rate, 0) / 100), 2) AS total_value,
+        'processed' AS status,
+        pp.planned_date AS order_date,
+        pp.shipping_date AS ship_date,
+        CURRENT_TIMESTAMP
+      FROM production_planning pp
+      ${effectivePriceJoin('price', 'pp.product_id', 'COALESCE(pp.planned_date, CURRENT_DATE)')}
+      WHERE pp.status = 'processed'
+        AND NOT EXISTS (
+          SELECT 1 FROM order_shipments os WHERE os.order_id::text = pp.order_id::text
+        )
+      RETURNING *
+    ), hist AS (
+      INSERT INTO order_shipment_status_history (order_shipment_id, seq, from_status, to_status, notes)
+      SELECT id, 1, NULL, status, 'Synced from production planning' FROM ins
     )
-    SELECT
-      pp.order_id,
-      pp.product_id,
-      pp.product_name,
-      pp.quantity,
-      'processed' AS status,
-      pp.planned_date AS order_date,
-      pp.shipping_date AS ship_date,
-      CURRENT_TIMESTAMP
-    FROM production_planning pp
-    WHERE pp.status = 'processed'
-      AND NOT EXISTS (
-        SELECT 1 FROM order_shipments os WHERE os.order_id::text = pp.order_id::text
-      )`;
-  await sql(queryText);
+    SELECT * FROM ins`;
+  const inserted = await sql(queryText);
+  // Newly synced orders reserve their stock straight away
+  for (const order of inserted) {
+    await reserveOrderStock(order);
+  }
 };
 
-// Get all inventory items with optional filters
+// Initialize record versions for optimistic concurrency. The version of an item
+// or order goes up whenever a column other than the listed bookkeeping ones
+// changes, whichever code path changed it, so an edit made against an older
+// version can be refused.
+const initializeRecordVersions = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`;
+    await sql`ALTER TABLE order_shipments ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`;
+    // Updates checking an item's version set it to 0 when it is stale
+    await sql`
+      DO $$ BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.table_constraints
+          WHERE constraint_name = 'chk_inventory_items_version'
+            AND table_name = 'inventory_items'
+        ) THEN
+          ALTER TABLE inventory_items ADD CONSTRAINT chk_inventory_items_version CHECK (version > 0);
+        END IF;
+      END $$;
+    `;
+    await sql(`
+      CREATE OR REPLACE FUNCTION bump_record_version()
+      RETURNS TRIGGER AS $$
+      DECLARE
+          ignored TEXT[] := COALESCE(TG_ARGV, '{}') || ARRAY['version', 'updated_at'];
+      BEGIN
+          IF (to_jsonb(NEW) - ignored) IS DISTINCT FROM (to_jsonb(OLD) - ignored) THEN
+              NEW.version := OLD.version + 1;
+          END IF;
+          RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;`);
+    // Reservations and reorder alerts do not change what an edit form shows
+    await sql(`
+      DO $$
+      BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_inventory_items_version') THEN
+              CREATE TRIGGER trg_inventory_items_version
+              BEFORE UPDATE ON inventory_items
+              FOR EACH ROW
+              EXECUTE FUNCTION bump_record_version('reserved_quantity', 'reorder_alerted_at');
+          END IF;
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_order_shipments_version') THEN
+              CREATE TRIGGER trg_order_shipments_version
+              BEFORE UPDATE ON order_shipments
+              FOR EACH ROW
+              EXECUTE FUNCTION bump_record_version();
+          END IF;
+      END $$;
+    `);
+    console.log('✅ Record versions created/verified');
+  } catch (err) {
+    console.error('❌ Error creating record versions:', err);
+    throw err;
+  }
+};
+
+// Columns the inventory list can be sorted by, under the names ?sort= takes
+const INVENTORY_SORT_COLUMNS = {
+  item_code: 'i.item_code',
+  product_name: 'p.product_name',
+  category: 'i.category_id',
+  status: 'i.status',
+  warehouse: 'i.warehouse_id',
+  total_quantity: 'i.total_quantity',
+  available_quantity: 'GREATEST(i.total_quantity - i.reserved_quantity, 0)',
+  price: 'pp.price',
+  created_at: 'i.created_at',
+  updated_at: 'i.updated_at'
+};
+
+// Largest page a list request can ask for with ?limit=
+const MAX_PAGE_SIZE = 500;
+
+const whereClause = (conds) => (conds.length ? ` WHERE ${conds.join(' AND ')}` : '');
+
+// ORDER BY and paging of a list request. filters.sort names one of sortColumns
+// (default updated_at) and filters.order is asc or desc (desc for the default
+// sort, asc otherwise); ties fall back to tiebreak so pages do not overlap.
+// Without filters.limit every row is returned.
+const listOrdering = (filters, sortColumns, tiebreak) => {
+  const sort = filters.sort || 'updated_at';
+  if (!Object.prototype.hasOwnProperty.call(sortColumns, sort)) {
+    const message = `sort must be one of: ${Object.keys(sortColumns).join(', ')}`;
+    throw httpError(400, message, { fields: { sort: message } });
+  }
+  const order = String(filters.order || (filters.sort ? 'asc' : 'desc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw httpError(400, 'order must be asc or desc', { fields: { order: 'order must be asc or desc' } });
+  }
+  let clause = ` ORDER BY ${sortColumns[sort]} ${order.toUpperCase()} NULLS LAST, ${tiebreak} ${order.toUpperCase()}`;
+
+  const hasLimit = filters.limit !== undefined && filters.limit !== '';
+  const limit = Number(filters.limit);
+  const offset = Number(filters.offset || 0);
+  if (hasLimit && (!Number.isInteger(limit) || limit < 1)) {
+    throw httpError(400, 'limit must be a whole number of 1 or more', { fields: { limit: 'limit must be a whole number of 1 or more' } });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw httpError(400, 'offset must be a whole number of 0 or more', { fields: { offset: 'offset must be a whole number of 0 or more' } });
+  }
+  if (hasLimit) clause += ` LIMIT ${Math.min(limit, MAX_PAGE_SIZE)}`;
+  if (offset) clause += ` OFFSET ${offset}`;
+  return clause;
+};
+
+// WHERE conditions and parameters of the inventory list filters (search,
+// category, status, warehouse), without the filter named by skip
+const inventoryListConditions = (filters = {}, skip) => {
+  const params = [];
+  const conds = [];
+
+  if (typeof filters.search === 'string' && filters.search.trim() !== '') {
+    const term = `%${filters.search.trim()}%`;
+    conds.push(`(p.product_name ILIKE $${params.length + 1} OR i.item_code ILIKE $${params.length + 2} OR i.id::text = $${params.length + 3})`);
+    params.push(term, term, filters.search.trim());
+  }
+  if (filters.category && skip !== 'category') {
+    conds.push(`i.category_id = $${params.length + 1}`);
+    params.push(filters.category);
+  }
+  if (filters.status && skip !== 'status') {
+    conds.push(`i.status = $${params.length + 1}`);
+    params.push(filters.status);
+  }
+  if (filters.warehouse && skip !== 'warehouse') {
+    // Items homed in the warehouse or holding stock there
+    conds.push(`(i.warehouse_id = $${params.length + 1} OR EXISTS (
+      SELECT 1 FROM inventory_locations l
+      WHERE l.item_id = i.id AND l.warehouse_id = $${params.length + 1} AND l.quantity > 0
+    ))`);
+    params.push(filters.warehouse);
+  }
+  return { conds, params };
+};
+
+// Get all inventory items with optional filters (see inventoryListConditions),
+// sorted and paged by filters.sort, order, limit and offset (see listOrdering)
 const getAllInventoryItems = async (filters = {}) => {
   try {
     const sql = await database.sql();
 
-    // Base select with latest price via LATERAL join
+    // Base select with the price in effect today via LATERAL join
     let queryText = `
       SELECT 
         i.id,
@@ -409,6 +625,17 @@ const getAllInventoryItems = async (filters = {}) => {
         i.status,
         i.warehouse_id,
         i.total_quantity,
+        i.total_quantity AS on_hand_quantity,
+        i.reserved_quantity,
+        GREATEST(i.total_quantity - i.reserved_quantity, 0) AS available_quantity,
+        ${ITEM_LOCATIONS_SELECT} AS locations,
+        ${ITEM_NEXT_EXPIRY_SELECT} AS next_expiry_date,
+        i.reorder_point,
+        i.reorder_quantity,
+        i.safety_stock,
+        ${ITEM_REORDER_POINT} AS effective_reorder_point,
+        (${ITEM_LOW_STOCK_CONDITION}) AS low_stock,
+        i.version,
         i.created_at,
         i.updated_at,
         c.category_name,
@@ -417,41 +644,12 @@ const getAllInventoryItems = async (filters = {}) => {
       LEFT JOIN categories c ON i.category_id = c.category_id
       LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
       LEFT JOIN products p ON p.product_id = i.product_id
-      LEFT JOIN LATERAL (
-        SELECT price
-        FROM product_pricing ppx
-        WHERE ppx.product_id = i.product_id
-        ORDER BY effective_date DESC
-        LIMIT 1
-      ) pp ON true
+      ${effectivePriceJoin('pp', 'i.product_id')}
     `;
 
-    const params = [];
-    const conds = [];
-
-    if (filters && typeof filters.search === 'string' && filters.search.trim() !== '') {
-      const term = `%${filters.search.trim()}%`;
-      conds.push(`(p.product_name ILIKE $${params.length + 1} OR i.item_code ILIKE $${params.length + 2})`);
-      params.push(term, term);
-    }
-    if (filters && filters.category) {
-      conds.push(`i.category_id = $${params.length + 1}`);
-      params.push(filters.category);
-    }
-    if (filters && filters.status) {
-      conds.push(`i.status = $${params.length + 1}`);
-      params.push(filters.status);
-    }
-    if (filters && filters.warehouse) {
-      conds.push(`i.warehouse_id = $${params.length + 1}`);
-      params.push(filters.warehouse);
-    }
-
-    if (conds.length) {
-      queryText += ` WHERE ${conds.join(' AND ')}`;
-    }
-
-    queryText += ` ORDER BY i.updated_at DESC`;
+    const { conds, params } = inventoryListConditions(filters);
+    queryText += whereClause(conds);
+    queryText += listOrdering(filters, INVENTORY_SORT_COLUMNS, 'i.id');
 
     const result = await sql(queryText, params);
     return result;
@@ -461,11 +659,65 @@ const getAllInventoryItems = async (filters = {}) => {
   }
 };
 
+// Counts of the inventory list: the items matching the filters, and per status,
+// category and warehouse how many items would match with that value picked.
+// Each facet ignores its own filter so every choice keeps its count. Items
+// count under their home warehouse and every warehouse holding their stock,
+// like the warehouse filter.
+const getInventoryListTotals = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const from = `
+      FROM inventory_items i
+      LEFT JOIN products p ON p.product_id = i.product_id
+    `;
+    const all = inventoryListConditions(filters);
+    const byStatus = inventoryListConditions(filters, 'status');
+    const byCategory = inventoryListConditions(filters, 'category');
+    const byWarehouse = inventoryListConditions(filters, 'warehouse');
+
+    const [total, status, category, warehouse] = await Promise.all([
+      sql(`SELECT COUNT(*)::int AS count ${from} ${whereClause(all.conds)}`, all.params),
+      sql(`
+        SELECT i.status AS value, COUNT(*)::int AS count
+        ${from} ${whereClause(byStatus.conds)}
+        GROUP BY i.status
+        ORDER BY count DESC, value
+      `, byStatus.params),
+      sql(`
+        SELECT i.category_id AS value, c.category_name AS name, COUNT(*)::int AS count
+        ${from}
+        LEFT JOIN categories c ON c.category_id = i.category_id
+        ${whereClause(byCategory.conds)}
+        GROUP BY i.category_id, c.category_name
+        ORDER BY count DESC, value
+      `, byCategory.params),
+      sql(`
+        SELECT h.warehouse_id AS value, w.warehouse_name AS name, COUNT(*)::int AS count
+        ${from}
+        CROSS JOIN LATERAL (
+          SELECT i.warehouse_id
+          UNION
+          SELECT l.warehouse_id FROM inventory_locations l WHERE l.item_id = i.id AND l.quantity > 0
+        ) h
+        LEFT JOIN warehouses w ON w.warehouse_id = h.warehouse_id
+        ${whereClause([...byWarehouse.conds, 'h.warehouse_id IS NOT NULL'])}
+        GROUP BY h.warehouse_id, w.warehouse_name
+        ORDER BY count DESC, value
+      `, byWarehouse.params)
+    ]);
+    return { total: total[0].count, facets: { status, category, warehouse } };
+  } catch (err) {
+    console.error('Error counting inventory items:', err);
+    throw err;
+  }
+};
+
 // Get inventory item by ID
 const getInventoryItemById = async (id) => {
   try {
     const sql = await database.sql();
-    const result = await sql`
+    const result = await sql(`
       SELECT 
         i.id,
         i.item_code,
@@ -480,6 +732,17 @@ const getInventoryItemById = async (id) => {
         i.status,
         i.warehouse_id,
         i.total_quantity,
+        i.total_quantity AS on_hand_quantity,
+        i.reserved_quantity,
+        GREATEST(i.total_quantity - i.reserved_quantity, 0) AS available_quantity,
+        ${ITEM_LOCATIONS_SELECT} AS locations,
+        ${ITEM_NEXT_EXPIRY_SELECT} AS next_expiry_date,
+        i.reorder_point,
+        i.reorder_quantity,
+        i.safety_stock,
+        ${ITEM_REORDER_POINT} AS effective_reorder_point,
+        (${ITEM_LOW_STOCK_CONDITION}) AS low_stock,
+        i.version,
         i.created_at,
         i.updated_at,
         c.category_name,
@@ -488,9 +751,9 @@ const getInventoryItemById = async (id) => {
       LEFT JOIN categories c ON i.category_id = c.category_id
       LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
       LEFT JOIN products p ON p.product_id = i.product_id
-      LEFT JOIN product_pricing pp ON pp.product_id = i.product_id
-      WHERE i.id = ${id}
-    `;
+      ${effectivePriceJoin('pp', 'i.product_id')}
+      WHERE i.id = $1
+    `, [id]);
     
     return result[0] || null;
   } catch (err) {
@@ -500,7 +763,8 @@ const getInventoryItemById = async (id) => {
 };
 
 // Create new inventory item
-const createInventoryItem = async (itemData) => {
+// context: { user, movementType, notes } describing who/why for the ledger
+const createInventoryItem = async (itemData, context = {}) => {
   try {
     const sql = await database.sql();
     const {
@@ -512,25 +776,45 @@ const createInventoryItem = async (itemData) => {
       warehouse_id,
       total_quantity
     } = itemData;
-    
-    const result = await sql`
-      INSERT INTO inventory_items (
-        item_code, product_id, unit_of_measure, category_id, status, warehouse_id, total_quantity, updated_at
-      ) VALUES (
-        ${item_code}, ${product_id}, ${unit_of_measure}, ${category_id}, ${status}, ${warehouse_id}, ${total_quantity}, CURRENT_TIMESTAMP
-      )
-      RETURNING *
-    `;
-    
-    return result[0];
+    const openingQuantity = Number(total_quantity) || 0;
+
+    // Insert at zero, then post the opening balance through the ledger
+    const queries = [
+      sql`
+        INSERT INTO inventory_items (
+          item_code, product_id, unit_of_measure, category_id, status, warehouse_id, total_quantity, updated_at
+        ) VALUES (
+          ${item_code}, ${product_id}, ${unit_of_measure}, ${category_id}, ${status}, ${warehouse_id}, 0, CURRENT_TIMESTAMP
+        )
+        RETURNING *
+      `
+    ];
+    if (openingQuantity !== 0) {
+      queries.push(buildStockChangeQuery(sql, {
+        itemCode: item_code,
+        operation: 'set',
+        quantity: openingQuantity,
+        movementType: context.movementType || 'adjustment',
+        user: context.user,
+        notes: context.notes || 'Opening balance'
+      }));
+    }
+
+    const [inserted, opening] = await sql.transaction(queries);
+    return (opening && opening[0]) || inserted[0];
   } catch (err) {
     console.error('Error creating inventory item:', err);
-    throw err;
+    throw toStockError(err);
   }
 };
 
-// Update inventory item
-const updateInventoryItem = async (id, itemData) => {
+// Update inventory item. A changed total_quantity is recorded as a stock movement
+// in the same transaction, and changing the home warehouse moves the stock held at
+// the old home (outside any bin) along with it.
+// With context.partial only the fields present in itemData are written. With
+// context.expectedVersion the update only applies to that version of the item;
+// otherwise it fails with 409 and the current item.
+const updateInventoryItem = async (id, itemData, context = {}) => {
   try {
     const sql = await database.sql();
     const {
@@ -542,26 +826,92 @@ const updateInventoryItem = async (id, itemData) => {
       warehouse_id,
       total_quantity
     } = itemData;
-    
-    const result = await sql`
-      UPDATE inventory_items SET
-        item_code = ${item_code},
-        product_id = ${product_id},
-        unit_of_measure = ${unit_of_measure},
-        category_id = ${category_id},
-        status = ${status},
-        warehouse_id = ${warehouse_id},
-        total_quantity = ${total_quantity},
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${id}
-      RETURNING *
+    // A full update writes every column
+    const sets = (field) => !context.partial || itemData[field] !== undefined;
+
+    const queries = [];
+    if (context.expectedVersion != null) {
+      // A stale version becomes 0, which chk_inventory_items_version refuses
+      queries.push(sql`
+        UPDATE inventory_items
+        SET version = CASE WHEN version = ${context.expectedVersion} THEN version ELSE 0 END
+        WHERE id = ${id}
+      `);
+    }
+    const updateIndex = queries.length;
+    queries.push(
+      sql`
+        UPDATE inventory_items SET
+          item_code = CASE WHEN ${sets('item_code')} THEN ${item_code} ELSE item_code END,
+          product_id = CASE WHEN ${sets('product_id')} THEN ${product_id} ELSE product_id END,
+          unit_of_measure = CASE WHEN ${sets('unit_of_measure')} THEN ${unit_of_measure} ELSE unit_of_measure END,
+          category_id = CASE WHEN ${sets('category_id')} THEN ${category_id} ELSE category_id END,
+          status = CASE WHEN ${sets('status')} THEN ${status} ELSE status END,
+          warehouse_id = CASE WHEN ${sets('warehouse_id')} THEN ${warehouse_id} ELSE warehouse_id END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+        RETURNING *
+      `
+    );
+
+    const homes = await sql`
+      SELECT l.warehouse_id, l.quantity
+      FROM inventory_items i
+      JOIN inventory_locations l ON l.item_id = i.id AND l.warehouse_id = i.warehouse_id AND l.bin_code = ''
+      WHERE i.id = ${id} AND l.quantity > 0
     `;
-    
-    return result[0];
+    if (warehouse_id && homes.length && homes[0].warehouse_id !== warehouse_id) {
+      queries.push(buildLocationMoveQuery(sql, {
+        itemId: id,
+        quantity: homes[0].quantity,
+        fromWarehouseId: homes[0].warehouse_id,
+        toWarehouseId: warehouse_id,
+        user: context.user,
+        notes: 'Home warehouse changed'
+      }));
+    }
+
+    const hasQuantity = total_quantity !== undefined && total_quantity !== null && total_quantity !== '';
+    if (hasQuantity) {
+      await checkTotalSet(sql, id, total_quantity, sets('warehouse_id') ? warehouse_id : null);
+      queries.push(buildStockChangeQuery(sql, {
+        itemId: id,
+        operation: 'set',
+        quantity: total_quantity,
+        movementType: context.movementType || 'adjustment',
+        user: context.user,
+        notes: context.notes || null
+      }));
+    }
+
+    queries.push(sql`SELECT version FROM inventory_items WHERE id = ${id}`);
+
+    const results = await sql.transaction(queries).catch(async (txErr) => {
+      if (txErr && txErr.constraint === 'chk_inventory_items_version') {
+        throw httpError(409, 'This item was changed by someone else since you loaded it', {
+          current: await getInventoryItemById(id)
+        });
+      }
+      throw txErr;
+    });
+    const version = results[results.length - 1][0];
+    if (!version) return null;
+    const changed = hasQuantity ? results[results.length - 2] : null;
+    return { ...((changed && changed[0]) || results[updateIndex][0]), version: version.version };
   } catch (err) {
     console.error('Error updating inventory item:', err);
-    throw err;
+    throw toStockError(err);
+  }
+};
+
+// Update only the fields supplied in changes (checked by the route's schema).
+// A quantity change is posted to the ledger like any other (context as for
+// updateInventoryItem).
+const patchInventoryItem = async (id, changes, context = {}) => {
+  if (!Object.keys(changes).length) {
+    throw httpError(400, 'No fields to update');
   }
+  return updateInventoryItem(id, changes, { ...context, partial: true });
 };
 
 // Delete inventory item
@@ -636,12 +986,13 @@ const getInventoryStats = async () => {
     const sql = await database.sql();
     const totalItems = await sql`SELECT COUNT(*) as count FROM inventory_items`;
     const activeItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE status = 'active'`;
-    const lowStockItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE total_quantity < 10`;
-    const totalValue = await sql`
+    const lowStockItems = await sql(`SELECT COUNT(*) as count FROM inventory_items i WHERE ${ITEM_LOW_STOCK_CONDITION}`);
+    // Stock at today's list price; see valuation.js for stock at cost
+    const totalValue = await sql(`
       SELECT COALESCE(SUM(COALESCE(pp.price,0) * i.total_quantity), 0) as total
       FROM inventory_items i
-      LEFT JOIN product_pricing pp ON pp.product_id = i.product_id
-    `;
+      ${effectivePriceJoin('pp', 'i.product_id')}
+    `);
     
     return {
       totalItems: parseInt(totalItems[0].count),
@@ -655,40 +1006,60 @@ const getInventoryStats = async () => {
   }
 };
 
-// Add: Stock overview with configurable low stock threshold
+// Add: Stock overview. Items in stock count as low at their own reorder point,
+// or below options.threshold when one is given.
+// In-transit quantity is stock dispatched on a transfer but not yet received
 const getStockOverview = async (options = {}) => {
-  const threshold = Number(options.threshold) || 50;
+  const threshold = Number(options.threshold) || null;
+  const empty = {
+    totalItems: 0,
+    totalStockQuantity: 0,
+    lowStockItems: 0,
+    outOfStockItems: 0,
+    inTransitQuantity: 0,
+    inTransitTransfers: 0,
+    reservedQuantity: 0,
+    availableQuantity: 0
+  };
   try {
     const sql = await database.sql();
     if (!sql) {
-      return {
-        totalItems: 0,
-        totalStockQuantity: 0,
-        lowStockItems: 0,
-        outOfStockItems: 0
-      };
+      return empty;
     }
-    const [totalItems, totalStock, lowStock, outOfStock] = await Promise.all([
+    const [totalItems, totalStock, lowStock, outOfStock, inTransit] = await Promise.all([
       sql`SELECT COUNT(*)::int AS count FROM inventory_items`,
-      sql`SELECT COALESCE(SUM(total_quantity), 0)::bigint AS sum FROM inventory_items`,
-      sql`SELECT COUNT(*)::int AS count FROM inventory_items WHERE total_quantity > 0 AND total_quantity < ${threshold}`,
-      sql`SELECT COUNT(*)::int AS count FROM inventory_items WHERE status = 'out of stock' OR total_quantity = 0`
+      sql`
+        SELECT
+          COALESCE(SUM(total_quantity), 0)::bigint AS sum,
+          COALESCE(SUM(reserved_quantity), 0)::bigint AS reserved,
+          COALESCE(SUM(GREATEST(total_quantity - reserved_quantity, 0)), 0)::bigint AS available
+        FROM inventory_items
+      `,
+      threshold
+        ? sql`SELECT COUNT(*)::int AS count FROM inventory_items WHERE total_quantity > 0 AND total_quantity < ${threshold}`
+        : sql(`SELECT COUNT(*)::int AS count FROM inventory_items i WHERE i.total_quantity > 0 AND ${ITEM_LOW_STOCK_CONDITION}`),
+      sql`SELECT COUNT(*)::int AS count FROM inventory_items WHERE status = 'out of stock' OR total_quantity = 0`,
+      sql`
+        SELECT COALESCE(SUM(l.quantity), 0)::bigint AS sum, COUNT(DISTINCT t.id)::int AS count
+        FROM stock_transfers t
+        JOIN stock_transfer_lines l ON l.transfer_id = t.id
+        WHERE t.status = 'in_transit'
+      `
     ]);
 
     return {
       totalItems: Number(totalItems[0].count),
       totalStockQuantity: Number(totalStock[0].sum),
       lowStockItems: Number(lowStock[0].count),
-      outOfStockItems: Number(outOfStock[0].count)
+      outOfStockItems: Number(outOfStock[0].count),
+      inTransitQuantity: Number(inTransit[0].sum),
+      inTransitTransfers: Number(inTransit[0].count),
+      reservedQuantity: Number(totalStock[0].reserved),
+      availableQuantity: Number(totalStock[0].available)
     };
   } catch (err) {
     console.error('Error fetching stock overview:', err);
-    return {
-      totalItems: 0,
-      totalStockQuantity: 0,
-      lowStockItems: 0,
-      outOfStockItems: 0
-    };
+    return empty;
   }
 };
 
@@ -714,20 +1085,39 @@ const getStockByCategory = async () => {
   }
 };
 
-// Add: Stock aggregated by warehouse
+// Add: Stock aggregated by warehouse, from per-location balances, with the
+// quantity in transit towards each warehouse
 const getStockByWarehouse = async () => {
   try {
     const sql = await database.sql();
     if (!sql) return [];
     const rows = await sql`
       SELECT 
-        i.warehouse_id,
-        COALESCE(w.warehouse_name, i.warehouse_id) AS warehouse_name,
-        SUM(i.total_quantity)::bigint AS total_quantity,
-        COUNT(*)::int AS item_count
-      FROM inventory_items i
-      LEFT JOIN warehouses w ON w.warehouse_id = i.warehouse_id
-      GROUP BY i.warehouse_id, w.warehouse_name
+        w.warehouse_id,
+        COALESCE(w.warehouse_name, w.warehouse_id) AS warehouse_name,
+        COALESCE(s.total_quantity, 0)::bigint AS total_quantity,
+        COALESCE(s.item_count, 0)::int AS item_count,
+        COALESCE(s.bin_count, 0)::int AS bin_count,
+        COALESCE(t.in_transit_quantity, 0)::bigint AS in_transit_quantity
+      FROM warehouses w
+      LEFT JOIN (
+        SELECT
+          warehouse_id,
+          SUM(quantity) AS total_quantity,
+          COUNT(DISTINCT item_id) AS item_count,
+          COUNT(DISTINCT NULLIF(bin_code, '')) AS bin_count
+        FROM inventory_locations
+        WHERE quantity > 0
+        GROUP BY warehouse_id
+      ) s ON s.warehouse_id = w.warehouse_id
+      LEFT JOIN (
+        SELECT st.to_warehouse_id AS warehouse_id, SUM(sl.quantity) AS in_transit_quantity
+        FROM stock_transfers st
+        JOIN stock_transfer_lines sl ON sl.transfer_id = st.id
+        WHERE st.status = 'in_transit'
+        GROUP BY st.to_warehouse_id
+      ) t ON t.warehouse_id = w.warehouse_id
+      WHERE s.total_quantity > 0 OR t.in_transit_quantity > 0
       ORDER BY total_quantity DESC
     `;
     return rows;
@@ -738,49 +1128,183 @@ const getStockByWarehouse = async () => {
 };
 
 // Update item quantity
-const updateItemQuantity = async (id, newQuantity, operation = 'set') => {
+// context: { user, movementType, referenceType, referenceId, notes } for the ledger row,
+// plus an optional { warehouseId, binCode } location (defaults to the item's home warehouse)
+const updateItemQuantity = async (id, newQuantity, operation = 'set', context = {}) => {
   try {
-    const sql = await database.sql();
-    let query;
-    
-    if (operation === 'add') {
-      query = sql`
-        UPDATE inventory_items 
-        SET total_quantity = total_quantity + ${newQuantity}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
-    } else if (operation === 'subtract') {
-      query = sql`
-        UPDATE inventory_items 
-        SET total_quantity = GREATEST(total_quantity - ${newQuantity}, 0),
-            status = CASE WHEN GREATEST(total_quantity - ${newQuantity}, 0) <= 0 THEN 'out of stock' ELSE status END,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
-    } else {
-      query = sql`
-        UPDATE inventory_items 
-        SET total_quantity = ${newQuantity},
-            status = CASE WHEN ${newQuantity} <= 0 THEN 'out of stock' ELSE status END,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
+    if (operation === 'set' && !context.warehouseId) {
+      await checkTotalSet(await database.sql(), id, newQuantity);
     }
-    
-    const result = await query;
-    return result[0];
+    return await applyStockChange({
+      itemId: id,
+      warehouseId: context.warehouseId,
+      binCode: context.binCode,
+      operation,
+      quantity: newQuantity,
+      movementType: context.movementType || 'adjustment',
+      user: context.user,
+      referenceType: context.referenceType,
+      referenceId: context.referenceId,
+      notes: context.notes,
+      lotNumber: context.lotNumber,
+      expiryDate: context.expiryDate,
+      manufactureDate: context.manufactureDate
+    });
   } catch (err) {
     console.error('Error updating item quantity:', err);
     throw err;
   }
 };
 
+// Move stock of an item between two of its locations (another warehouse or bin),
+// of one lot when move.lotNumber is given. Resolves to the item, or null when the
+// source location (or lot) lacks the quantity.
+const moveItemStock = async (id, move, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const result = await buildLocationMoveQuery(sql, {
+      itemId: id,
+      quantity: move.quantity,
+      fromWarehouseId: move.fromWarehouseId,
+      fromBinCode: move.fromBinCode,
+      toWarehouseId: move.toWarehouseId,
+      toBinCode: move.toBinCode,
+      lotNumber: move.lotNumber,
+      user: context.user,
+      referenceType: context.referenceType,
+      referenceId: context.referenceId,
+      notes: context.notes
+    });
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error moving item stock:', err);
+    throw toStockError(err);
+  }
+};
+
 // Material shipments removed
 
-// Get all order shipments with optional filters
+const ORDER_STATUSES = ['processing', 'processed', 'packed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Status changes allowed from each status. Orders move forward one step at a
+// time (processing -> processed -> packed -> shipped -> delivered). Moving a
+// shipped order back to processed or packed undoes its shipment; returned takes
+// the stock back in. A delivered order can only be returned.
+const ORDER_STATUS_TRANSITIONS = {
+  processing: ['processed', 'cancelled'],
+  processed: ['packed', 'cancelled'],
+  packed: ['processed', 'shipped', 'cancelled'],
+  shipped: ['delivered', 'returned', 'packed', 'processed'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+// Statuses in which the order's shipped stock is out of the warehouse
+const SHIPPED_ORDER_STATUSES = ['shipped', 'delivered'];
+
+// Ledger movements that take stock out for an order or bring it back
+const ORDER_SHIPMENT_MOVEMENT_TYPES = ['shipment', 'shipment_reversal'];
+
+const assertOrderTransition = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw httpError(400, `Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+  if (!(ORDER_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw httpError(409, `Cannot change order from ${from || 'no status'} to ${to}`);
+  }
+};
+
+// Once customer returns (RMAs) exist for an order, returned stock is only
+// handled through them, so the order's shipment can no longer be undone wholesale
+const assertNoCustomerReturns = async (sql, orderShipmentId) => {
+  const rows = await sql`
+    SELECT COUNT(*)::int AS count FROM returns
+    WHERE order_shipment_id = ${orderShipmentId} AND status <> 'cancelled'
+  `;
+  if (rows[0].count > 0) {
+    throw httpError(409, 'This order has customer returns; handle returned stock through them');
+  }
+};
+
+// Build (without running) the stock changes putting back what an order shipped
+// and has not yet had back, at the locations it was shipped from
+const buildShipmentReversalQueries = async (sql, orderShipmentId, context = {}) => {
+  const outstanding = await sql`
+    SELECT item_id, warehouse_id, NULLIF(bin_code, '') AS bin_code, lot_number, (-SUM(quantity_delta))::int AS quantity
+    FROM stock_movements
+    WHERE reference_type = 'order_shipment'
+      AND reference_id = ${String(orderShipmentId)}
+      AND movement_type = ANY(${ORDER_SHIPMENT_MOVEMENT_TYPES})
+    GROUP BY item_id, warehouse_id, NULLIF(bin_code, ''), lot_number
+    HAVING -SUM(quantity_delta) > 0
+  `;
+  return outstanding.map(row => buildStockChangeQuery(sql, {
+    itemId: row.item_id,
+    warehouseId: row.warehouse_id,
+    binCode: row.bin_code,
+    lotNumber: row.lot_number,
+    operation: 'add',
+    quantity: row.quantity,
+    movementType: 'shipment_reversal',
+    user: context.user,
+    referenceType: 'order_shipment',
+    referenceId: orderShipmentId,
+    notes: context.notes
+  }));
+};
+
+// Columns the order list can be sorted by, under the names ?sort= takes
+const ORDER_SORT_COLUMNS = {
+  order_id: 'os.order_id',
+  item_code: 'os.item_code',
+  quantity: 'os.quantity',
+  total_value: 'os.total_value',
+  status: 'os.status',
+  warehouse: 'os.warehouse_id',
+  order_date: 'os.order_date',
+  ship_date: 'os.ship_date',
+  delivery_date: 'os.delivery_date',
+  created_at: 'os.created_at',
+  updated_at: 'os.updated_at'
+};
+
+// WHERE conditions and parameters of the order list filters (search, status,
+// date, warehouse, and category of the ordered item), without the filter named
+// by skip
+const orderListConditions = (filters = {}, skip) => {
+  const params = [];
+  const conds = [];
+
+  if (filters.search) {
+    const term = `%${filters.search}%`;
+    conds.push(`(os.order_id::text ILIKE $${params.length + 1} OR os.product_name ILIKE $${params.length + 1})`);
+    params.push(term);
+  }
+  if (filters.status && skip !== 'status') {
+    conds.push(`os.status = $${params.length + 1}`);
+    params.push(filters.status);
+  }
+  if (filters.date) {
+    conds.push(`os.order_date = $${params.length + 1}`);
+    params.push(filters.date);
+  }
+  if (filters.warehouse && skip !== 'warehouse') {
+    conds.push(`os.warehouse_id = $${params.length + 1}`);
+    params.push(filters.warehouse);
+  }
+  if (filters.category && skip !== 'category') {
+    conds.push(`EXISTS (
+      SELECT 1 FROM inventory_items ci
+      WHERE ci.item_code = os.item_code AND ci.category_id = $${params.length + 1}
+    )`);
+    params.push(filters.category);
+  }
+  return { conds, params };
+};
+
+// Get all order shipments with optional filters (see orderListConditions),
+// sorted and paged by filters.sort, order, limit and offset (see listOrdering)
 const getAllOrderShipments = async (filters = {}) => {
   try {
     const sql = await database.sql();
@@ -789,35 +1313,15 @@ const getAllOrderShipments = async (filters = {}) => {
 
     let queryText = `
       SELECT 
-        os.*
+        os.*,
+        COALESCE(r.quantity, 0) AS reserved_quantity
       FROM order_shipments os
+      LEFT JOIN stock_reservations r ON r.order_shipment_id = os.id AND r.status = 'active'
     `;
 
-    const conditions = [];
-    const params = [];
-
-    if (filters.search) {
-      const term = `%${filters.search}%`;
-      conditions.push(`(os.order_id::text ILIKE $${params.length + 1} OR os.product_name ILIKE $${params.length + 1})`);
-      params.push(term);
-    }
-    if (filters.status) {
-      conditions.push(`os.status = $${params.length + 1}`);
-      params.push(filters.status);
-    }
-    if (filters.priority) {
-      // priority column no longer exists; ignore
-    }
-    if (filters.date) {
-      conditions.push(`os.order_date = $${params.length + 1}`);
-      params.push(filters.date);
-    }
-
-    if (conditions.length > 0) {
-      queryText += ` WHERE ${conditions.join(' AND ')}`;
-    }
-
-    queryText += ` ORDER BY os.updated_at DESC`;
+    const { conds, params } = orderListConditions(filters);
+    queryText += whereClause(conds);
+    queryText += listOrdering(filters, ORDER_SORT_COLUMNS, 'os.id');
 
     const result = await sql(queryText, params);
     return result;
@@ -827,14 +1331,63 @@ const getAllOrderShipments = async (filters = {}) => {
   }
 };
 
+// Counts of the order list: the orders matching the filters, and per status,
+// category and warehouse how many orders would match with that value picked
+// (each facet ignores its own filter). Orders take the category of their
+// inventory item.
+const getOrderShipmentListTotals = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const from = 'FROM order_shipments os';
+    const all = orderListConditions(filters);
+    const byStatus = orderListConditions(filters, 'status');
+    const byCategory = orderListConditions(filters, 'category');
+    const byWarehouse = orderListConditions(filters, 'warehouse');
+
+    const [total, status, category, warehouse] = await Promise.all([
+      sql(`SELECT COUNT(*)::int AS count ${from} ${whereClause(all.conds)}`, all.params),
+      sql(`
+        SELECT os.status AS value, COUNT(*)::int AS count
+        ${from} ${whereClause(byStatus.conds)}
+        GROUP BY os.status
+        ORDER BY count DESC, value
+      `, byStatus.params),
+      sql(`
+        SELECT ci.category_id AS value, c.category_name AS name, COUNT(*)::int AS count
+        ${from}
+        LEFT JOIN inventory_items ci ON ci.item_code = os.item_code
+        LEFT JOIN categories c ON c.category_id = ci.category_id
+        ${whereClause(byCategory.conds)}
+        GROUP BY ci.category_id, c.category_name
+        ORDER BY count DESC, value
+      `, byCategory.params),
+      sql(`
+        SELECT os.warehouse_id AS value, w.warehouse_name AS name, COUNT(*)::int AS count
+        ${from}
+        LEFT JOIN warehouses w ON w.warehouse_id = os.warehouse_id
+        ${whereClause(byWarehouse.conds)}
+        GROUP BY os.warehouse_id, w.warehouse_name
+        ORDER BY count DESC, value
+      `, byWarehouse.params)
+    ]);
+    return { total: total[0].count, facets: { status, category, warehouse } };
+  } catch (err) {
+    console.error('Error counting order shipments:', err);
+    throw err;
+  }
+};
+
 // Get order shipment by ID
 const getOrderShipmentById = async (id) => {
   try {
     const sql = await database.sql();
     const result = await sql`
       SELECT 
-        os.*
+        os.*,
+        COALESCE(r.quantity, 0) AS reserved_quantity,
+        r.item_id AS reserved_item_id
       FROM order_shipments os
+      LEFT JOIN stock_reservations r ON r.order_shipment_id = os.id AND r.status = 'active'
       WHERE os.id = ${id}
     `;
     return result[0] || null;
@@ -845,7 +1398,8 @@ const getOrderShipmentById = async (id) => {
 };
 
 // Create new order shipment
-const createOrderShipment = async (orderData) => {
+// context: { user } recorded in the order's status history
+const createOrderShipment = async (orderData, context = {}) => {
   try {
     const sql = await database.sql();
     const {
@@ -859,29 +1413,54 @@ const createOrderShipment = async (orderData) => {
       ship_date,
       delivery_date,
       tracking_number,
-      notes
+      notes,
+      warehouse_id,
+      bin_code
     } = orderData;
 
+    // Orders only reach shipped and beyond through status transitions, which move stock
+    const initialStatus = status ? String(status).toLowerCase() : 'processing';
+    if (!OPEN_ORDER_STATUSES.includes(initialStatus)) {
+      throw httpError(400, `New orders must start as one of: ${OPEN_ORDER_STATUSES.join(', ')}`);
+    }
+    const user = context.user || {};
+    // Orders given no value are valued at the item's net price on the order date
+    const orderValue = total_value != null ? total_value : await getOrderValue(item_code, quantity, order_date);
+
     const result = await sql`
-      INSERT INTO order_shipments (
-        order_id, customer_id, item_code, quantity, total_value,
-        status, order_date, ship_date, delivery_date, tracking_number, notes, updated_at
-      ) VALUES (
-        ${order_id}, ${customer_id}, ${item_code}, ${quantity}, ${total_value},
-        ${status || 'processing'}, ${order_date}, ${ship_date}, ${delivery_date}, ${tracking_number}, ${notes}, CURRENT_TIMESTAMP
+      WITH ins AS (
+        INSERT INTO order_shipments (
+          order_id, customer_id, item_code, quantity, total_value,
+          status, order_date, ship_date, delivery_date, tracking_number, notes,
+          warehouse_id, bin_code, updated_at
+        ) VALUES (
+          ${order_id}, ${customer_id}, ${item_code}, ${quantity}, ${orderValue},
+          ${initialStatus}, ${order_date}, ${ship_date}, ${delivery_date}, ${tracking_number}, ${notes},
+          ${warehouse_id || null}, ${bin_code || null}, CURRENT_TIMESTAMP
+        )
+        RETURNING *
+      ), hist AS (
+        INSERT INTO order_shipment_status_history (order_shipment_id, seq, from_status, to_status, user_id, username)
+        SELECT id, 1, NULL, status, ${user.id || null}, ${user.username || null} FROM ins
       )
-      RETURNING *
+      SELECT * FROM ins
     `;
 
-    return result[0];
+    const reservation = await reserveOrderStock(result[0]);
+    return { ...result[0], reserved_quantity: reservation ? reservation.quantity : 0 };
   } catch (err) {
     console.error('Error creating order shipment:', err);
     throw err;
   }
 };
 
-// Update order shipment
-const updateOrderShipment = async (id, orderData) => {
+// Update order shipment. A changed status goes through updateOrderShipmentStatus,
+// which writes the field changes in the same transaction; item and quantity can
+// only change while the order is open.
+// With context.partial only the fields present in orderData are written. With
+// context.expectedVersion the update only applies to that version of the order;
+// otherwise it fails with 409 and the current order.
+const updateOrderShipment = async (id, orderData, context = {}) => {
   try {
     const sql = await database.sql();
     const {
@@ -895,46 +1474,126 @@ const updateOrderShipment = async (id, orderData) => {
       ship_date,
       delivery_date,
       tracking_number,
-      notes
+      notes,
+      warehouse_id,
+      bin_code
     } = orderData;
+    // A full update writes every column
+    const sets = (field) => !context.partial || orderData[field] !== undefined;
 
-    const result = await sql`
+    const existing = await sql`
+      SELECT status, item_code, quantity, order_date::text AS order_date, version FROM order_shipments WHERE id = ${id}
+    `;
+    if (!existing.length) return null;
+    const current = existing[0];
+    const staleVersion = async () => httpError(409, 'This order was changed by someone else since you loaded it', {
+      current: await getOrderShipmentById(id)
+    });
+    if (context.expectedVersion != null && current.version !== context.expectedVersion) {
+      throw await staleVersion();
+    }
+    const currentStatus = String(current.status || '').toLowerCase();
+    const nextStatus = status ? String(status).toLowerCase() : currentStatus;
+    if (nextStatus !== currentStatus) {
+      assertOrderTransition(currentStatus, nextStatus);
+    }
+    const nextItemCode = sets('item_code') ? item_code : current.item_code;
+    const nextQuantity = sets('quantity') ? quantity : current.quantity;
+    const itemChanged = (nextItemCode || null) !== (current.item_code || null) || Number(nextQuantity) !== Number(current.quantity);
+    if (itemChanged && !OPEN_ORDER_STATUSES.includes(currentStatus)) {
+      throw httpError(409, `The item and quantity of a ${currentStatus} order cannot be changed`);
+    }
+    // As on create, an order given no value is valued at the item's net price on
+    // the order date rather than left without one
+    const orderValue = sets('total_value') && total_value == null
+      ? await getOrderValue(nextItemCode, nextQuantity, sets('order_date') ? order_date : current.order_date)
+      : total_value;
+
+    // The ship-from location is only changed when the caller sends it
+    const fieldsQuery = sql`
       UPDATE order_shipments SET
-        order_id = ${order_id},
-        customer_id = ${customer_id},
-        item_code = ${item_code},
-        quantity = ${quantity},
-        total_value = ${total_value},
-        status = ${status},
-        order_date = ${order_date},
-        ship_date = ${ship_date},
-        delivery_date = ${delivery_date},
-        tracking_number = ${tracking_number},
-        notes = ${notes},
+        order_id = CASE WHEN ${sets('order_id')} THEN ${order_id} ELSE order_id END,
+        customer_id = CASE WHEN ${sets('customer_id')} THEN ${customer_id} ELSE customer_id END,
+        item_code = CASE WHEN ${sets('item_code')} THEN ${item_code} ELSE item_code END,
+        quantity = CASE WHEN ${sets('quantity')} THEN ${quantity} ELSE quantity END,
+        total_value = CASE WHEN ${sets('total_value')} THEN ${orderValue} ELSE total_value END,
+        order_date = CASE WHEN ${sets('order_date')} THEN ${order_date} ELSE order_date END,
+        ship_date = CASE WHEN ${sets('ship_date')} THEN ${ship_date} ELSE ship_date END,
+        delivery_date = CASE WHEN ${sets('delivery_date')} THEN ${delivery_date} ELSE delivery_date END,
+        tracking_number = CASE WHEN ${sets('tracking_number')} THEN ${tracking_number} ELSE tracking_number END,
+        notes = CASE WHEN ${sets('notes')} THEN ${notes} ELSE notes END,
+        warehouse_id = CASE WHEN ${warehouse_id !== undefined} THEN ${warehouse_id || null} ELSE warehouse_id END,
+        bin_code = CASE WHEN ${bin_code !== undefined} THEN ${bin_code || null} ELSE bin_code END,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${id}
+      WHERE id = ${id} AND version = ${current.version}
       RETURNING *
     `;
 
-    return result[0];
+    if (nextStatus !== currentStatus) {
+      // Nothing is saved unless the status change succeeds
+      await updateOrderShipmentStatus(id, nextStatus, {
+        user: context.user,
+        expectedVersion: current.version,
+        fieldsQuery,
+        order: {
+          item_code: nextItemCode,
+          quantity: nextQuantity,
+          ...(warehouse_id !== undefined ? { warehouse_id: warehouse_id || null, bin_code: bin_code || null } : {})
+        }
+      });
+      return await getOrderShipmentById(id);
+    }
+
+    const result = await fieldsQuery;
+    if (!result[0]) {
+      // Changed between the read above and this update
+      if (context.expectedVersion != null) throw await staleVersion();
+      throw httpError(409, 'The order changed while it was being updated; try again');
+    }
+    // Re-reserve when the item or quantity changed
+    await syncOrderReservation(result[0]);
+    return await getOrderShipmentById(id);
   } catch (err) {
     console.error('Error updating order shipment:', err);
     throw err;
   }
 };
 
-// Delete order shipment
-const deleteOrderShipment = async (id) => {
+// Update only the fields supplied in changes (checked by the route's schema;
+// context as for updateOrderShipment)
+const patchOrderShipment = async (id, changes, context = {}) => {
+  if (!Object.keys(changes).length) {
+    throw httpError(400, 'No fields to update');
+  }
+  return updateOrderShipment(id, changes, { ...context, partial: true });
+};
+
+// Delete order shipment; stock it shipped and that has not come back is restocked
+const deleteOrderShipment = async (id, context = {}) => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      DELETE FROM order_shipments WHERE id = ${id}
-      RETURNING *
-    `;
-    return result[0];
+    await assertNoCustomerReturns(sql, id);
+    const reversals = await buildShipmentReversalQueries(sql, id, {
+      user: context.user,
+      notes: 'Order deleted'
+    });
+    const serialQueries = await buildOrderSerialsQueries(sql, id, 'in_stock', {
+      user: context.user,
+      notes: 'Order deleted'
+    });
+    const results = await sql.transaction([
+      ...reversals,
+      ...serialQueries,
+      buildReleaseQuery(sql, id, 'released', 'order_deleted'),
+      sql`
+        DELETE FROM order_shipments WHERE id = ${id}
+        RETURNING *
+      `
+    ]);
+    return results[results.length - 1][0];
   } catch (err) {
     console.error('Error deleting order shipment:', err);
-    throw err;
+    throw toSerialError(toStockError(err));
   }
 };
 
@@ -946,12 +1605,22 @@ const getOrderShipmentStats = async () => {
     const delivered = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'delivered'`;
     const shipped = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'shipped'`;
     const processing = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'processing'`;
+    const packed = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'packed'`;
+    const returned = await sql`
+      SELECT COUNT(*) as count, COALESCE(SUM(returned_quantity), 0) as quantity
+      FROM order_shipments WHERE returned_quantity > 0
+    `;
+    const openReturns = await sql`SELECT COUNT(*) as count FROM returns WHERE status IN ('requested', 'received', 'inspected')`;
 
     return {
       totalOrders: parseInt(total[0].count),
       deliveredOrders: parseInt(delivered[0].count),
       shippedOrders: parseInt(shipped[0].count),
-      processingOrders: parseInt(processing[0].count)
+      processingOrders: parseInt(processing[0].count),
+      packedOrders: parseInt(packed[0].count),
+      returnedOrders: parseInt(returned[0].count),
+      returnedQuantity: parseInt(returned[0].quantity),
+      openReturns: parseInt(openReturns[0].count)
     };
   } catch (err) {
     console.error('Error fetching order shipment statistics:', err);
@@ -977,89 +1646,279 @@ const getRecentOrderShipmentActivity = async (limit = 10) => {
   }
 };
 
-// Update order shipment status (Mark Shipped with inventory deduction)
+// Choose the locations to ship an item from. An explicit warehouse (and bin) is
+// used as-is. Otherwise the home warehouse is preferred, then the location with
+// the most stock; when no single location holds enough, stock is taken from
+// several in that order. Returns [] when the item's total stock is short.
+const chooseShipmentSources = async (sql, itemId, quantity, preferred = {}) => {
+  // Items held in lots ship first-expiry-first-out
+  const fefoSources = await chooseFefoSources(sql, itemId, quantity, preferred);
+  if (fefoSources) return fefoSources;
+  if (preferred.warehouseId) {
+    return [{ warehouseId: preferred.warehouseId, binCode: preferred.binCode || null, quantity }];
+  }
+  const locations = await sql`
+    SELECT l.warehouse_id, NULLIF(l.bin_code, '') AS bin_code, l.quantity
+    FROM inventory_locations l
+    JOIN inventory_items i ON i.id = l.item_id
+    WHERE l.item_id = ${itemId} AND l.quantity > 0
+    ORDER BY (l.warehouse_id = i.warehouse_id) DESC, l.quantity DESC, l.warehouse_id, l.bin_code
+  `;
+  const single = locations.find(l => l.quantity >= quantity);
+  if (single) {
+    return [{ warehouseId: single.warehouse_id, binCode: single.bin_code, quantity }];
+  }
+  const sources = [];
+  let remaining = quantity;
+  for (const l of locations) {
+    if (remaining <= 0) break;
+    const take = Math.min(l.quantity, remaining);
+    sources.push({ warehouseId: l.warehouse_id, binCode: l.bin_code, quantity: take });
+    remaining -= take;
+  }
+  return remaining > 0 ? [] : sources;
+};
+
+// Move an order to another status, enforcing ORDER_STATUS_TRANSITIONS.
+// Shipping deducts stock (fulfilling the order's reservation); moving a shipped
+// order back, or returning it, restocks what it shipped. Stock changes, the
+// status and its history row are written in one transaction.
+// options.warehouseId / options.binCode pick the ship-from location, overriding the order's own.
+// options.serialNumbers names the units of a serialized item that ship (see serials.js).
+// options.expectedVersion only changes that version of the order (409 otherwise);
+// options.fieldsQuery, an unrun update of the order's other fields, is written in
+// the same transaction, and options.order gives the item_code, quantity and
+// ship-from location it sets so a shipment takes them into account.
 const updateOrderShipmentStatus = async (id, status, options = {}) => {
   try {
     const sql = await database.sql();
+    const nextStatus = String(status || '').toLowerCase();
+    const rows = await sql`
+      SELECT os.status, os.item_code, os.product_id, os.quantity, os.warehouse_id, os.bin_code, os.version,
+        (SELECT COALESCE(MAX(h.seq), 0) FROM order_shipment_status_history h WHERE h.order_shipment_id = os.id) AS last_seq
+      FROM order_shipments os
+      WHERE os.id = ${id}
+    `;
+    if (!rows.length) throw httpError(404, 'Order not found');
+    const current = rows[0];
+    const staleVersion = async () => httpError(409, 'This order was changed by someone else since you loaded it', {
+      current: await getOrderShipmentById(id)
+    });
+    if (options.expectedVersion != null && current.version !== options.expectedVersion) {
+      throw await staleVersion();
+    }
+    const currentStatus = String(current.status || '').toLowerCase();
+    if (nextStatus === currentStatus) {
+      return await getOrderShipmentById(id);
+    }
+    assertOrderTransition(currentStatus, nextStatus);
+    // The order as it will be once options.order is applied
+    const order = { ...current, ...(options.order || {}) };
+    const itemEdited = (order.item_code || null) !== (current.item_code || null);
+
     const setShipDate = options.setShipDate ? options.setShipDate : null;
     const setDeliveryDate = options.setDeliveryDate ? options.setDeliveryDate : null;
-    const willSetTracking = String(status || '').toLowerCase() === 'shipped';
+    const willSetTracking = nextStatus === 'shipped';
     const generatedTracking = willSetTracking ? `TRCK${Math.floor(100000 + Math.random() * 900000)}` : null;
+    const user = options.user || {};
 
-    // If marking as shipped, ensure sufficient inventory and deduct only on first transition
-    if (String(status || '').toLowerCase() === 'shipped') {
-      const rows = await sql`SELECT status, item_code, product_id, quantity FROM order_shipments WHERE id = ${id}`;
-      if (!rows.length) throw new Error('Order not found');
-      const current = rows[0];
-      const currentStatus = String(current.status || '').toLowerCase();
-      if (currentStatus !== 'shipped' && currentStatus !== 'delivered') {
-        const requiredQty = Number(current.quantity) || 0;
-        if (requiredQty > 0) {
-          let invItem = null;
-          if (current.item_code) {
-            const itemsByCode = await sql`SELECT id, total_quantity FROM inventory_items WHERE item_code = ${current.item_code} LIMIT 1`;
-            if (itemsByCode.length) invItem = itemsByCode[0];
-          }
-          if (!invItem && current.product_id) {
-            const itemsByProduct = await sql`SELECT id, total_quantity FROM inventory_items WHERE product_id = ${current.product_id} ORDER BY total_quantity DESC LIMIT 1`;
-            if (itemsByProduct.length) invItem = itemsByProduct[0];
-          }
-          if (!invItem) {
-            throw new Error('you cannot ship the item');
-          }
-          const updatedStock = await sql`
-            UPDATE inventory_items
-            SET total_quantity = total_quantity - ${requiredQty},
-                status = CASE WHEN total_quantity - ${requiredQty} <= 0 THEN 'out of stock' ELSE status END,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ${invItem.id} AND total_quantity >= ${requiredQty}
-            RETURNING id, total_quantity
-          `;
-          if (!updatedStock.length) {
-            throw new Error('you cannot ship the item');
+    const stockQueries = [];
+    if (nextStatus === 'shipped' && !SHIPPED_ORDER_STATUSES.includes(currentStatus)) {
+      // Ensure sufficient inventory and deduct it
+      const requiredQty = Number(order.quantity) || 0;
+      if (requiredQty > 0) {
+        // Ship the item the order reserved, if any; its own reservation counts as available
+        // unless the item is being changed
+        const reservations = itemEdited ? [] : await sql`
+          SELECT r.item_id, r.quantity, i.total_quantity, i.reserved_quantity
+          FROM stock_reservations r
+          JOIN inventory_items i ON i.id = r.item_id
+          WHERE r.order_shipment_id = ${id} AND r.status = 'active'
+        `;
+        const reservation = reservations[0] || null;
+        const invItem = reservation
+          ? { id: reservation.item_id, total_quantity: reservation.total_quantity, reserved_quantity: reservation.reserved_quantity }
+          : await resolveOrderItem(sql, order);
+        if (!invItem) {
+          throw httpError(400, 'you cannot ship the item');
+        }
+        const ownReserved = reservation ? reservation.quantity : 0;
+        const availableQty = (Number(invItem.total_quantity) || 0) - (Number(invItem.reserved_quantity) || 0) + ownReserved;
+        if (availableQty < requiredQty) {
+          throw httpError(400, 'you cannot ship the item: stock is reserved for other orders');
+        }
+        // Named serial numbers ship from where those units are
+        const serialNumbers = parseSerialNumbers(options.serialNumbers);
+        let sources;
+        let units;
+        if (serialNumbers.length) {
+          units = await chooseShipmentSerials(sql, id, invItem.id, requiredQty, [], serialNumbers);
+          sources = units.sources;
+        } else {
+          sources = await chooseShipmentSources(sql, invItem.id, requiredQty, {
+            warehouseId: options.warehouseId || order.warehouse_id,
+            binCode: options.warehouseId ? options.binCode : order.bin_code
+          });
+          if (!sources.length) {
+            throw httpError(400, 'you cannot ship the item');
           }
+          units = await chooseShipmentSerials(sql, id, invItem.id, requiredQty, sources);
+        }
+        if (units) {
+          // Units set aside for the order that did not ship go back into stock
+          stockQueries.push(
+            ...await buildOrderSerialsQueries(sql, id, 'in_stock', {
+              fromStatuses: ['reserved'],
+              exceptIds: units.serialIds,
+              user: options.user,
+              notes: 'Other units shipped'
+            }),
+            buildSerialStatusQuery(sql, {
+              serialIds: units.serialIds,
+              toStatus: 'shipped',
+              fromStatuses: ['in_stock', 'reserved'],
+              ownerOrderId: id,
+              orderShipmentId: id,
+              user: options.user,
+              referenceType: 'order_shipment',
+              referenceId: id
+            })
+          );
         }
+        // Strict subtracts fail the whole transaction if any location ran short meanwhile
+        stockQueries.push(
+          buildReleaseQuery(sql, id, reservation ? 'fulfilled' : 'released', 'shipped'),
+          ...sources.map(source => buildStockChangeQuery(sql, {
+            itemId: invItem.id,
+            warehouseId: source.warehouseId,
+            binCode: source.binCode,
+            lotNumber: source.lotNumber,
+            operation: 'subtract',
+            quantity: source.quantity,
+            strict: true,
+            movementType: 'shipment',
+            user: options.user,
+            referenceType: 'order_shipment',
+            referenceId: id
+          }))
+        );
       }
+    } else if (SHIPPED_ORDER_STATUSES.includes(currentStatus) && !SHIPPED_ORDER_STATUSES.includes(nextStatus)) {
+      await assertNoCustomerReturns(sql, id);
+      const notes = nextStatus === 'returned' ? 'Order returned' : `Shipment undone (order back to ${nextStatus})`;
+      stockQueries.push(...await buildShipmentReversalQueries(sql, id, { user: options.user, notes }));
+      // Units come back as returns, or stay set aside for the reopened order
+      stockQueries.push(...await buildOrderSerialsQueries(sql, id, nextStatus === 'returned' ? 'returned' : 'reserved', {
+        fromStatuses: ['shipped'],
+        user: options.user,
+        notes
+      }));
+    } else if (nextStatus === 'cancelled') {
+      stockQueries.push(...await buildOrderSerialsQueries(sql, id, 'in_stock', {
+        fromStatuses: ['reserved'],
+        user: options.user,
+        notes: 'Order cancelled'
+      }));
     }
 
-    const result = await sql`
-      UPDATE order_shipments
-      SET status = ${status},
-          ship_date = COALESCE(${setShipDate}, ship_date),
-          delivery_date = COALESCE(${setDeliveryDate}, delivery_date),
-          tracking_number = CASE WHEN ${willSetTracking} THEN COALESCE(tracking_number, ${generatedTracking}) ELSE tracking_number END,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${id}
-      RETURNING *
-    `;
+    let results;
+    try {
+      results = await sql.transaction([
+        // A concurrent change of this order takes the same seq and aborts one of the two;
+        // an edit since the read above leaves the order id null, which aborts this one
+        sql`
+          INSERT INTO order_shipment_status_history (order_shipment_id, seq, from_status, to_status, user_id, username, notes)
+          VALUES (
+            (SELECT id FROM order_shipments WHERE id = ${id} AND version = ${current.version} FOR UPDATE),
+            ${Number(current.last_seq) + 1}, ${current.status}, ${nextStatus}, ${user.id || null}, ${user.username || null}, ${options.notes || null}
+          )
+        `,
+        ...(options.fieldsQuery ? [options.fieldsQuery] : []),
+        ...stockQueries,
+        sql`
+          UPDATE order_shipments
+          SET status = ${nextStatus},
+              ship_date = COALESCE(${setShipDate}, ship_date),
+              delivery_date = COALESCE(${setDeliveryDate}, delivery_date),
+              tracking_number = CASE WHEN ${willSetTracking} THEN COALESCE(tracking_number, ${generatedTracking}) ELSE tracking_number END,
+              returned_quantity = CASE WHEN ${nextStatus === 'returned'} THEN COALESCE(quantity, 0) ELSE returned_quantity END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ${id}
+          RETURNING *
+        `
+      ]);
+    } catch (txErr) {
+      if (txErr && txErr.constraint === 'uq_order_status_history_seq') {
+        throw httpError(409, 'Order was changed by someone else, reload and try again');
+      }
+      if (txErr && txErr.code === '23502' && txErr.column === 'order_shipment_id') {
+        throw await staleVersion();
+      }
+      if (toStockError(txErr) !== txErr) {
+        throw httpError(400, nextStatus === 'shipped' ? 'you cannot ship the item' : toStockError(txErr).message);
+      }
+      throw toSerialError(txErr);
+    }
+    const updated = results[results.length - 1][0];
 
-    return result[0];
+    // Orders back in an open status reserve again; cancelled ones release theirs
+    if (nextStatus !== 'shipped') {
+      await syncOrderReservation(updated, 'status_changed');
+    }
+    return updated;
   } catch (err) {
     console.error('Error updating order status:', err);
     throw err;
   }
 };
 
+// Status changes of an order, oldest first
+const getOrderStatusHistory = async (orderShipmentId) => {
+  try {
+    const sql = await database.sql();
+    return await sql`
+      SELECT * FROM order_shipment_status_history
+      WHERE order_shipment_id = ${orderShipmentId}
+      ORDER BY seq
+    `;
+  } catch (err) {
+    console.error('Error fetching order status history:', err);
+    throw err;
+  }
+};
+
 module.exports = {
+  MAX_PAGE_SIZE,
+  inventoryListConditions,
+  orderListConditions,
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
   initializeInventoryTable,
   initializeOrderShipmentsTable,
+  initializeRecordVersions,
   getAllInventoryItems,
+  getInventoryListTotals,
   getInventoryItemById,
   createInventoryItem,
   updateInventoryItem,
+  patchInventoryItem,
   deleteInventoryItem,
   deleteMultipleInventoryItems,
   getAllCategories,
   getAllWarehouses,
   getInventoryStats,
   updateItemQuantity,
+  moveItemStock,
   getAllOrderShipments,
+  getOrderShipmentListTotals,
   getOrderShipmentById,
   createOrderShipment,
   updateOrderShipment,
+  patchOrderShipment,
   deleteOrderShipment,
   getOrderShipmentStats,
   updateOrderShipmentStatus,
+  getOrderStatusHistory,
   getStockOverview,
   getStockByCategory,
   getStockByWarehouse,
@@ -0,0 +1,349 @@
+const ExcelJS = require('exceljs');
+const database = require('./database');
+const { httpError } = require('./errors');
+const { checkFields, schemas } = require('./validation');
+const { buildStockChangeQuery, buildLocationMoveQuery, totalSetMessage, toStockError } = require('./stockMovements');
+
+// Most data rows one import file may hold
+const MAX_IMPORT_ROWS = 5000;
+
+// Headings an import file may use for each column, compared lowercased with
+// spaces and dashes read as underscores. product takes a product id or name,
+// category and warehouse their code (or name).
+const IMPORT_COLUMNS = {
+  item_code: ['item_code', 'code', 'sku'],
+  product: ['product', 'product_id', 'product_name'],
+  unit_of_measure: ['unit_of_measure', 'uom', 'unit'],
+  category: ['category', 'category_id', 'category_code', 'category_name'],
+  warehouse: ['warehouse', 'warehouse_id', 'warehouse_code', 'warehouse_name'],
+  status: ['status'],
+  total_quantity: ['total_quantity', 'quantity', 'qty'],
+  reorder_point: ['reorder_point'],
+  reorder_quantity: ['reorder_quantity'],
+  safety_stock: ['safety_stock']
+};
+
+// Item columns an update compares to tell changed rows from unchanged ones
+const ITEM_FIELDS = [
+  'product_id', 'unit_of_measure', 'category_id', 'status', 'warehouse_id',
+  'total_quantity', 'reorder_point', 'reorder_quantity', 'safety_stock'
+];
+
+const normalizeHeading = (heading) => String(heading || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Rows of a CSV text as arrays of cell strings (RFC 4180 quoting). A first line
+// with semicolons but no commas, as saved by Excel in some locales, is read
+// with semicolons.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Rows of the first worksheet of an XLSX workbook, as the cells' displayed text
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw httpError(400, 'The file is not a readable XLSX workbook');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      cells.push(row.getCell(column).text);
+    }
+    rows[rowNumber - 1] = cells;
+  });
+  return Array.from(rows, row => row || []);
+};
+
+// XLSX files are zip archives; anything else is read as UTF-8 CSV
+const readRows = (buffer) => {
+  const isZip = buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+  return isZip ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+};
+
+// Map the heading row to { column: index }; headings that match no column are
+// reported as ignored
+const mapColumns = (headingRow) => {
+  const columns = {};
+  const ignored = [];
+  headingRow.forEach((heading, index) => {
+    const name = normalizeHeading(heading);
+    if (!name) return;
+    const column = Object.keys(IMPORT_COLUMNS).find(key => IMPORT_COLUMNS[key].includes(name));
+    if (column && columns[column] === undefined) {
+      columns[column] = index;
+    } else {
+      ignored.push(String(heading).trim());
+    }
+  });
+  if (columns.item_code === undefined) {
+    throw httpError(400, 'The file needs an item_code column', { ignored_columns: ignored });
+  }
+  return { columns, ignored };
+};
+
+// Look a code or name up in rows; resolves to the id, or throws when the
+// value matches nothing or several rows
+const resolveCode = (value, rows, idKey, nameKey, label) => {
+  const wanted = value.toLowerCase();
+  const byId = rows.find(row => String(row[idKey]).toLowerCase() === wanted);
+  if (byId) return byId[idKey];
+  const byName = rows.filter(row => String(row[nameKey] || '').toLowerCase() === wanted);
+  if (byName.length === 1) return byName[0][idKey];
+  if (byName.length > 1) throw new Error(`Several ${label}s are named ${value}; use the ${label} code`);
+  throw new Error(`Unknown ${label} ${value}`);
+};
+
+// Products, categories, warehouses and existing items the rows refer to
+const loadReferences = async (sql, rows) => {
+  const codes = rows.map(row => row.item_code).filter(Boolean);
+  const products = rows.map(row => row.product).filter(Boolean);
+  const productIds = products.filter(value => /^\d+$/.test(value)).map(Number);
+  const productNames = products.map(value => value.toLowerCase());
+  const [productRows, categories, warehouses, items] = await Promise.all([
+    sql`
+      SELECT product_id, product_name FROM products
+      WHERE product_id = ANY(${productIds}) OR LOWER(product_name) = ANY(${productNames})
+    `,
+    sql`SELECT category_id, category_name FROM categories`,
+    sql`SELECT warehouse_id, warehouse_name FROM warehouses`,
+    sql`
+      SELECT i.id, i.item_code, i.product_id, i.unit_of_measure, i.category_id, i.status,
+        i.warehouse_id, i.total_quantity, i.reorder_point, i.reorder_quantity, i.safety_stock,
+        COALESCE(home.quantity, 0) AS home_quantity,
+        (SELECT COALESCE(SUM(l.quantity), 0) FROM inventory_locations l WHERE l.item_id = i.id)::int AS located_quantity,
+        (SELECT json_object_agg(l.warehouse_id, l.quantity) FROM inventory_locations l WHERE l.item_id = i.id AND l.bin_code = '') AS unbinned_quantities
+      FROM inventory_items i
+      LEFT JOIN inventory_locations home
+        ON home.item_id = i.id AND home.warehouse_id = i.warehouse_id AND home.bin_code = ''
+      WHERE i.item_code = ANY(${codes})
+    `
+  ]);
+  return {
+    products: productRows,
+    categories,
+    warehouses,
+    items: new Map(items.map(item => [item.item_code, item]))
+  };
+};
+
+// Check one row and work out what importing it would do: create, update (with
+// the changed fields) or nothing. Blank cells are left out, so an update keeps
+// the item's current value for them.
+const planRow = (row, references) => {
+  const fields = {};
+  const values = {};
+  for (const key of ['item_code', 'unit_of_measure', 'total_quantity', 'reorder_point', 'reorder_quantity', 'safety_stock']) {
+    if (row[key]) values[key] = row[key];
+  }
+  if (row.status) values.status = row.status.toLowerCase();
+  const lookups = [
+    ['product', 'product_id', () => resolveCode(row.product, references.products, 'product_id', 'product_name', 'product')],
+    ['category', 'category_id', () => resolveCode(row.category, references.categories, 'category_id', 'category_name', 'category')],
+    ['warehouse', 'warehouse_id', () => resolveCode(row.warehouse, references.warehouses, 'warehouse_id', 'warehouse_name', 'warehouse')]
+  ];
+  for (const [column, field, resolve] of lookups) {
+    if (!row[column]) continue;
+    try {
+      values[field] = resolve();
+    } catch (err) {
+      fields[field] = err.message;
+    }
+  }
+
+  const existing = references.items.get(row.item_code);
+  let checked = {};
+  try {
+    checked = checkFields(values, schemas.inventoryImportRow, { partial: !!existing });
+  } catch (err) {
+    // A product, category or warehouse that did not resolve keeps its own message
+    for (const [field, message] of Object.entries(err.details.fields)) {
+      if (!fields[field]) fields[field] = message;
+    }
+  }
+  if (Object.keys(fields).length) {
+    return { action: 'error', errors: fields };
+  }
+  if (!existing) {
+    return { action: 'create', values: { status: 'active', ...checked } };
+  }
+  const changes = {};
+  for (const field of ITEM_FIELDS) {
+    if (checked[field] !== undefined && String(checked[field]) !== String(existing[field] ?? '')) {
+      changes[field] = { from: existing[field], to: checked[field] };
+    }
+  }
+  // The quantity is set at the home location, as in updateInventoryItem (see checkTotalSet)
+  if (changes.total_quantity) {
+    const unbinned = existing.unbinned_quantities || {};
+    const homes = new Set([existing.warehouse_id, checked.warehouse_id || existing.warehouse_id]);
+    const elsewhere = [...homes].reduce((rest, home) => rest - (unbinned[home] || 0), existing.located_quantity);
+    if (checked.total_quantity < elsewhere) {
+      return { action: 'error', errors: { total_quantity: totalSetMessage(elsewhere) } };
+    }
+  }
+  return { action: Object.keys(changes).length ? 'update' : 'unchanged', values: checked, changes, existing };
+};
+
+// Statements that apply one planned row: a new item is inserted at zero and its
+// opening balance posted through the ledger, an update moves stock along with a
+// changed home warehouse and posts a changed quantity, like updateInventoryItem
+const buildRowQueries = (sql, plan, context) => {
+  const v = plan.values;
+  const movement = { movementType: 'adjustment', user: context.user, notes: 'Imported' };
+  if (plan.action === 'create') {
+    const queries = [sql`
+      INSERT INTO inventory_items (
+        item_code, product_id, unit_of_measure, category_id, status, warehouse_id, total_quantity,
+        reorder_point, reorder_quantity, safety_stock, updated_at
+      ) VALUES (
+        ${v.item_code}, ${v.product_id}, ${v.unit_of_measure}, ${v.category_id ?? null}, ${v.status},
+        ${v.warehouse_id ?? null}, 0, ${v.reorder_point ?? null}, ${v.reorder_quantity ?? null},
+        ${v.safety_stock ?? 0}, CURRENT_TIMESTAMP
+      )
+    `];
+    if (v.total_quantity) {
+      queries.push(buildStockChangeQuery(sql, { ...movement, itemCode: v.item_code, operation: 'set', quantity: v.total_quantity }));
+    }
+    return queries;
+  }
+
+  const { existing, changes } = plan;
+  const queries = [sql`
+    UPDATE inventory_items SET
+      product_id = COALESCE(${v.product_id ?? null}, product_id),
+      unit_of_measure = COALESCE(${v.unit_of_measure ?? null}, unit_of_measure),
+      category_id = COALESCE(${v.category_id ?? null}, category_id),
+      status = COALESCE(${v.status ?? null}, status),
+      warehouse_id = COALESCE(${v.warehouse_id ?? null}, warehouse_id),
+      reorder_point = COALESCE(${v.reorder_point ?? null}, reorder_point),
+      reorder_quantity = COALESCE(${v.reorder_quantity ?? null}, reorder_quantity),
+      safety_stock = COALESCE(${v.safety_stock ?? null}, safety_stock),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${existing.id}
+  `];
+  if (changes.warehouse_id && existing.warehouse_id && Number(existing.home_quantity) > 0) {
+    queries.push(buildLocationMoveQuery(sql, {
+      itemId: existing.id,
+      quantity: Number(existing.home_quantity),
+      fromWarehouseId: existing.warehouse_id,
+      toWarehouseId: v.warehouse_id,
+      user: context.user,
+      notes: 'Home warehouse changed by import'
+    }));
+  }
+  if (changes.total_quantity) {
+    queries.push(buildStockChangeQuery(sql, { ...movement, itemId: existing.id, operation: 'set', quantity: v.total_quantity }));
+  }
+  return queries;
+};
+
+// Import inventory items from a CSV or XLSX file, upserting by item_code. Every
+// row is checked first; the report lists each row's action (create, update,
+// unchanged or error) with its changes or field errors, and a summary. With
+// options.dryRun nothing is written. Otherwise a file with any error row is
+// refused as a whole (400 carrying the report), and a clean one is applied in
+// a single transaction. options.user is recorded on the stock movements.
+const importInventoryItems = async (buffer, options = {}) => {
+  try {
+    if (!Buffer.isBuffer(buffer) || !buffer.length) {
+      throw httpError(400, 'Send the CSV or XLSX file as the request body');
+    }
+    const [headingRow = [], ...dataRows] = await readRows(buffer);
+    const { columns, ignored } = mapColumns(headingRow);
+
+    const rows = [];
+    dataRows.forEach((cells, index) => {
+      if (!cells.some(cell => String(cell).trim())) return;
+      const row = { row: index + 2 };
+      for (const [column, cellIndex] of Object.entries(columns)) {
+        row[column] = String(cells[cellIndex] ?? '').trim();
+      }
+      rows.push(row);
+    });
+    if (!rows.length) throw httpError(400, 'The file has no item rows');
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw httpError(400, `The file has ${rows.length} item rows; import at most ${MAX_IMPORT_ROWS} at a time`);
+    }
+
+    const sql = await database.sql();
+    const references = await loadReferences(sql, rows);
+    const seen = new Set();
+    const plans = rows.map(row => {
+      if (row.item_code && seen.has(row.item_code)) {
+        return { row, plan: { action: 'error', errors: { item_code: `item_code ${row.item_code} appears more than once in the file` } } };
+      }
+      seen.add(row.item_code);
+      return { row, plan: planRow(row, references) };
+    });
+
+    const summary = { rows: rows.length, create: 0, update: 0, unchanged: 0, error: 0 };
+    const report = plans.map(({ row, plan }) => {
+      summary[plan.action]++;
+      const entry = { row: row.row, item_code: row.item_code || null, action: plan.action };
+      if (plan.changes && plan.action === 'update') entry.changes = plan.changes;
+      if (plan.errors) entry.errors = plan.errors;
+      return entry;
+    });
+    const result = { dry_run: !!options.dryRun, summary, rows: report, ignored_columns: ignored };
+
+    if (options.dryRun) return result;
+    if (summary.error) {
+      throw httpError(400, `${summary.error} row${summary.error === 1 ? '' : 's'} of the file have errors; nothing was imported`, result);
+    }
+    const queries = plans.flatMap(({ plan }) => (
+      plan.action === 'create' || plan.action === 'update' ? buildRowQueries(sql, plan, options) : []
+    ));
+    if (queries.length) await sql.transaction(queries);
+    return result;
+  } catch (err) {
+    console.error('Error importing inventory items:', err);
+    throw toStockError(err);
+  }
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  importInventoryItems
+};
@@ -0,0 +1,254 @@
+const database = require('./database');
+
+// How often the ledger, order history and notifications are checked for new rows
+// while anyone is listening
+const POLL_INTERVAL_MS = parseInt(process.env.LIVE_EVENTS_POLL_MS) || 2000;
+const HEARTBEAT_MS = 25000;
+// Recent events kept so a reconnecting browser (Last-Event-ID) misses nothing
+const REPLAY_SIZE = 200;
+// Rows read per table and check
+const BATCH_SIZE = 500;
+// Rows are found by created_at, which is when the transaction that wrote them
+// started, so a slow transaction can commit rows older (and with lower ids)
+// than ones already pushed. Each check looks back this far before where the
+// last one ended and skips rows it has already pushed; rows from transactions
+// that take longer than this to commit are missed.
+const COMMIT_OVERLAP_MS = parseInt(process.env.LIVE_EVENTS_OVERLAP_MS) || 30000;
+
+const clients = new Set();
+const recent = [];
+let lastEventId = 0;
+let cursor = null;
+let pollTimer = null;
+let polling = false;
+
+const send = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+const isFor = (client, event) => !event.userId || client.user.id === event.userId;
+
+// Send an event to every connected browser, or only to userId's
+const publish = (type, data, userId = null) => {
+  const event = { id: ++lastEventId, type, data, userId };
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) recent.shift();
+  for (const client of clients) {
+    if (isFor(client, event)) send(client.res, event);
+  }
+  return event;
+};
+
+// Times are kept as milliseconds on the database's clock, converted in SQL so
+// the server's time zone never comes into it
+const atMs = (column) => `(EXTRACT(EPOCH FROM ${column}) * 1000)::float8`;
+const fromMs = (param) => `('epoch'::timestamp + ${param} * interval '1 millisecond')`;
+
+const databaseNow = async (sql) => {
+  const rows = await sql(`SELECT ${atMs('LOCALTIMESTAMP')} AS now`);
+  return rows[0].now;
+};
+
+// A watched table's place: read up to since, with the ids already pushed from
+// the overlap before it (and their created_at) in seen
+const windowStart = (watch) => watch.since - COMMIT_OVERLAP_MS;
+
+// Condition on alias's rows for those not yet pushed; adds its parameters
+const unseen = (watch, alias, params) => {
+  params.push(windowStart(watch), [...watch.seen.keys()]);
+  return `${alias}.created_at > ${fromMs(`$${params.length - 1}`)} AND NOT (${alias}.id = ANY($${params.length}))`;
+};
+
+// Record rows (oldest first, with at_ms) pushed by a check that began at now.
+// Only a short batch means the table was read to now.
+const advance = (watch, rows, now) => {
+  for (const row of rows) watch.seen.set(row.id, row.at_ms);
+  watch.since = rows.length < BATCH_SIZE ? now : rows[rows.length - 1].at_ms;
+  for (const [id, at] of watch.seen) {
+    if (at <= windowStart(watch)) watch.seen.delete(id);
+  }
+};
+
+const withoutAtMs = ({ at_ms, ...row }) => row;
+
+// Where the tables end now; only rows added after this are pushed. Rows
+// already in the overlap are marked seen.
+const readCursor = async (sql) => {
+  const now = await databaseNow(sql);
+  const watch = async (table) => {
+    const rows = await sql(`
+      SELECT id, ${atMs('created_at')} AS at_ms FROM ${table}
+      WHERE created_at > ${fromMs('$1')}
+    `, [now - COMMIT_OVERLAP_MS]);
+    return { since: now, seen: new Map(rows.map(row => [row.id, row.at_ms])) };
+  };
+  return {
+    movements: await watch('stock_movements'),
+    history: await watch('order_shipment_status_history'),
+    notifications: await watch('notifications')
+  };
+};
+
+// Stock changes since the last check, one event per item with its new balance
+const pollStockMovements = async (sql, cursor, now) => {
+  const params = [];
+  const rows = await sql(`
+    SELECT m.id, m.item_id, m.item_code, m.warehouse_id, NULLIF(m.bin_code, '') AS bin_code, m.lot_number,
+      m.movement_type, m.quantity_delta, m.balance_after, m.username, m.reference_type, m.reference_id, m.created_at,
+      ${atMs('m.created_at')} AS at_ms
+    FROM stock_movements m
+    WHERE ${unseen(cursor.movements, 'm', params)}
+    ORDER BY m.created_at, m.id
+    LIMIT ${BATCH_SIZE}
+  `, params);
+  if (!rows.length) {
+    advance(cursor.movements, rows, now);
+    return;
+  }
+  const movements = rows.map(withoutAtMs);
+
+  const itemIds = [...new Set(movements.map(m => m.item_id))];
+  const items = await sql`
+    SELECT id, item_code, status, total_quantity, reserved_quantity,
+      GREATEST(total_quantity - reserved_quantity, 0) AS available_quantity
+    FROM inventory_items
+    WHERE id = ANY(${itemIds})
+  `;
+  const byId = new Map(items.map(item => [item.id, item]));
+  for (const itemId of itemIds) {
+    const item = byId.get(itemId);
+    publish('inventory', {
+      item_id: itemId,
+      item_code: item ? item.item_code : movements.find(m => m.item_id === itemId).item_code,
+      deleted: !item,
+      status: item ? item.status : null,
+      total_quantity: item ? item.total_quantity : 0,
+      reserved_quantity: item ? item.reserved_quantity : 0,
+      available_quantity: item ? item.available_quantity : 0,
+      movements: movements.filter(m => m.item_id === itemId)
+    });
+  }
+  advance(cursor.movements, rows, now);
+};
+
+// Order status changes since the last check
+const pollOrderStatusChanges = async (sql, cursor, now) => {
+  const params = [];
+  const changes = await sql(`
+    SELECT h.id, h.order_shipment_id, os.order_id, os.item_code, h.from_status, h.to_status,
+      os.status AS current_status, h.username, h.created_at, ${atMs('h.created_at')} AS at_ms
+    FROM order_shipment_status_history h
+    JOIN order_shipments os ON os.id = h.order_shipment_id
+    WHERE ${unseen(cursor.history, 'h', params)}
+    ORDER BY h.created_at, h.id
+    LIMIT ${BATCH_SIZE}
+  `, params);
+  for (const change of changes) {
+    publish('order', withoutAtMs(change));
+  }
+  advance(cursor.history, changes, now);
+};
+
+// New notifications, each sent to the users it was delivered to
+const pollNotifications = async (sql, cursor, now) => {
+  const params = [];
+  const notifications = await sql(`
+    SELECT n.id, ${atMs('n.created_at')} AS at_ms FROM notifications n
+    WHERE ${unseen(cursor.notifications, 'n', params)}
+    ORDER BY n.created_at, n.id
+    LIMIT ${BATCH_SIZE}
+  `, params);
+  if (!notifications.length) {
+    advance(cursor.notifications, notifications, now);
+    return;
+  }
+  const deliveries = await sql`
+    SELECT r.user_id, n.id, n.title, n.message, n.type, n.category, n.created_at, false AS is_read
+    FROM notification_recipients r
+    JOIN notifications n ON n.id = r.notification_id
+    WHERE n.id = ANY(${notifications.map(n => n.id)})
+    ORDER BY n.created_at, n.id, r.user_id
+  `;
+  for (const { user_id: userId, ...notification } of deliveries) {
+    publish('notification', notification, userId);
+  }
+  advance(cursor.notifications, notifications, now);
+};
+
+// The tables are watched rather than each write path announcing itself, so
+// changes made by any route, scheduled check or other server instance are pushed
+const poll = async () => {
+  pollTimer = null;
+  polling = true;
+  try {
+    const sql = await database.sql();
+    const current = cursor;
+    if (!sql) {
+      // No database (mock mode): nothing to watch
+    } else if (!current) {
+      cursor = await readCursor(sql);
+    } else {
+      const now = await databaseNow(sql);
+      await pollStockMovements(sql, current, now);
+      await pollOrderStatusChanges(sql, current, now);
+      await pollNotifications(sql, current, now);
+    }
+  } catch (err) {
+    console.warn('Live events check failed:', err?.message);
+  }
+  polling = false;
+  schedulePoll(POLL_INTERVAL_MS);
+};
+
+const schedulePoll = (delay) => {
+  if (!clients.size || pollTimer || polling) return;
+  pollTimer = setTimeout(poll, delay);
+  pollTimer.unref();
+};
+
+// Keep an event stream open on res until the browser goes away or its session
+// ends. lastId is the Last-Event-ID of a reconnecting browser.
+const subscribe = (req, res, lastId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: 5000\n\n`);
+  const client = { res, user: req.session.user };
+  if (lastId) {
+    recent.filter(event => event.id > lastId && isFor(client, event)).forEach(event => send(res, event));
+  }
+
+  // Heartbeats keep proxies from closing an idle stream; a logged-out
+  // session is noticed here too
+  const heartbeat = setInterval(() => {
+    req.sessionStore.get(req.sessionID, (err, session) => {
+      if (!err && (!session || !session.user)) {
+        res.end();
+        return;
+      }
+      res.write(': ping\n\n');
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  clients.add(client);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    if (!clients.size) {
+      // The next listener starts from whatever the tables hold then
+      if (pollTimer) clearTimeout(pollTimer);
+      pollTimer = null;
+      cursor = null;
+    }
+  });
+
+  schedulePoll(0);
+};
+
+module.exports = {
+  subscribe
+};
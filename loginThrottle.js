@@ -0,0 +1,120 @@
+const database = require('./database');
+
+// Failed attempts allowed per account before it is locked
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+// How long a locked account stays locked
+const ACCOUNT_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failed attempts allowed per client IP inside the rolling window
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+// Per-IP failures are kept in process memory: they only need to outlive a burst
+// of guesses, while account lockouts are persisted on the users row. They are
+// never cleared early; each one drops out of the window after IP_WINDOW_MS.
+const ipFailures = new Map();
+
+const recentIpFailures = (ip) => {
+  const cutoff = Date.now() - IP_WINDOW_MS;
+  const recent = (ipFailures.get(ip) || []).filter(ts => ts > cutoff);
+  if (recent.length) {
+    ipFailures.set(ip, recent);
+  } else {
+    ipFailures.delete(ip);
+  }
+  return recent;
+};
+
+// Returns the time the IP may retry, or null when it is not throttled
+const getIpBlock = (ip) => {
+  const recent = recentIpFailures(ip);
+  if (recent.length < MAX_IP_ATTEMPTS) return null;
+  return new Date(recent[0] + IP_WINDOW_MS);
+};
+
+const recordIpFailure = (ip) => {
+  // Drop stale IPs now and then so the map cannot grow without bound
+  if (ipFailures.size > 10000) {
+    Array.from(ipFailures.keys()).forEach(recentIpFailures);
+  }
+  const recent = recentIpFailures(ip);
+  recent.push(Date.now());
+  ipFailures.set(ip, recent);
+};
+
+// Returns locked_until when the account is currently locked, else null
+const getAccountLock = async (username) => {
+  try {
+    const sql = await database.sql();
+    if (!sql) return null;
+    const result = await sql`
+      SELECT locked_until FROM users
+      WHERE username = ${username} AND locked_until > CURRENT_TIMESTAMP
+    `;
+    return result.length ? result[0].locked_until : null;
+  } catch (err) {
+    console.error('Get account lock error:', err);
+    return null;
+  }
+};
+
+// Count a failed password for an existing account; locks it once the limit is hit.
+// Failures while it is locked are not counted, so guessing cannot extend the lock.
+const recordAccountFailure = async (username) => {
+  try {
+    const sql = await database.sql();
+    if (!sql) return;
+    await sql`
+      UPDATE users SET
+        failed_login_attempts = CASE
+          WHEN COALESCE(failed_login_attempts, 0) + 1 >= ${MAX_ACCOUNT_ATTEMPTS} THEN 0
+          ELSE COALESCE(failed_login_attempts, 0) + 1
+        END,
+        locked_until = CASE
+          WHEN COALESCE(failed_login_attempts, 0) + 1 >= ${MAX_ACCOUNT_ATTEMPTS}
+            THEN CURRENT_TIMESTAMP + make_interval(mins => ${ACCOUNT_LOCK_MINUTES})
+          ELSE locked_until
+        END
+      WHERE username = ${username} AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+    `;
+  } catch (err) {
+    console.error('Record failed login error:', err);
+  }
+};
+
+// Reset the failure counter and stamp the login time after a successful login
+const recordAccountSuccess = async (userId) => {
+  try {
+    const sql = await database.sql();
+    if (!sql) return;
+    await sql`
+      UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP
+      WHERE id = ${userId}
+    `;
+  } catch (err) {
+    console.error('Record successful login error:', err);
+  }
+};
+
+const unlockAccount = async (userId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      UPDATE users SET failed_login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${userId}
+      RETURNING id, username, locked_until
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Unlock account error:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  getIpBlock,
+  recordIpFailure,
+  getAccountLock,
+  recordAccountFailure,
+  recordAccountSuccess,
+  unlockAccount
+};
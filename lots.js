@@ -0,0 +1,342 @@
+const database = require('./database');
+const { httpError } = require('./errors');
+
+// Days ahead a lot counts as expiring soon
+const EXPIRY_WARNING_DAYS = parseInt(process.env.LOT_EXPIRY_WARNING_DAYS) || 30;
+
+// Initialize lot balances. A lot's stock is part of its location's quantity:
+// the lots at a location never add up to more than the location holds, and the
+// rest of the location's stock is untracked (stock from before lots, or received
+// without one).
+const initializeStockLotsTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_lots (
+        id SERIAL PRIMARY KEY,
+        location_id INTEGER NOT NULL REFERENCES inventory_locations(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        lot_number VARCHAR(50) NOT NULL,
+        expiry_date DATE,
+        manufacture_date DATE,
+        quantity INTEGER NOT NULL DEFAULT 0,
+        expiry_alert VARCHAR(20),
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_stock_lots UNIQUE (location_id, lot_number),
+        CONSTRAINT chk_stock_lots_quantity CHECK (quantity >= 0)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_stock_lots_item ON stock_lots (item_id, expiry_date)`;
+
+    // Stock leaving a location without naming a lot comes out of its untracked
+    // stock first, then out of its lots, earliest expiry first
+    await sql(`
+      CREATE OR REPLACE FUNCTION trim_stock_lots()
+      RETURNS TRIGGER AS $$
+      DECLARE
+          excess INTEGER;
+          lot RECORD;
+      BEGIN
+          SELECT COALESCE(SUM(quantity), 0) - NEW.quantity INTO excess
+          FROM stock_lots WHERE location_id = NEW.id;
+          FOR lot IN
+              SELECT id, quantity FROM stock_lots
+              WHERE location_id = NEW.id AND quantity > 0
+              ORDER BY expiry_date NULLS LAST, manufacture_date NULLS LAST, id
+          LOOP
+              EXIT WHEN excess <= 0;
+              UPDATE stock_lots
+              SET quantity = quantity - LEAST(lot.quantity, excess), updated_at = CURRENT_TIMESTAMP
+              WHERE id = lot.id;
+              excess := excess - LEAST(lot.quantity, excess);
+          END LOOP;
+          RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;`);
+    await sql(`
+      DO $$
+      BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_inventory_locations_trim_lots') THEN
+              CREATE TRIGGER trg_inventory_locations_trim_lots
+              AFTER UPDATE OF quantity ON inventory_locations
+              FOR EACH ROW
+              WHEN (NEW.quantity < OLD.quantity)
+              EXECUTE FUNCTION trim_stock_lots();
+          END IF;
+      END $$;
+    `);
+
+    console.log('✅ Stock lots table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating stock lots table:', err);
+    throw err;
+  }
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Lot fields of a request body ({ lot_number, expiry_date, manufacture_date }) as
+// stock change options; an empty object when no lot is given
+const parseLotInput = (input = {}, label = '') => {
+  const lotNumber = input.lot_number != null ? String(input.lot_number).trim() : '';
+  if (!lotNumber) {
+    if (input.expiry_date || input.manufacture_date) {
+      throw httpError(400, `${label}lot_number is required with an expiry or manufacture date`);
+    }
+    return {};
+  }
+  if (lotNumber.length > 50) {
+    throw httpError(400, `${label}lot_number must be at most 50 characters`);
+  }
+  const expiryDate = input.expiry_date || null;
+  const manufactureDate = input.manufacture_date || null;
+  if (expiryDate && !isValidDate(expiryDate)) {
+    throw httpError(400, `${label}expiry_date must be a date (YYYY-MM-DD)`);
+  }
+  if (manufactureDate && !isValidDate(manufactureDate)) {
+    throw httpError(400, `${label}manufacture_date must be a date (YYYY-MM-DD)`);
+  }
+  if (expiryDate && manufactureDate && manufactureDate > expiryDate) {
+    throw httpError(400, `${label}manufacture_date cannot be after expiry_date`);
+  }
+  return { lotNumber, expiryDate, manufactureDate };
+};
+
+// Choose the lots to ship an item from, first-expiry-first-out: unexpired lots
+// by expiry date, then the untracked stock of each location. preferred.warehouseId
+// (and binCode) restricts picking to that one location. Resolves to null when the
+// item holds no lot stock there, so the caller picks by location instead, and to
+// an empty list when there is not enough unexpired stock.
+const chooseFefoSources = async (sql, itemId, quantity, preferred = {}) => {
+  const params = [itemId];
+  let scope = '';
+  if (preferred.warehouseId) {
+    params.push(preferred.warehouseId, preferred.binCode || '');
+    scope = 'AND l.warehouse_id = $2 AND l.bin_code = $3';
+  }
+  const lots = await sql(`
+    SELECT l.warehouse_id, NULLIF(l.bin_code, '') AS bin_code, s.lot_number, s.quantity,
+      (s.expiry_date IS NOT NULL AND s.expiry_date < CURRENT_DATE) AS expired
+    FROM stock_lots s
+    JOIN inventory_locations l ON l.id = s.location_id
+    WHERE s.item_id = $1 AND s.quantity > 0 ${scope}
+    ORDER BY s.expiry_date NULLS LAST, s.manufacture_date NULLS LAST, s.id
+  `, params);
+  if (!lots.length) return null;
+
+  const untracked = await sql(`
+    SELECT l.warehouse_id, NULLIF(l.bin_code, '') AS bin_code,
+      (l.quantity - COALESCE(SUM(s.quantity), 0))::int AS quantity
+    FROM inventory_locations l
+    JOIN inventory_items i ON i.id = l.item_id
+    LEFT JOIN stock_lots s ON s.location_id = l.id
+    WHERE l.item_id = $1 ${scope}
+    GROUP BY l.id, i.warehouse_id
+    HAVING l.quantity - COALESCE(SUM(s.quantity), 0) > 0
+    ORDER BY (l.warehouse_id = i.warehouse_id) DESC, l.quantity DESC, l.warehouse_id, l.bin_code
+  `, params);
+
+  const sources = [];
+  let remaining = quantity;
+  for (const row of [...lots.filter(l => !l.expired), ...untracked]) {
+    if (remaining <= 0) break;
+    const take = Math.min(row.quantity, remaining);
+    sources.push({
+      warehouseId: row.warehouse_id,
+      binCode: row.bin_code,
+      lotNumber: row.lot_number || null,
+      quantity: take
+    });
+    remaining -= take;
+  }
+  if (remaining > 0) {
+    const expired = lots.filter(l => l.expired).reduce((sum, l) => sum + l.quantity, 0);
+    if (expired > 0) {
+      throw httpError(400, `you cannot ship the item: ${expired} units in stock are from expired lots`);
+    }
+    return [];
+  }
+  return sources;
+};
+
+// Split quantity of an item leaving one location into the lots it comes out of,
+// each { lotNumber, expiryDate, manufactureDate, quantity }: the untracked stock
+// first (lotNumber null), then lots earliest expiry first, the order
+// trim_stock_lots takes them in. With lotNumber it all comes out of that lot.
+// Whatever the location lacks is left to the untracked part, so a strict
+// subtract of it fails.
+const splitByLot = async (sql, itemId, warehouseId, binCode, quantity, lotNumber = null) => {
+  const lots = await sql`
+    SELECT s.lot_number, s.expiry_date::text AS expiry_date, s.manufacture_date::text AS manufacture_date, s.quantity
+    FROM stock_lots s
+    JOIN inventory_locations l ON l.id = s.location_id
+    WHERE l.item_id = ${itemId} AND l.warehouse_id = ${warehouseId} AND l.bin_code = ${binCode || ''}
+      AND s.quantity > 0
+    ORDER BY s.expiry_date NULLS LAST, s.manufacture_date NULLS LAST, s.id
+  `;
+  const toPortion = (lot, take) => ({
+    lotNumber: lot.lot_number,
+    expiryDate: lot.expiry_date,
+    manufactureDate: lot.manufacture_date,
+    quantity: take
+  });
+  if (lotNumber) {
+    const lot = lots.find(l => l.lot_number === lotNumber) || { lot_number: lotNumber };
+    return [toPortion(lot, quantity)];
+  }
+  const locations = await sql`
+    SELECT quantity FROM inventory_locations
+    WHERE item_id = ${itemId} AND warehouse_id = ${warehouseId} AND bin_code = ${binCode || ''}
+  `;
+  const inLots = lots.reduce((sum, l) => sum + l.quantity, 0);
+  const untracked = Math.max((locations.length ? locations[0].quantity : 0) - inLots, 0);
+  const portions = [];
+  let remaining = quantity - Math.min(untracked, quantity);
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(lot.quantity, remaining);
+    portions.push(toPortion(lot, take));
+    remaining -= take;
+  }
+  const fromUntracked = quantity - portions.reduce((sum, p) => sum + p.quantity, 0);
+  if (fromUntracked > 0) {
+    portions.unshift({ lotNumber: null, expiryDate: null, manufactureDate: null, quantity: fromUntracked });
+  }
+  return portions;
+};
+
+// Lot balances, optionally for one item, warehouse or lot number
+const getStockLots = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      SELECT
+        s.id,
+        s.item_id,
+        i.item_code,
+        p.product_name,
+        i.category_id,
+        l.warehouse_id,
+        NULLIF(l.bin_code, '') AS bin_code,
+        s.lot_number,
+        s.expiry_date::text AS expiry_date,
+        s.manufacture_date::text AS manufacture_date,
+        s.quantity,
+        (s.expiry_date - CURRENT_DATE) AS days_to_expiry,
+        s.received_at,
+        s.updated_at
+      FROM stock_lots s
+      JOIN inventory_locations l ON l.id = s.location_id
+      JOIN inventory_items i ON i.id = s.item_id
+      LEFT JOIN products p ON p.product_id = i.product_id
+    `;
+    const conds = [];
+    const params = [];
+    if (filters.itemId) {
+      conds.push(`s.item_id = $${params.length + 1}`);
+      params.push(filters.itemId);
+    }
+    if (filters.warehouse) {
+      conds.push(`l.warehouse_id = $${params.length + 1}`);
+      params.push(filters.warehouse);
+    }
+    if (filters.ids) {
+      conds.push(`s.id = ANY($${params.length + 1})`);
+      params.push(filters.ids);
+    }
+    if (filters.lotNumber) {
+      conds.push(`s.lot_number = $${params.length + 1}`);
+      params.push(filters.lotNumber);
+    }
+    if (filters.expiringWithinDays != null) {
+      conds.push(`s.expiry_date <= CURRENT_DATE + $${params.length + 1}::int`);
+      params.push(filters.expiringWithinDays);
+    }
+    if (!filters.includeEmpty) {
+      conds.push('s.quantity > 0');
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` ORDER BY s.expiry_date NULLS LAST, i.item_code, s.lot_number, l.warehouse_id, l.bin_code`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching stock lots:', err);
+    throw err;
+  }
+};
+
+// Lots in stock that expire within the given number of days, or already have
+const getExpiringLots = async (filters = {}) => {
+  const days = filters.days != null ? filters.days : EXPIRY_WARNING_DAYS;
+  const lots = await getStockLots({ warehouse: filters.warehouse, expiringWithinDays: days });
+  return lots.map(lot => ({ ...lot, expired: lot.days_to_expiry < 0 }));
+};
+
+const describeLot = (lot) =>
+  `${lot.item_code} lot ${lot.lot_number} (${lot.quantity} at ${lot.warehouse_id}${lot.bin_code ? ' / ' + lot.bin_code : ''}) ${lot.expired ? 'expired' : 'expires'} ${lot.expiry_date}`;
+
+const summarizeLots = (lots) => {
+  const shown = lots.slice(0, 5).map(describeLot).join('; ');
+  return lots.length > 5 ? `${shown}; and ${lots.length - 5} more` : shown;
+};
+
+// Raise notifications for lots that started expiring soon, or expired, since the
+// last check. Each lot alerts once per stage; resolves to the lots alerted.
+const notifyExpiringLots = async (days = EXPIRY_WARNING_DAYS) => {
+  try {
+    const sql = await database.sql();
+    const alerted = await sql`
+      WITH due AS (
+        SELECT id, CASE WHEN expiry_date < CURRENT_DATE THEN 'expired' ELSE 'expiring' END AS alert
+        FROM stock_lots
+        WHERE quantity > 0 AND expiry_date <= CURRENT_DATE + ${days}::int
+      )
+      UPDATE stock_lots s
+      SET expiry_alert = due.alert
+      FROM due
+      WHERE s.id = due.id
+        AND s.expiry_alert IS DISTINCT FROM due.alert
+        AND s.expiry_alert IS DISTINCT FROM 'expired'
+      RETURNING s.id
+    `;
+    if (!alerted.length) return [];
+
+    const lots = (await getStockLots({ ids: alerted.map(row => row.id) }))
+      .map(lot => ({ ...lot, expired: lot.days_to_expiry < 0 }));
+    const expired = lots.filter(lot => lot.expired);
+    const expiring = lots.filter(lot => !lot.expired);
+    if (expired.length) {
+      await database.createNotification(
+        `${expired.length} lot${expired.length === 1 ? '' : 's'} expired`,
+        summarizeLots(expired),
+        'error',
+        { category: 'stock_alerts' }
+      );
+    }
+    if (expiring.length) {
+      await database.createNotification(
+        `${expiring.length} lot${expiring.length === 1 ? '' : 's'} expiring within ${days} days`,
+        summarizeLots(expiring),
+        'warning',
+        { category: 'stock_alerts' }
+      );
+    }
+    return lots;
+  } catch (err) {
+    console.error('Error notifying expiring lots:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  initializeStockLotsTable,
+  parseLotInput,
+  chooseFefoSources,
+  splitByLot,
+  getStockLots,
+  getExpiringLots,
+  notifyExpiringLots
+};
@@ -0,0 +1,84 @@
+// Role-based access control: which roles may perform which actions
+
+const ROLES = ['admin', 'manager', 'clerk', 'viewer'];
+
+// Users created before roles existed were given the column default 'user'
+const LEGACY_ROLE_MAP = {
+  user: 'clerk'
+};
+
+// Actions each role may perform. Reads are open to every signed-in role,
+// so only actions that change data (or expose admin data) are listed.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: [
+    'inventory:write',
+    'inventory:delete',
+    'catalog:write',
+    'orders:write',
+    'orders:status',
+    'orders:delete',
+    'purchasing:write',
+    'purchasing:receive',
+    'transfers:write',
+    'transfers:receive',
+    'returns:write',
+    'returns:receive',
+    'returns:inspect',
+    'counts:write',
+    'counts:approve',
+    'counts:approve_large',
+    'scans:write',
+    'scans:delete',
+    'scans:clear'
+  ],
+  clerk: [
+    'inventory:write',
+    'orders:write',
+    'orders:status',
+    'purchasing:receive',
+    'transfers:write',
+    'transfers:receive',
+    'returns:write',
+    'returns:receive',
+    'counts:write',
+    'counts:approve',
+    'scans:write',
+    'scans:delete'
+  ],
+  viewer: []
+};
+
+// Map stored role values onto the known roles; unknown values get no rights
+const normalizeRole = (role) => {
+  const value = String(role || '').toLowerCase();
+  if (ROLES.includes(value)) return value;
+  return LEGACY_ROLE_MAP[value] || 'viewer';
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || [];
+
+const can = (role, action) => {
+  const granted = getPermissions(role);
+  return granted.includes('*') || granted.includes(action);
+};
+
+// Route guard; use after requireAuth
+const requirePermission = (action) => (req, res, next) => {
+  const user = req.session && req.session.user;
+  if (user && can(user.role, action)) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to perform this action'
+  });
+};
+
+module.exports = {
+  ROLES,
+  normalizeRole,
+  getPermissions,
+  can,
+  requirePermission
+};
@@ -0,0 +1,231 @@
+const database = require('./database');
+const { httpError } = require('./errors');
+
+// Price history. Each product_pricing row is a product's price and discount
+// rate (a percentage) from its effective_date until the next row's; rows dated
+// after today are scheduled. Of several rows for the same date the newest
+// applies, so history is only added to, never edited. Rows without a date
+// apply from the start.
+
+// LATERAL join (as alias, with price and discount_rate) of the price of
+// productColumn in effect on dateExpr, an SQL date expression
+const effectivePriceJoin = (alias, productColumn, dateExpr = 'CURRENT_DATE') => `
+  LEFT JOIN LATERAL (
+    SELECT ppx.id AS price_id, ppx.price, ppx.discount_rate, ppx.effective_date
+    FROM product_pricing ppx
+    WHERE ppx.product_id = ${productColumn}
+      AND (ppx.effective_date IS NULL OR ppx.effective_date <= ${dateExpr})
+    ORDER BY ppx.effective_date DESC NULLS LAST, ppx.id DESC
+    LIMIT 1
+  ) ${alias} ON true
+`;
+
+// Price after discount, rounded to the cent
+const netPrice = (price, discountRate) =>
+  Math.round(Number(price) * (1 - (Number(discountRate) || 0) / 100) * 100) / 100;
+
+// Today's date (YYYY-MM-DD) as the database sees it, so checks made here agree
+// with the CURRENT_DATE the price queries use
+const currentDate = async (sql) => {
+  const rows = await sql`SELECT CURRENT_DATE::text AS today`;
+  return rows[0].today;
+};
+
+const productExists = async (sql, productId) => {
+  const rows = await sql`SELECT product_id FROM products WHERE product_id = ${productId}`;
+  return rows.length > 0;
+};
+
+// New prices apply from today or a later date; earlier ones would rewrite
+// valuations and order values already reported
+const checkEffectiveDate = async (sql, effectiveDate) => {
+  const today = await currentDate(sql);
+  const date = effectiveDate || today;
+  if (date < today) {
+    const message = 'effective_date cannot be in the past';
+    throw httpError(400, message, { fields: { effective_date: message } });
+  }
+  return date;
+};
+
+// Price of a product in effect on date (default today) with its net price;
+// null when the product has no price then
+const getEffectivePrice = async (productId, date) => {
+  try {
+    const sql = await database.sql();
+    const rows = await sql(`
+      SELECT p.product_id, pp.price_id AS id, pp.price, pp.discount_rate, pp.effective_date
+      FROM products p
+      ${effectivePriceJoin('pp', 'p.product_id', 'COALESCE($2::date, CURRENT_DATE)')}
+      WHERE p.product_id = $1 AND pp.price IS NOT NULL
+    `, [productId, date || null]);
+    if (!rows.length) return null;
+    return { ...rows[0], net_price: netPrice(rows[0].price, rows[0].discount_rate) };
+  } catch (err) {
+    console.error('Error fetching effective price:', err);
+    throw err;
+  }
+};
+
+// Value of quantity of the item with itemCode at its product's net price on
+// date (default today); null when there is no price to go by
+const getOrderValue = async (itemCode, quantity, date) => {
+  try {
+    const sql = await database.sql();
+    const rows = await sql`SELECT product_id FROM inventory_items WHERE item_code = ${itemCode}`;
+    if (!rows.length || rows[0].product_id == null) return null;
+    const price = await getEffectivePrice(rows[0].product_id, date);
+    return price ? netPrice(Number(price.price) * Number(quantity), price.discount_rate) : null;
+  } catch (err) {
+    console.error('Error pricing order:', err);
+    throw err;
+  }
+};
+
+// A product's price history, newest first, each row marked scheduled, current
+// or superseded; null when the product does not exist
+const getPriceHistory = async (productId) => {
+  try {
+    const sql = await database.sql();
+    if (!(await productExists(sql, productId))) return null;
+    const rows = await sql(`
+      SELECT h.id, h.product_id, h.price, h.discount_rate, h.effective_date, h.updated_by, u.username AS updated_by_username,
+        CASE
+          WHEN h.effective_date > CURRENT_DATE THEN 'scheduled'
+          WHEN h.id = cur.price_id THEN 'current'
+          ELSE 'superseded'
+        END AS state
+      FROM product_pricing h
+      LEFT JOIN users u ON u.id = h.updated_by
+      ${effectivePriceJoin('cur', 'h.product_id')}
+      WHERE h.product_id = $1
+      ORDER BY h.effective_date DESC NULLS LAST, h.id DESC
+    `, [productId]);
+    return rows.map(row => ({ ...row, net_price: netPrice(row.price, row.discount_rate) }));
+  } catch (err) {
+    console.error('Error fetching price history:', err);
+    throw err;
+  }
+};
+
+// Set a product's price from priceData.effective_date (default today). The
+// discount rate defaults to the one in effect on that date. null when the
+// product does not exist.
+const schedulePrice = async (productId, priceData, user) => {
+  try {
+    const sql = await database.sql();
+    const effectiveDate = await checkEffectiveDate(sql, priceData.effective_date);
+    if (!(await productExists(sql, productId))) return null;
+    const current = await getEffectivePrice(productId, effectiveDate);
+    const discountRate = priceData.discount_rate != null
+      ? priceData.discount_rate
+      : (current ? current.discount_rate : 0);
+    const result = await sql`
+      INSERT INTO product_pricing (product_id, price, discount_rate, effective_date, updated_by)
+      VALUES (${productId}, ${priceData.price}, ${discountRate}, ${effectiveDate}, ${user ? user.id : null})
+      RETURNING *
+    `;
+    return { ...result[0], net_price: netPrice(result[0].price, result[0].discount_rate) };
+  } catch (err) {
+    console.error('Error scheduling price:', err);
+    throw err;
+  }
+};
+
+// Apply discountData.discount_rate to a product's price from
+// discountData.effective_date (default today), keeping the price then in
+// effect. null when the product does not exist.
+const applyDiscount = async (productId, discountData, user) => {
+  try {
+    const sql = await database.sql();
+    const effectiveDate = await checkEffectiveDate(sql, discountData.effective_date);
+    if (!(await productExists(sql, productId))) return null;
+    const current = await getEffectivePrice(productId, effectiveDate);
+    if (!current) {
+      throw httpError(400, `Product ${productId} has no price on ${effectiveDate} to discount`);
+    }
+    const result = await sql`
+      INSERT INTO product_pricing (product_id, price, discount_rate, effective_date, updated_by)
+      VALUES (${productId}, ${current.price}, ${discountData.discount_rate}, ${effectiveDate}, ${user ? user.id : null})
+      RETURNING *
+    `;
+    return { ...result[0], net_price: netPrice(result[0].price, result[0].discount_rate) };
+  } catch (err) {
+    console.error('Error applying discount:', err);
+    throw err;
+  }
+};
+
+// Withdraw a scheduled price; prices already in effect stay in the history.
+// false when there is no such price.
+const cancelScheduledPrice = async (productId, priceId) => {
+  try {
+    const sql = await database.sql();
+    const rows = await sql`
+      SELECT id, effective_date > CURRENT_DATE AS scheduled
+      FROM product_pricing WHERE id = ${priceId} AND product_id = ${productId}
+    `;
+    if (!rows.length) return false;
+    if (!rows[0].scheduled) {
+      throw httpError(409, 'Only prices that have not taken effect yet can be cancelled');
+    }
+    await sql`DELETE FROM product_pricing WHERE id = ${priceId}`;
+    return true;
+  } catch (err) {
+    console.error('Error cancelling scheduled price:', err);
+    throw err;
+  }
+};
+
+// Change the price of every priced product in change.category (products'
+// product_category, ignoring case) by change.percent from change.effective_date
+// (default today), starting from the price in effect then and keeping its
+// discount rate. With change.dry_run the new prices are returned but not saved.
+const bulkUpdatePrices = async (change, user) => {
+  try {
+    const sql = await database.sql();
+    const effectiveDate = await checkEffectiveDate(sql, change.effective_date);
+    const products = `
+      SELECT p.product_id, p.product_name, pp.price AS old_price, pp.discount_rate,
+        ROUND(pp.price * (1 + $2::numeric / 100), 2) AS price
+      FROM products p
+      ${effectivePriceJoin('pp', 'p.product_id', '$3::date')}
+      WHERE LOWER(TRIM(p.product_category)) = LOWER(TRIM($1)) AND pp.price IS NOT NULL
+    `;
+    const params = [change.category, change.percent, effectiveDate];
+    const rows = change.dry_run
+      ? await sql(`${products} ORDER BY p.product_id`, params)
+      : await sql(`
+        WITH changed AS (${products})
+        INSERT INTO product_pricing (product_id, price, discount_rate, effective_date, updated_by)
+        SELECT product_id, price, discount_rate, $3::date, $4 FROM changed
+        ORDER BY product_id
+        RETURNING id, product_id, price, discount_rate, effective_date,
+          (SELECT old_price FROM changed WHERE changed.product_id = product_pricing.product_id) AS old_price
+      `, [...params, user ? user.id : null]);
+    return {
+      dry_run: !!change.dry_run,
+      category: change.category,
+      percent: change.percent,
+      effective_date: effectiveDate,
+      count: rows.length,
+      prices: rows
+    };
+  } catch (err) {
+    console.error('Error updating prices by category:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  effectivePriceJoin,
+  netPrice,
+  currentDate,
+  getEffectivePrice,
+  getOrderValue,
+  getPriceHistory,
+  schedulePrice,
+  applyDiscount,
+  cancelScheduledPrice,
+  bulkUpdatePrices
+};
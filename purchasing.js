@@ -0,0 +1,619 @@
+const database = require('./database');
+const { buildStockChangeQuery } = require('./stockMovements');
+const { parseLotInput } = require('./lots');
+const { parseSerialNumbers, toSerialError, buildSerialRegisterQuery } = require('./serials');
+const { httpError, toDatabaseError } = require('./errors');
+
+// Purchase order lifecycle
+const PO_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'];
+
+// Manual status changes allowed from each status; 'partially_received' and
+// 'received' are only ever set by receiving goods
+const PO_STATUS_TRANSITIONS = {
+  draft: ['ordered', 'cancelled'],
+  ordered: ['cancelled'],
+  partially_received: ['closed'],
+  received: [],
+  closed: [],
+  cancelled: []
+};
+
+const RECEIVABLE_STATUSES = ['ordered', 'partially_received'];
+
+// Initialize suppliers, purchase order and goods receipt tables
+const initializePurchasingTables = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS suppliers (
+        id SERIAL PRIMARY KEY,
+        supplier_code VARCHAR(50) UNIQUE NOT NULL,
+        supplier_name VARCHAR(255) NOT NULL,
+        contact_name VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        address TEXT,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await sql`CREATE SEQUENCE IF NOT EXISTS purchase_order_number_seq`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id SERIAL PRIMARY KEY,
+        po_number VARCHAR(30) UNIQUE NOT NULL,
+        supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+        warehouse_id VARCHAR(50) REFERENCES warehouses(warehouse_id),
+        status VARCHAR(30) DEFAULT 'draft',
+        order_date DATE DEFAULT CURRENT_DATE,
+        expected_date DATE,
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS purchase_order_lines (
+        id SERIAL PRIMARY KEY,
+        po_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(product_id),
+        quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+        quantity_received INTEGER NOT NULL DEFAULT 0,
+        unit_cost NUMERIC(12,2) DEFAULT 0,
+        notes TEXT,
+        CONSTRAINT chk_po_line_received CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered)
+      )
+    `;
+
+    await sql`CREATE SEQUENCE IF NOT EXISTS goods_receipt_number_seq`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS goods_receipts (
+        id SERIAL PRIMARY KEY,
+        receipt_number VARCHAR(30) UNIQUE NOT NULL,
+        po_id INTEGER NOT NULL REFERENCES purchase_orders(id),
+        warehouse_id VARCHAR(50) NOT NULL,
+        received_by INTEGER,
+        received_by_username VARCHAR(50),
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        notes TEXT
+      )
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS goods_receipt_lines (
+        id SERIAL PRIMARY KEY,
+        receipt_id INTEGER NOT NULL REFERENCES goods_receipts(id) ON DELETE CASCADE,
+        po_line_id INTEGER NOT NULL REFERENCES purchase_order_lines(id),
+        item_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        unit_cost NUMERIC(12,2) DEFAULT 0
+      )
+    `;
+    await sql`ALTER TABLE goods_receipt_lines ADD COLUMN IF NOT EXISTS bin_code VARCHAR(50)`;
+    await sql`ALTER TABLE goods_receipt_lines ADD COLUMN IF NOT EXISTS lot_number VARCHAR(50)`;
+    await sql`ALTER TABLE goods_receipt_lines ADD COLUMN IF NOT EXISTS expiry_date DATE`;
+    await sql`ALTER TABLE goods_receipt_lines ADD COLUMN IF NOT EXISTS manufacture_date DATE`;
+
+    console.log('✅ Purchasing tables created/verified');
+  } catch (err) {
+    console.error('❌ Error creating purchasing tables:', err);
+    throw err;
+  }
+};
+
+// Reserve the next document number from a sequence, e.g. PO-000042
+const nextDocumentNumber = async (sql, sequence, prefix) => {
+  const rows = await sql(`SELECT nextval('${sequence}') AS n`);
+  return `${prefix}-${String(rows[0].n).padStart(6, '0')}`;
+};
+
+const toPositiveInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+// Check PO line input and return normalized lines
+const normalizePoLines = (lines) => {
+  if (!Array.isArray(lines) || !lines.length) {
+    throw httpError(400, 'At least one line item is required');
+  }
+  return lines.map((line, index) => {
+    const productId = toPositiveInt(line.product_id);
+    const quantity = toPositiveInt(line.quantity_ordered ?? line.quantity);
+    const unitCost = Number(line.unit_cost ?? 0);
+    if (!productId) throw httpError(400, `Line ${index + 1}: product_id is required`);
+    if (!quantity) throw httpError(400, `Line ${index + 1}: quantity must be a positive whole number`);
+    if (!Number.isFinite(unitCost) || unitCost < 0) throw httpError(400, `Line ${index + 1}: unit_cost must be zero or more`);
+    return { product_id: productId, quantity_ordered: quantity, unit_cost: unitCost, notes: line.notes || null };
+  });
+};
+
+// Turn FK violations from supplier/product/warehouse references into 400s
+// naming the field
+const rethrowReferenceError = (err) => {
+  if (err && err.code === '23503') throw toDatabaseError(err);
+  throw err;
+};
+
+// Supplier functions
+const getAllSuppliers = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    if (filters.activeOnly) {
+      return await sql`SELECT * FROM suppliers WHERE is_active = true ORDER BY supplier_name`;
+    }
+    return await sql`SELECT * FROM suppliers ORDER BY supplier_name`;
+  } catch (err) {
+    console.error('Error fetching suppliers:', err);
+    throw err;
+  }
+};
+
+const getSupplierById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`SELECT * FROM suppliers WHERE id = ${id}`;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error fetching supplier:', err);
+    throw err;
+  }
+};
+
+const createSupplier = async (supplierData) => {
+  try {
+    const sql = await database.sql();
+    const { supplier_code, supplier_name, contact_name, email, phone, address } = supplierData;
+    if (!supplier_code || !supplier_name) {
+      throw httpError(400, 'Supplier code and name are required');
+    }
+    const result = await sql`
+      INSERT INTO suppliers (supplier_code, supplier_name, contact_name, email, phone, address)
+      VALUES (${supplier_code}, ${supplier_name}, ${contact_name || null}, ${email || null}, ${phone || null}, ${address || null})
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error creating supplier:', err);
+    if (err && err.code === '23505') {
+      throw httpError(409, 'Supplier code already exists', { fields: { supplier_code: 'Supplier code already exists' } });
+    }
+    throw err;
+  }
+};
+
+// Update supplier; omitted fields are left unchanged
+const updateSupplier = async (id, supplierData) => {
+  try {
+    const sql = await database.sql();
+    const { supplier_code, supplier_name, contact_name, email, phone, address, is_active } = supplierData;
+    const result = await sql`
+      UPDATE suppliers SET
+        supplier_code = COALESCE(${supplier_code ?? null}, supplier_code),
+        supplier_name = COALESCE(${supplier_name ?? null}, supplier_name),
+        contact_name = COALESCE(${contact_name ?? null}, contact_name),
+        email = COALESCE(${email ?? null}, email),
+        phone = COALESCE(${phone ?? null}, phone),
+        address = COALESCE(${address ?? null}, address),
+        is_active = COALESCE(${typeof is_active === 'boolean' ? is_active : null}, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING *
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error updating supplier:', err);
+    if (err && err.code === '23505') {
+      throw httpError(409, 'Supplier code already exists', { fields: { supplier_code: 'Supplier code already exists' } });
+    }
+    throw err;
+  }
+};
+
+// Purchase order functions
+const getAllPurchaseOrders = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      SELECT
+        po.*,
+        s.supplier_name,
+        w.warehouse_name,
+        COALESCE(SUM(l.quantity_ordered), 0)::int AS total_ordered,
+        COALESCE(SUM(l.quantity_received), 0)::int AS total_received,
+        COALESCE(SUM(l.quantity_ordered * l.unit_cost), 0)::numeric(14,2) AS total_cost
+      FROM purchase_orders po
+      LEFT JOIN suppliers s ON s.id = po.supplier_id
+      LEFT JOIN warehouses w ON w.warehouse_id = po.warehouse_id
+      LEFT JOIN purchase_order_lines l ON l.po_id = po.id
+    `;
+    const conds = [];
+    const params = [];
+    if (filters.status) {
+      conds.push(`po.status = $${params.length + 1}`);
+      params.push(filters.status);
+    }
+    if (filters.supplier) {
+      conds.push(`po.supplier_id = $${params.length + 1}`);
+      params.push(filters.supplier);
+    }
+    if (filters.warehouse) {
+      conds.push(`po.warehouse_id = $${params.length + 1}`);
+      params.push(filters.warehouse);
+    }
+    if (filters.search) {
+      conds.push(`(po.po_number ILIKE $${params.length + 1} OR s.supplier_name ILIKE $${params.length + 1})`);
+      params.push(`%${filters.search}%`);
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` GROUP BY po.id, s.supplier_name, w.warehouse_name ORDER BY po.updated_at DESC`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching purchase orders:', err);
+    throw err;
+  }
+};
+
+// Get a purchase order with its lines and receipts
+const getPurchaseOrderById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const orders = await sql`
+      SELECT po.*, s.supplier_name, w.warehouse_name
+      FROM purchase_orders po
+      LEFT JOIN suppliers s ON s.id = po.supplier_id
+      LEFT JOIN warehouses w ON w.warehouse_id = po.warehouse_id
+      WHERE po.id = ${id}
+    `;
+    if (!orders.length) return null;
+    const [lines, receipts] = await Promise.all([
+      sql`
+        SELECT l.*, p.product_name, (l.quantity_ordered - l.quantity_received) AS quantity_outstanding
+        FROM purchase_order_lines l
+        LEFT JOIN products p ON p.product_id = l.product_id
+        WHERE l.po_id = ${id}
+        ORDER BY l.id
+      `,
+      getPurchaseOrderReceipts(id)
+    ]);
+    return { ...orders[0], lines, receipts };
+  } catch (err) {
+    console.error('Error fetching purchase order:', err);
+    throw err;
+  }
+};
+
+const createPurchaseOrder = async (orderData, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const { supplier_id, warehouse_id, order_date, expected_date, notes } = orderData;
+    if (!toPositiveInt(supplier_id)) {
+      throw httpError(400, 'supplier_id is required');
+    }
+    const lines = normalizePoLines(orderData.lines);
+    const poNumber = await nextDocumentNumber(sql, 'purchase_order_number_seq', 'PO');
+
+    const queries = [
+      sql`
+        INSERT INTO purchase_orders (po_number, supplier_id, warehouse_id, status, order_date, expected_date, notes, created_by)
+        VALUES (${poNumber}, ${supplier_id}, ${warehouse_id || null}, 'draft', COALESCE(${order_date || null}::date, CURRENT_DATE),
+                ${expected_date || null}, ${notes || null}, ${context.user ? context.user.id : null})
+      `,
+      ...lines.map(line => sql`
+        INSERT INTO purchase_order_lines (po_id, product_id, quantity_ordered, unit_cost, notes)
+        SELECT id, ${line.product_id}, ${line.quantity_ordered}, ${line.unit_cost}, ${line.notes}
+        FROM purchase_orders WHERE po_number = ${poNumber}
+      `)
+    ];
+    await sql.transaction(queries).catch(rethrowReferenceError);
+
+    const created = await sql`SELECT id FROM purchase_orders WHERE po_number = ${poNumber}`;
+    return getPurchaseOrderById(created[0].id);
+  } catch (err) {
+    console.error('Error creating purchase order:', err);
+    throw err;
+  }
+};
+
+// Draft orders can be edited freely; lines are replaced wholesale
+const updatePurchaseOrder = async (id, orderData) => {
+  try {
+    const sql = await database.sql();
+    const existing = await sql`SELECT status FROM purchase_orders WHERE id = ${id}`;
+    if (!existing.length) return null;
+    if (existing[0].status !== 'draft') {
+      throw httpError(409, `Only draft purchase orders can be edited (current status: ${existing[0].status})`);
+    }
+    const { supplier_id, warehouse_id, order_date, expected_date, notes } = orderData;
+    const queries = [
+      sql`
+        UPDATE purchase_orders SET
+          supplier_id = COALESCE(${supplier_id ?? null}, supplier_id),
+          warehouse_id = COALESCE(${warehouse_id ?? null}, warehouse_id),
+          order_date = COALESCE(${order_date ?? null}::date, order_date),
+          expected_date = COALESCE(${expected_date ?? null}::date, expected_date),
+          notes = COALESCE(${notes ?? null}, notes),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND status = 'draft'
+      `
+    ];
+    if (orderData.lines !== undefined) {
+      const lines = normalizePoLines(orderData.lines);
+      queries.push(sql`DELETE FROM purchase_order_lines WHERE po_id = ${id}`);
+      lines.forEach(line => queries.push(sql`
+        INSERT INTO purchase_order_lines (po_id, product_id, quantity_ordered, unit_cost, notes)
+        VALUES (${id}, ${line.product_id}, ${line.quantity_ordered}, ${line.unit_cost}, ${line.notes})
+      `));
+    }
+    await sql.transaction(queries).catch(rethrowReferenceError);
+    return getPurchaseOrderById(id);
+  } catch (err) {
+    console.error('Error updating purchase order:', err);
+    throw err;
+  }
+};
+
+const updatePurchaseOrderStatus = async (id, status) => {
+  try {
+    const sql = await database.sql();
+    if (!PO_STATUSES.includes(status)) {
+      throw httpError(400, `Status must be one of: ${PO_STATUSES.join(', ')}`);
+    }
+    const existing = await sql`
+      SELECT po.status, COUNT(l.id)::int AS line_count
+      FROM purchase_orders po
+      LEFT JOIN purchase_order_lines l ON l.po_id = po.id
+      WHERE po.id = ${id}
+      GROUP BY po.id
+    `;
+    if (!existing.length) return null;
+    const current = existing[0].status;
+    if (!(PO_STATUS_TRANSITIONS[current] || []).includes(status)) {
+      throw httpError(409, `Cannot change purchase order from ${current} to ${status}`);
+    }
+    if (status === 'ordered' && !existing[0].line_count) {
+      throw httpError(400, 'Cannot place a purchase order without line items');
+    }
+    const result = await sql`
+      UPDATE purchase_orders SET status = ${status}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id} AND status = ${current}
+      RETURNING *
+    `;
+    if (!result.length) {
+      throw httpError(409, 'Purchase order was changed by someone else; reload and try again');
+    }
+    return result[0];
+  } catch (err) {
+    console.error('Error updating purchase order status:', err);
+    throw err;
+  }
+};
+
+const deletePurchaseOrder = async (id) => {
+  try {
+    const sql = await database.sql();
+    const existing = await sql`SELECT status FROM purchase_orders WHERE id = ${id}`;
+    if (!existing.length) return null;
+    if (existing[0].status !== 'draft') {
+      throw httpError(409, 'Only draft purchase orders can be deleted; cancel it instead');
+    }
+    const result = await sql`DELETE FROM purchase_orders WHERE id = ${id} AND status = 'draft' RETURNING *`;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error deleting purchase order:', err);
+    throw err;
+  }
+};
+
+// Goods receiving
+
+const getPurchaseOrderReceipts = async (poId) => {
+  try {
+    const sql = await database.sql();
+    const receipts = await sql`
+      SELECT gr.*, w.warehouse_name
+      FROM goods_receipts gr
+      LEFT JOIN warehouses w ON w.warehouse_id = gr.warehouse_id
+      WHERE gr.po_id = ${poId}
+      ORDER BY gr.received_at DESC
+    `;
+    if (!receipts.length) return [];
+    const lines = await sql`
+      SELECT grl.*, i.item_code, p.product_name
+      FROM goods_receipt_lines grl
+      LEFT JOIN inventory_items i ON i.id = grl.item_id
+      LEFT JOIN products p ON p.product_id = grl.product_id
+      WHERE grl.receipt_id = ANY(${receipts.map(r => r.id)})
+      ORDER BY grl.id
+    `;
+    return receipts.map(r => ({ ...r, lines: lines.filter(l => l.receipt_id === r.id) }));
+  } catch (err) {
+    console.error('Error fetching goods receipts:', err);
+    throw err;
+  }
+};
+
+// Receive goods against a purchase order into one warehouse.
+// receiptData: { warehouse_id, notes, lines: [{ line_id, quantity, item_id?, bin_code?, unit_cost?,
+//   lot_number?, expiry_date?, manufacture_date?, serial_numbers? }] }
+// Receipt, PO progress, stock increase and ledger rows are written in one transaction.
+const receivePurchaseOrder = async (poId, receiptData, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const order = await getPurchaseOrderById(poId);
+    if (!order) return null;
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      throw httpError(409, `Cannot receive against a purchase order that is ${order.status}`);
+    }
+
+    const warehouseId = receiptData.warehouse_id || order.warehouse_id;
+    if (!warehouseId) {
+      throw httpError(400, 'warehouse_id is required');
+    }
+    const warehouse = await sql`SELECT warehouse_id FROM warehouses WHERE warehouse_id = ${warehouseId}`;
+    if (!warehouse.length) {
+      throw httpError(400, `Warehouse ${warehouseId} does not exist`);
+    }
+
+    if (!Array.isArray(receiptData.lines) || !receiptData.lines.length) {
+      throw httpError(400, 'At least one receipt line is required');
+    }
+
+    const receiptLines = [];
+    for (const [index, input] of receiptData.lines.entries()) {
+      const poLine = order.lines.find(l => Number(l.id) === Number(input.line_id));
+      if (!poLine) throw httpError(400, `Line ${index + 1}: not part of ${order.po_number}`);
+      const quantity = toPositiveInt(input.quantity);
+      if (!quantity) throw httpError(400, `Line ${index + 1}: quantity must be a positive whole number`);
+      const alreadyQueued = receiptLines
+        .filter(l => l.poLine.id === poLine.id)
+        .reduce((sum, l) => sum + l.quantity, 0);
+      if (quantity + alreadyQueued > Number(poLine.quantity_outstanding)) {
+        throw httpError(400, `Line ${index + 1}: only ${poLine.quantity_outstanding} of ${poLine.product_name || 'this product'} outstanding`);
+      }
+
+      // Stock lands on the product's inventory item, at a location in the receiving warehouse.
+      // Without an explicit item, prefer the one homed in that warehouse.
+      let items;
+      if (input.item_id) {
+        items = await sql`
+          SELECT id, product_id FROM inventory_items WHERE id = ${input.item_id}
+        `;
+        if (!items.length || items[0].product_id !== poLine.product_id) {
+          throw httpError(400, `Line ${index + 1}: item ${input.item_id} is not ${poLine.product_name || 'this product'}`);
+        }
+      } else {
+        items = await sql`
+          SELECT id FROM inventory_items
+          WHERE product_id = ${poLine.product_id}
+          ORDER BY (warehouse_id = ${warehouseId}) DESC NULLS LAST, id
+          LIMIT 1
+        `;
+        if (!items.length) {
+          throw httpError(400, `Line ${index + 1}: no inventory item for ${poLine.product_name || 'this product'}; create one or pass item_id`);
+        }
+      }
+
+      const unitCost = input.unit_cost !== undefined ? Number(input.unit_cost) : Number(poLine.unit_cost || 0);
+      if (!Number.isFinite(unitCost) || unitCost < 0) {
+        throw httpError(400, `Line ${index + 1}: unit_cost must be zero or more`);
+      }
+      const lot = parseLotInput(input, `Line ${index + 1}: `);
+      const serialNumbers = parseSerialNumbers(input.serial_numbers, `Line ${index + 1}: `);
+      if (serialNumbers.length && serialNumbers.length !== quantity) {
+        throw httpError(400, `Line ${index + 1}: ${quantity} units received but ${serialNumbers.length} serial numbers given`);
+      }
+      receiptLines.push({ poLine, itemId: items[0].id, binCode: input.bin_code || null, quantity, unitCost, lot, serialNumbers });
+    }
+
+    const receiptNumber = await nextDocumentNumber(sql, 'goods_receipt_number_seq', 'GR');
+    const user = context.user || null;
+    // The receipt only takes the PO (locking it) while it is still receivable; a PO
+    // closed or cancelled since it was read leaves po_id null, failing the batch
+    const queries = [
+      sql`
+        INSERT INTO goods_receipts (receipt_number, po_id, warehouse_id, received_by, received_by_username, notes)
+        VALUES (
+          ${receiptNumber},
+          (SELECT id FROM purchase_orders WHERE id = ${poId} AND status = ANY(${RECEIVABLE_STATUSES}) FOR UPDATE),
+          ${warehouseId}, ${user ? user.id : null}, ${user ? user.username : null}, ${receiptData.notes || null}
+        )
+      `
+    ];
+    receiptLines.forEach(line => {
+      queries.push(sql`
+        UPDATE purchase_order_lines
+        SET quantity_received = quantity_received + ${line.quantity}
+        WHERE id = ${line.poLine.id} AND po_id = ${poId}
+      `);
+      queries.push(sql`
+        INSERT INTO goods_receipt_lines (
+          receipt_id, po_line_id, item_id, product_id, bin_code, quantity, unit_cost,
+          lot_number, expiry_date, manufacture_date
+        )
+        SELECT id, ${line.poLine.id}, ${line.itemId}, ${line.poLine.product_id}, ${line.binCode}, ${line.quantity}, ${line.unitCost},
+          ${line.lot.lotNumber || null}, ${line.lot.expiryDate || null}, ${line.lot.manufactureDate || null}
+        FROM goods_receipts WHERE receipt_number = ${receiptNumber}
+      `);
+      queries.push(buildStockChangeQuery(sql, {
+        ...line.lot,
+        itemId: line.itemId,
+        warehouseId,
+        binCode: line.binCode,
+        operation: 'add',
+        quantity: line.quantity,
+        movementType: 'receipt',
+        user,
+        referenceType: 'goods_receipt',
+        referenceId: receiptNumber,
+        notes: `Received against ${order.po_number}`
+      }));
+      if (line.serialNumbers.length) {
+        queries.push(buildSerialRegisterQuery(sql, {
+          itemId: line.itemId,
+          serialNumbers: line.serialNumbers,
+          warehouseId,
+          binCode: line.binCode,
+          user,
+          referenceType: 'goods_receipt',
+          referenceId: receiptNumber,
+          notes: `Received against ${order.po_number}`
+        }));
+      }
+    });
+    queries.push(sql`
+      UPDATE purchase_orders SET
+        status = CASE
+          WHEN EXISTS (
+            SELECT 1 FROM purchase_order_lines
+            WHERE po_id = ${poId} AND quantity_received < quantity_ordered
+          ) THEN 'partially_received'
+          ELSE 'received'
+        END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${poId}
+    `);
+
+    try {
+      await sql.transaction(queries);
+    } catch (err) {
+      // A concurrent receipt got there first and the line would now be over-received
+      if (err && err.constraint === 'chk_po_line_received') {
+        throw httpError(409, 'Received quantity would exceed the ordered quantity; reload and try again');
+      }
+      if (err && err.code === '23502' && err.column === 'po_id') {
+        throw httpError(409, `${order.po_number} is no longer open for receiving; reload and try again`);
+      }
+      throw toSerialError(err);
+    }
+
+    const receipts = await getPurchaseOrderReceipts(poId);
+    return receipts.find(r => r.receipt_number === receiptNumber);
+  } catch (err) {
+    console.error('Error receiving purchase order:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  PO_STATUSES,
+  RECEIVABLE_STATUSES,
+  initializePurchasingTables,
+  getAllSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  deletePurchaseOrder,
+  getPurchaseOrderReceipts,
+  receivePurchaseOrder
+};
@@ -0,0 +1,242 @@
+const database = require('./database');
+const { RECEIVABLE_STATUSES } = require('./purchasing');
+const { httpError } = require('./errors');
+
+// Reorder point of items that have none set
+const DEFAULT_REORDER_POINT = parseInt(process.env.DEFAULT_REORDER_POINT) || 10;
+
+// Reorder point and available stock of inventory item i
+const ITEM_REORDER_POINT = `COALESCE(i.reorder_point, ${DEFAULT_REORDER_POINT})`;
+const ITEM_AVAILABLE = 'GREATEST(i.total_quantity - i.reserved_quantity, 0)';
+
+// Item i is low on stock once its available stock falls to its reorder point
+const ITEM_LOW_STOCK_CONDITION = `${ITEM_AVAILABLE} <= ${ITEM_REORDER_POINT}`;
+
+// Initialize per-item reorder settings. reorder_alerted_at is set when the item
+// is reported at its reorder point and cleared once it recovers, so each drop
+// alerts once.
+const initializeReorderColumns = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS reorder_point INTEGER`;
+    await sql`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS reorder_quantity INTEGER`;
+    await sql`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS safety_stock INTEGER NOT NULL DEFAULT 0`;
+    await sql`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS reorder_alerted_at TIMESTAMP`;
+    await sql`
+      DO $$ BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.table_constraints
+          WHERE constraint_name = 'chk_inventory_reorder_settings'
+            AND table_name = 'inventory_items'
+        ) THEN
+          ALTER TABLE inventory_items
+          ADD CONSTRAINT chk_inventory_reorder_settings CHECK (
+            (reorder_point IS NULL OR reorder_point >= 0)
+            AND (reorder_quantity IS NULL OR reorder_quantity > 0)
+            AND safety_stock >= 0
+          );
+        END IF;
+      END $$;
+    `;
+    console.log('✅ Reorder settings columns created/verified');
+  } catch (err) {
+    console.error('❌ Error creating reorder settings columns:', err);
+    throw err;
+  }
+};
+
+const toSetting = (value, name, min) => {
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw httpError(400, `${name} must be a whole number of ${min} or more`);
+  }
+  return n;
+};
+
+// Set an item's reorder point, reorder quantity and safety stock; omitted fields
+// are left unchanged, null clears reorder_point (back to the default) and
+// reorder_quantity
+const updateReorderSettings = async (itemId, settings = {}) => {
+  try {
+    const sql = await database.sql();
+    const existing = await sql`
+      SELECT reorder_point, reorder_quantity, safety_stock FROM inventory_items WHERE id = ${itemId}
+    `;
+    if (!existing.length) return null;
+
+    const next = { ...existing[0] };
+    if (settings.reorder_point !== undefined) {
+      next.reorder_point = toSetting(settings.reorder_point, 'reorder_point', 0);
+    }
+    if (settings.reorder_quantity !== undefined) {
+      next.reorder_quantity = toSetting(settings.reorder_quantity, 'reorder_quantity', 1);
+    }
+    if (settings.safety_stock !== undefined) {
+      next.safety_stock = toSetting(settings.safety_stock, 'safety_stock', 0) || 0;
+    }
+    const reorderPoint = next.reorder_point != null ? next.reorder_point : DEFAULT_REORDER_POINT;
+    if (next.safety_stock > reorderPoint) {
+      throw httpError(400, `safety_stock cannot be above the reorder point (${reorderPoint})`);
+    }
+
+    const result = await sql`
+      UPDATE inventory_items SET
+        reorder_point = ${next.reorder_point},
+        reorder_quantity = ${next.reorder_quantity},
+        safety_stock = ${next.safety_stock},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${itemId}
+      RETURNING id, item_code, reorder_point, reorder_quantity, safety_stock, reorder_alerted_at
+    `;
+    return result[0] ? { ...result[0], effective_reorder_point: reorderPoint } : null;
+  } catch (err) {
+    console.error('Error updating reorder settings:', err);
+    throw err;
+  }
+};
+
+// Items at or below their reorder point once incoming stock is counted, with
+// how much to buy. The inventory position is available stock plus open purchase
+// order quantity and stock in transit between warehouses; the suggestion is the
+// item's reorder quantity, or more when that would not bring the position back
+// above reorder point + safety stock.
+const getReorderSuggestions = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      WITH levels AS (
+        SELECT
+          i.id AS item_id,
+          i.item_code,
+          i.product_id,
+          p.product_name,
+          i.category_id,
+          i.warehouse_id,
+          i.unit_of_measure,
+          i.total_quantity,
+          i.reserved_quantity,
+          ${ITEM_AVAILABLE} AS available_quantity,
+          COALESCE(po.quantity, 0)::int AS on_order_quantity,
+          COALESCE(tr.quantity, 0)::int AS in_transit_quantity,
+          i.reorder_point,
+          ${ITEM_REORDER_POINT} AS effective_reorder_point,
+          i.reorder_quantity,
+          i.safety_stock,
+          i.reorder_alerted_at
+        FROM inventory_items i
+        LEFT JOIN products p ON p.product_id = i.product_id
+        LEFT JOIN LATERAL (
+          SELECT SUM(pl.quantity_ordered - pl.quantity_received) AS quantity
+          FROM purchase_order_lines pl
+          JOIN purchase_orders po ON po.id = pl.po_id
+          WHERE pl.product_id = i.product_id AND po.status = ANY($1)
+        ) po ON true
+        LEFT JOIN LATERAL (
+          SELECT SUM(tl.quantity) AS quantity
+          FROM stock_transfer_lines tl
+          JOIN stock_transfers t ON t.id = tl.transfer_id
+          WHERE tl.item_id = i.id AND t.status = 'in_transit'
+        ) tr ON true
+        WHERE i.status IS DISTINCT FROM 'inactive'
+      )
+      SELECT
+        levels.*,
+        (available_quantity + on_order_quantity + in_transit_quantity) AS inventory_position,
+        CASE WHEN available_quantity <= safety_stock THEN 'critical' ELSE 'low' END AS urgency,
+        GREATEST(
+          COALESCE(reorder_quantity, 0),
+          effective_reorder_point + safety_stock - (available_quantity + on_order_quantity + in_transit_quantity),
+          1
+        ) AS suggested_quantity,
+        ls.supplier_id AS last_supplier_id,
+        ls.supplier_name AS last_supplier_name,
+        ls.unit_cost AS last_unit_cost
+      FROM levels
+      LEFT JOIN LATERAL (
+        SELECT po.supplier_id, s.supplier_name, pl.unit_cost
+        FROM purchase_order_lines pl
+        JOIN purchase_orders po ON po.id = pl.po_id
+        JOIN suppliers s ON s.id = po.supplier_id
+        WHERE pl.product_id = levels.product_id AND po.status <> 'cancelled'
+        ORDER BY po.order_date DESC, po.id DESC
+        LIMIT 1
+      ) ls ON true
+      WHERE available_quantity + on_order_quantity + in_transit_quantity <= effective_reorder_point
+    `;
+    const params = [RECEIVABLE_STATUSES];
+    if (filters.warehouse) {
+      params.push(filters.warehouse);
+      queryText += ` AND warehouse_id = $${params.length}`;
+    }
+    if (filters.category) {
+      params.push(filters.category);
+      queryText += ` AND category_id = $${params.length}`;
+    }
+    queryText += `
+      ORDER BY (available_quantity <= safety_stock) DESC,
+        effective_reorder_point - (available_quantity + on_order_quantity + in_transit_quantity) DESC,
+        item_code
+    `;
+    const rows = await sql(queryText, params);
+    return rows.map(row => ({
+      ...row,
+      estimated_cost: row.last_unit_cost != null
+        ? Math.round(Number(row.last_unit_cost) * Number(row.suggested_quantity) * 100) / 100
+        : null
+    }));
+  } catch (err) {
+    console.error('Error fetching reorder suggestions:', err);
+    throw err;
+  }
+};
+
+const summarizeItems = (items) => {
+  const shown = items.slice(0, 5)
+    .map(item => `${item.item_code}${item.product_name ? ' ' + item.product_name : ''}: ${item.available_quantity} available (reorder point ${item.reorder_point})`)
+    .join('; ');
+  return items.length > 5 ? `${shown}; and ${items.length - 5} more` : shown;
+};
+
+// Raise a notification for items that fell to their reorder point since the last
+// check, and re-arm items that recovered above it. Resolves to the items alerted.
+const notifyReorderPoints = async () => {
+  try {
+    const sql = await database.sql();
+    const lowAndActive = `${ITEM_LOW_STOCK_CONDITION} AND i.status IS DISTINCT FROM 'inactive'`;
+    const changed = await sql(`
+      UPDATE inventory_items i
+      SET reorder_alerted_at = CASE WHEN ${lowAndActive} THEN CURRENT_TIMESTAMP END
+      WHERE CASE WHEN ${lowAndActive} THEN i.reorder_alerted_at IS NULL ELSE i.reorder_alerted_at IS NOT NULL END
+      RETURNING i.id, i.item_code,
+        (SELECT p.product_name FROM products p WHERE p.product_id = i.product_id) AS product_name,
+        i.reorder_alerted_at IS NOT NULL AS alerted,
+        ${ITEM_AVAILABLE} AS available_quantity, ${ITEM_REORDER_POINT} AS reorder_point,
+        ${ITEM_AVAILABLE} <= i.safety_stock AS below_safety_stock
+    `);
+    const alerted = changed.filter(item => item.alerted);
+    if (!alerted.length) return [];
+
+    const critical = alerted.some(item => item.below_safety_stock);
+    await database.createNotification(
+      `${alerted.length} item${alerted.length === 1 ? '' : 's'} at reorder point`,
+      summarizeItems(alerted),
+      critical ? 'error' : 'warning',
+      { category: 'stock_alerts' }
+    );
+    return alerted;
+  } catch (err) {
+    console.error('Error checking reorder points:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  DEFAULT_REORDER_POINT,
+  ITEM_REORDER_POINT,
+  ITEM_LOW_STOCK_CONDITION,
+  initializeReorderColumns,
+  updateReorderSettings,
+  getReorderSuggestions,
+  notifyReorderPoints
+};
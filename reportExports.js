@@ -0,0 +1,416 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const database = require('./database');
+const { httpError } = require('./errors');
+const { orderListConditions, getStockByCategory, getStockByWarehouse } = require('./inventory');
+const { getInventoryValuation } = require('./valuation');
+
+// Rows read per query while streaming a report
+const BATCH_SIZE = 500;
+
+// Read a query in batches of BATCH_SIZE, keyed on a unique column so later
+// batches continue after the last row read. buildQuery(after) returns
+// [text, params] for the rows after that key (null for the first batch).
+async function* batched(buildQuery, key) {
+  const sql = await database.sql();
+  let after = null;
+  for (;;) {
+    const [text, params] = buildQuery(after);
+    const rows = await sql(`${text} LIMIT ${BATCH_SIZE}`, params);
+    if (rows.length) yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    after = rows[rows.length - 1][key];
+  }
+}
+
+// WHERE clause of conds plus the keyset condition for the rows after key
+const keysetWhere = (conds, params, column, after, direction = '>') => {
+  const all = [...conds];
+  if (after !== null) {
+    params.push(after);
+    all.push(`${column} ${direction} $${params.length}`);
+  }
+  return all.length ? ` WHERE ${all.join(' AND ')}` : '';
+};
+
+// The exportable reports. Columns have a header, a type (text, integer, money,
+// date or datetime), a relative PDF width and total: true when the report sums
+// them. rows(filters) yields the rows in batches.
+const REPORTS = {
+  'inventory-valuation': {
+    title: 'Inventory Valuation',
+    filters: ['search', 'category', 'status', 'warehouse', 'method', 'as_of'],
+    columns: [
+      { key: 'item_code', header: 'Item Code', type: 'text', width: 2 },
+      { key: 'product_name', header: 'Product', type: 'text', width: 4 },
+      { key: 'category', header: 'Category', type: 'text', width: 2 },
+      { key: 'warehouse', header: 'Warehouse', type: 'text', width: 2 },
+      { key: 'status', header: 'Status', type: 'text', width: 1.5 },
+      { key: 'unit_of_measure', header: 'Unit', type: 'text', width: 1 },
+      { key: 'quantity', header: 'Quantity', type: 'integer', width: 1.5, total: true },
+      { key: 'unit_cost', header: 'Unit Cost', type: 'money', width: 1.5 },
+      { key: 'value', header: 'Value', type: 'money', width: 2, total: true }
+    ],
+    // Valued at cost as for /api/inventory/valuation, one row per item and warehouse
+    rows: async function* (filters) {
+      const valuation = await getInventoryValuation(filters);
+      const rows = valuation.rows.map(row => ({
+        ...row,
+        category: row.category_name || row.category_id,
+        warehouse: row.warehouse_name || row.warehouse_id
+      }));
+      for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+        yield rows.slice(start, start + BATCH_SIZE);
+      }
+    }
+  },
+  'stock-by-category': {
+    title: 'Stock by Category',
+    filters: [],
+    columns: [
+      { key: 'category', header: 'Category', type: 'text', width: 4 },
+      { key: 'item_count', header: 'Items', type: 'integer', width: 1, total: true },
+      { key: 'total_quantity', header: 'Quantity', type: 'integer', width: 1, total: true }
+    ],
+    rows: async function* () {
+      yield await getStockByCategory();
+    }
+  },
+  'stock-by-warehouse': {
+    title: 'Stock by Warehouse',
+    filters: [],
+    columns: [
+      { key: 'warehouse_id', header: 'Warehouse', type: 'text', width: 1.5 },
+      { key: 'warehouse_name', header: 'Name', type: 'text', width: 3 },
+      { key: 'item_count', header: 'Items', type: 'integer', width: 1, total: true },
+      { key: 'bin_count', header: 'Bins', type: 'integer', width: 1, total: true },
+      { key: 'total_quantity', header: 'Quantity', type: 'integer', width: 1.5, total: true },
+      { key: 'in_transit_quantity', header: 'In Transit', type: 'integer', width: 1.5, total: true }
+    ],
+    rows: async function* () {
+      yield await getStockByWarehouse();
+    }
+  },
+  'order-shipments': {
+    title: 'Order Shipments',
+    filters: ['search', 'status', 'date', 'warehouse', 'category', 'from', 'to'],
+    columns: [
+      { key: 'order_id', header: 'Order ID', type: 'text', width: 1.5 },
+      { key: 'customer_id', header: 'Customer', type: 'text', width: 1.5 },
+      { key: 'item_code', header: 'Item Code', type: 'text', width: 2 },
+      { key: 'product_name', header: 'Product', type: 'text', width: 3 },
+      { key: 'quantity', header: 'Quantity', type: 'integer', width: 1.2, total: true },
+      { key: 'total_value', header: 'Value', type: 'money', width: 1.5, total: true },
+      { key: 'status', header: 'Status', type: 'text', width: 1.5 },
+      { key: 'order_date', header: 'Order Date', type: 'date', width: 1.5 },
+      { key: 'ship_date', header: 'Ship Date', type: 'date', width: 1.5 },
+      { key: 'delivery_date', header: 'Delivered', type: 'date', width: 1.5 },
+      { key: 'tracking_number', header: 'Tracking #', type: 'text', width: 2 }
+    ],
+    rows: (filters) => batched((after) => {
+      const { conds, params } = orderListConditions(filters);
+      if (filters.from) {
+        params.push(filters.from);
+        conds.push(`os.order_date >= $${params.length}`);
+      }
+      if (filters.to) {
+        params.push(filters.to);
+        conds.push(`os.order_date <= $${params.length}`);
+      }
+      const where = keysetWhere(conds, params, 'os.id', after);
+      return [`
+        SELECT os.id, os.order_id, os.customer_id, os.item_code, os.product_name, os.quantity, os.total_value,
+          os.status, os.order_date, os.ship_date, os.delivery_date, os.tracking_number
+        FROM order_shipments os
+        ${where}
+        ORDER BY os.id
+      `, params];
+    }, 'id')
+  },
+  'scan-history': {
+    title: 'Scan History',
+    filters: ['status', 'from', 'to'],
+    columns: [
+      { key: 'created_at', header: 'Scanned At', type: 'datetime', width: 2 },
+      { key: 'scanned_code', header: 'Code', type: 'text', width: 2.5 },
+      { key: 'scan_type', header: 'Type', type: 'text', width: 1.2 },
+      { key: 'product_name', header: 'Product', type: 'text', width: 3 },
+      { key: 'quantity', header: 'Quantity', type: 'integer', width: 1, total: true },
+      { key: 'scan_status', header: 'Status', type: 'text', width: 1.2 },
+      { key: 'scanned_by', header: 'Scanned By', type: 'text', width: 1.5 },
+      { key: 'notes', header: 'Notes', type: 'text', width: 3 }
+    ],
+    rows: (filters) => batched((after) => {
+      const params = [];
+      const conds = [];
+      if (filters.status) {
+        params.push(filters.status);
+        conds.push(`scan_status = $${params.length}`);
+      }
+      if (filters.from) {
+        params.push(filters.from);
+        conds.push(`created_at >= $${params.length}::date`);
+      }
+      if (filters.to) {
+        params.push(filters.to);
+        conds.push(`created_at < $${params.length}::date + 1`);
+      }
+      const where = keysetWhere(conds, params, 'id', after, '<');
+      return [`SELECT * FROM scan_history ${where} ORDER BY id DESC`, params];
+    }, 'id')
+  }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Dates and timestamps are read as local time, so format their local parts
+const formatDate = (value) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const formatDateTime = (value) => {
+  if (!(value instanceof Date)) return value ? String(value) : '';
+  return `${formatDate(value)} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+};
+
+// A cell as text, for CSV and PDF
+const formatCell = (value, type) => {
+  if (value === null || value === undefined) return '';
+  switch (type) {
+    case 'money': return Number(value).toFixed(2);
+    case 'integer': return String(Number(value));
+    case 'date': return formatDate(value);
+    case 'datetime': return formatDateTime(value);
+    default: return String(value);
+  }
+};
+
+// A cell as an XLSX value: numbers and dates stay typed
+const xlsxCell = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'money' || type === 'integer') return Number(value);
+  if ((type === 'date' || type === 'datetime') && value instanceof Date) return value;
+  return formatCell(value, type);
+};
+
+const XLSX_FORMATS = { integer: '#,##0', money: '#,##0.00', date: 'yyyy-mm-dd', datetime: 'yyyy-mm-dd hh:mm:ss' };
+
+// Wait until res takes more data
+const drained = (res) => new Promise(resolve => res.once('drain', resolve));
+
+// Quote a CSV field. Text that a spreadsheet would run as a formula (starting
+// with =, +, - or @) is prefixed with an apostrophe.
+const csvField = (text, type) => {
+  const safe = type === 'text' && /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Report writers: begin writes the title, metadata and column headers, row one
+// data row and end the totals row. Each writes straight to the response.
+const WRITERS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    create: (res, report, meta) => {
+      const write = async (cells) => {
+        if (!res.write(cells.join(',') + '\r\n')) await drained(res);
+      };
+      return {
+        begin: async () => {
+          res.write('\uFEFF');
+          await write([csvField(report.title, 'text')]);
+          for (const [label, value] of meta) await write([csvField(label, 'text'), csvField(value, 'text')]);
+          await write([]);
+          await write(report.columns.map(column => csvField(column.header, 'text')));
+        },
+        row: (row) => write(report.columns.map(column => csvField(formatCell(row[column.key], column.type), column.type))),
+        end: async (totals) => {
+          await write(report.columns.map((column, index) => (
+            column.total ? formatCell(totals[column.key], column.type) : index === 0 ? 'Total' : ''
+          )));
+          res.end();
+        }
+      };
+    }
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    create: (res, report, meta) => {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      workbook.creator = meta.find(([label]) => label === 'Generated by')[1];
+      workbook.created = new Date();
+      const headerRow = meta.length + 3;
+      const sheet = workbook.addWorksheet(report.title, { views: [{ state: 'frozen', ySplit: headerRow }] });
+      sheet.columns = report.columns.map(column => ({
+        key: column.key,
+        width: Math.max(10, Math.round(column.width * 8)),
+        style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+      }));
+      return {
+        begin: async () => {
+          const title = sheet.addRow([report.title]);
+          title.font = { bold: true, size: 14 };
+          title.commit();
+          for (const [label, value] of meta) sheet.addRow([label, value]).commit();
+          sheet.addRow([]).commit();
+          const header = sheet.addRow(report.columns.map(column => column.header));
+          header.font = { bold: true };
+          header.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE9ECEF' } };
+            cell.border = { bottom: { style: 'thin' } };
+          });
+          header.commit();
+        },
+        row: async (row) => {
+          sheet.addRow(report.columns.map(column => xlsxCell(row[column.key], column.type))).commit();
+        },
+        end: async (totals) => {
+          const total = sheet.addRow(report.columns.map((column, index) => (
+            column.total ? xlsxCell(totals[column.key], column.type) : index === 0 ? 'Total' : null
+          )));
+          total.font = { bold: true };
+          total.eachCell(cell => { cell.border = { top: { style: 'thin' } }; });
+          total.commit();
+          sheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    create: (res, report, meta) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, info: { Title: report.title } });
+      doc.pipe(res);
+      const left = doc.page.margins.left;
+      const tableWidth = doc.page.width - left - doc.page.margins.right;
+      const bottom = doc.page.height - doc.page.margins.bottom;
+      const weight = report.columns.reduce((sum, column) => sum + column.width, 0);
+      const widths = report.columns.map(column => (tableWidth * column.width) / weight);
+      const rowHeight = 14;
+      let page = 1;
+
+      const drawRow = (cells, options = {}) => {
+        const y = doc.y;
+        doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        let x = left;
+        cells.forEach((text, index) => {
+          const numeric = ['integer', 'money'].includes(report.columns[index].type);
+          doc.text(text, x + 2, y + 3, {
+            width: widths[index] - 4,
+            height: rowHeight,
+            lineBreak: false,
+            ellipsis: true,
+            align: numeric && !options.header ? 'right' : 'left'
+          });
+          x += widths[index];
+        });
+        if (options.line) {
+          doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight).lineWidth(0.5).stroke();
+        }
+        doc.x = left;
+        doc.y = y + rowHeight;
+      };
+      const drawHeader = () => drawRow(report.columns.map(column => column.header), { bold: true, header: true, line: true });
+      const ensureRoom = () => {
+        if (doc.y + rowHeight <= bottom) return;
+        doc.addPage();
+        page++;
+        doc.font('Helvetica').fontSize(8).text(`${report.title}, page ${page}`, left, doc.page.margins.top);
+        doc.moveDown(0.5);
+        drawHeader();
+      };
+
+      return {
+        begin: async () => {
+          doc.font('Helvetica-Bold').fontSize(16).text(report.title, left, doc.page.margins.top);
+          doc.font('Helvetica').fontSize(9);
+          for (const [label, value] of meta) doc.text(`${label}: ${value}`);
+          doc.moveDown();
+          drawHeader();
+        },
+        row: async (row) => {
+          ensureRoom();
+          drawRow(report.columns.map(column => formatCell(row[column.key], column.type)));
+        },
+        end: async (totals) => {
+          ensureRoom();
+          doc.moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).lineWidth(0.5).stroke();
+          drawRow(report.columns.map((column, index) => (
+            column.total ? formatCell(totals[column.key], column.type) : index === 0 ? 'Total' : ''
+          )), { bold: true });
+          doc.end();
+        }
+      };
+    }
+  }
+};
+
+const EXPORT_FORMATS = Object.keys(WRITERS);
+const DATE_FILTERS = ['date', 'from', 'to', 'as_of'];
+
+// Stream report name as a CSV, XLSX or PDF download to res. The file starts
+// with the report title and metadata (generation time, user and filters) and
+// ends with a totals row. Only the report's own filters are applied. Errors
+// before the first row is read are thrown for the route to answer; once the
+// download has started a failure can only abort it.
+const streamReport = async (res, name, format, options = {}) => {
+  const report = Object.prototype.hasOwnProperty.call(REPORTS, name) ? REPORTS[name] : null;
+  if (!report) {
+    throw httpError(404, `Unknown report; use one of: ${Object.keys(REPORTS).join(', ')}`);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    const message = `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+    throw httpError(400, message, { fields: { format: message } });
+  }
+  const filters = {};
+  for (const filter of report.filters) {
+    const value = options.filters && options.filters[filter];
+    if (typeof value !== 'string' || !value) continue;
+    if (DATE_FILTERS.includes(filter) && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const message = `${filter} must be a date (YYYY-MM-DD)`;
+      throw httpError(400, message, { fields: { [filter]: message } });
+    }
+    filters[filter] = value;
+  }
+
+  const batches = report.rows(filters);
+  const first = await batches.next();
+
+  const generatedAt = new Date();
+  const meta = [
+    ['Generated', formatDateTime(generatedAt)],
+    ['Generated by', (options.user && options.user.username) || 'unknown']
+  ];
+  const filterText = Object.entries(filters).map(([filter, value]) => `${filter}=${value}`).join(', ');
+  if (filterText) meta.push(['Filters', filterText]);
+
+  res.setHeader('Content-Type', WRITERS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${formatDate(generatedAt)}.${format}"`);
+  const writer = WRITERS[format].create(res, report, meta);
+  const totals = Object.fromEntries(report.columns.filter(column => column.total).map(column => [column.key, 0]));
+
+  try {
+    await writer.begin();
+    for (let batch = first; !batch.done; batch = await batches.next()) {
+      for (const row of batch.value) {
+        for (const key of Object.keys(totals)) totals[key] += Number(row[key]) || 0;
+        await writer.row(row);
+      }
+    }
+    for (const column of report.columns) {
+      if (column.total && column.type === 'money') totals[column.key] = Math.round(totals[column.key] * 100) / 100;
+    }
+    await writer.end(totals);
+  } catch (err) {
+    console.error(`Error streaming ${name} export:`, err);
+    res.destroy(err);
+  }
+};
+
+module.exports = {
+  REPORTS,
+  EXPORT_FORMATS,
+  streamReport
+};
@@ -0,0 +1,227 @@
+const database = require('./database');
+
+// Orders in these states hold (or should hold) a reservation
+const OPEN_ORDER_STATUSES = ['processing', 'processed', 'packed'];
+
+// Initialize stock reservations. inventory_items.reserved_quantity is the sum of
+// the item's active reservations, kept alongside so reservations can be taken
+// under the item's row lock; available = total_quantity - reserved_quantity.
+const initializeReservationsTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS reserved_quantity INTEGER NOT NULL DEFAULT 0`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id SERIAL PRIMARY KEY,
+        order_shipment_id INTEGER NOT NULL,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity >= 0),
+        quantity_requested INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        release_reason VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP
+      )
+    `;
+    // An order holds at most one active reservation
+    await sql`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_stock_reservations_active
+      ON stock_reservations (order_shipment_id) WHERE status = 'active'
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_stock_reservations_item ON stock_reservations (item_id, status)`;
+    console.log('✅ Stock reservations table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating stock reservations table:', err);
+    throw err;
+  }
+};
+
+// The inventory item an order draws from: its item_code, else the product's best-stocked item
+const resolveOrderItem = async (sql, order) => {
+  if (order.item_code) {
+    const itemsByCode = await sql`SELECT id, total_quantity, reserved_quantity FROM inventory_items WHERE item_code = ${order.item_code} LIMIT 1`;
+    if (itemsByCode.length) return itemsByCode[0];
+  }
+  if (order.product_id) {
+    const itemsByProduct = await sql`SELECT id, total_quantity, reserved_quantity FROM inventory_items WHERE product_id = ${order.product_id} ORDER BY total_quantity DESC LIMIT 1`;
+    if (itemsByProduct.length) return itemsByProduct[0];
+  }
+  return null;
+};
+
+// Build (without running) the statement reserving stock of an item for an order.
+// Reserves as much of the quantity as is available (possibly less, or zero) and
+// does nothing when the order already holds an active reservation.
+const buildReserveQuery = (sql, orderShipmentId, itemId, quantity) => sql`
+  WITH item AS (
+    SELECT id, total_quantity, reserved_quantity FROM inventory_items WHERE id = ${itemId} FOR UPDATE
+  ), res AS (
+    INSERT INTO stock_reservations (order_shipment_id, item_id, quantity, quantity_requested)
+    SELECT
+      ${orderShipmentId},
+      item.id,
+      LEAST(${quantity}::int, GREATEST(COALESCE(item.total_quantity, 0) - item.reserved_quantity, 0)),
+      ${quantity}::int
+    FROM item
+    WHERE NOT EXISTS (
+      SELECT 1 FROM stock_reservations WHERE order_shipment_id = ${orderShipmentId} AND status = 'active'
+    )
+    RETURNING *
+  ), upd AS (
+    UPDATE inventory_items i
+    SET reserved_quantity = i.reserved_quantity + res.quantity
+    FROM res
+    WHERE i.id = res.item_id
+  )
+  SELECT * FROM res
+`;
+
+// Build (without running) the statement ending an order's active reservation.
+// status: 'released' (cancelled, deleted, changed) or 'fulfilled' (shipped)
+const buildReleaseQuery = (sql, orderShipmentId, status = 'released', reason = null) => sql`
+  WITH res AS (
+    UPDATE stock_reservations
+    SET status = ${status}, release_reason = ${reason}, released_at = CURRENT_TIMESTAMP
+    WHERE order_shipment_id = ${orderShipmentId} AND status = 'active'
+    RETURNING *
+  ), upd AS (
+    UPDATE inventory_items i
+    SET reserved_quantity = GREATEST(i.reserved_quantity - res.quantity, 0)
+    FROM res
+    WHERE i.id = res.item_id
+  )
+  SELECT * FROM res
+`;
+
+// Reserve stock for an order; resolves to the reservation, or null when the order
+// already has one, is not open, or has no matching inventory item
+const reserveOrderStock = async (order) => {
+  try {
+    const sql = await database.sql();
+    if (!OPEN_ORDER_STATUSES.includes(String(order.status || '').toLowerCase())) return null;
+    const quantity = Number(order.quantity) || 0;
+    if (quantity <= 0) return null;
+    const item = await resolveOrderItem(sql, order);
+    if (!item) return null;
+    const result = await buildReserveQuery(sql, order.id, item.id, quantity);
+    return result[0] || null;
+  } catch (err) {
+    // Lost a race with a concurrent reservation for the same order
+    if (err && err.constraint === 'uq_stock_reservations_active') return null;
+    console.error('Error reserving order stock:', err);
+    throw err;
+  }
+};
+
+const releaseOrderStock = async (orderShipmentId, reason = null) => {
+  try {
+    const sql = await database.sql();
+    const result = await buildReleaseQuery(sql, orderShipmentId, 'released', reason);
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error releasing order stock:', err);
+    throw err;
+  }
+};
+
+// Bring an order's reservation in line with the order after it changed: open
+// orders are re-reserved at their current item and quantity, others released
+const syncOrderReservation = async (order, reason = 'order_updated') => {
+  try {
+    const sql = await database.sql();
+    const status = String(order.status || '').toLowerCase();
+    if (!OPEN_ORDER_STATUSES.includes(status)) {
+      return await releaseOrderStock(order.id, status || reason);
+    }
+    const quantity = Number(order.quantity) || 0;
+    const item = await resolveOrderItem(sql, order);
+    const current = await sql`
+      SELECT * FROM stock_reservations WHERE order_shipment_id = ${order.id} AND status = 'active'
+    `;
+    // Keep a full reservation of the right item; a partial one is retried
+    if (current.length && item && current[0].item_id === item.id &&
+        current[0].quantity_requested === quantity && current[0].quantity === quantity) {
+      return current[0];
+    }
+    const queries = [buildReleaseQuery(sql, order.id, 'released', reason)];
+    if (item && quantity > 0) {
+      queries.push(buildReserveQuery(sql, order.id, item.id, quantity));
+    }
+    const results = await sql.transaction(queries);
+    return (results[1] && results[1][0]) || null;
+  } catch (err) {
+    console.error('Error syncing order reservation:', err);
+    throw err;
+  }
+};
+
+// Reserve for open orders that hold no reservation yet, oldest first
+const reserveUnreservedOrders = async () => {
+  try {
+    const sql = await database.sql();
+    const orders = await sql`
+      SELECT os.*
+      FROM order_shipments os
+      WHERE os.status = ANY(${OPEN_ORDER_STATUSES})
+        AND NOT EXISTS (
+          SELECT 1 FROM stock_reservations r WHERE r.order_shipment_id = os.id AND r.status = 'active'
+        )
+      ORDER BY os.order_date NULLS LAST, os.id
+    `;
+    let reserved = 0;
+    for (const order of orders) {
+      if (await reserveOrderStock(order)) reserved++;
+    }
+    return reserved;
+  } catch (err) {
+    console.error('Error reserving unreserved orders:', err);
+    throw err;
+  }
+};
+
+const getReservations = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      SELECT r.*, i.item_code, os.order_id, os.status AS order_status
+      FROM stock_reservations r
+      LEFT JOIN inventory_items i ON i.id = r.item_id
+      LEFT JOIN order_shipments os ON os.id = r.order_shipment_id
+    `;
+    const conds = [];
+    const params = [];
+    if (filters.itemId) {
+      conds.push(`r.item_id = $${params.length + 1}`);
+      params.push(filters.itemId);
+    }
+    if (filters.orderShipmentId) {
+      conds.push(`r.order_shipment_id = $${params.length + 1}`);
+      params.push(filters.orderShipmentId);
+    }
+    if (filters.status) {
+      conds.push(`r.status = $${params.length + 1}`);
+      params.push(filters.status);
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` ORDER BY r.created_at DESC, r.id DESC`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching reservations:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  OPEN_ORDER_STATUSES,
+  initializeReservationsTable,
+  resolveOrderItem,
+  buildReserveQuery,
+  buildReleaseQuery,
+  reserveOrderStock,
+  releaseOrderStock,
+  syncOrderReservation,
+  reserveUnreservedOrders,
+  getReservations
+};
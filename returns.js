@@ -0,0 +1,573 @@
+const database = require('./database');
+const { buildStockChangeQuery } = require('./stockMovements');
+const { resolveOrderItem } = require('./reservations');
+const { parseSerialNumbers, toSerialError, buildSerialStatusQuery, fetchItemSerials } = require('./serials');
+const { httpError } = require('./errors');
+
+// Return (RMA) lifecycle: requested -> received -> inspected (stock still in
+// quarantine) -> closed, or cancelled before the goods arrive. Inspection
+// without quarantine closes the return straight away.
+const RETURN_STATUSES = ['requested', 'received', 'inspected', 'closed', 'cancelled'];
+
+// Why the customer sends the goods back
+const RETURN_REASON_CODES = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// What inspection does with each returned unit, and why
+const RETURN_DISPOSITIONS = ['restock', 'quarantine', 'scrap'];
+const DISPOSITION_REASON_CODES = ['like_new', 'repackaged', 'packaging_damaged', 'damaged', 'defective', 'missing_parts', 'awaiting_review', 'other'];
+
+// Orders can only be returned once their stock has left the warehouse
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+
+// Initialize customer return tables
+const initializeReturnsTables = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`CREATE SEQUENCE IF NOT EXISTS return_number_seq`;
+    // Units of an order that came back; the order status becomes 'returned' once all have
+    await sql`ALTER TABLE order_shipments ADD COLUMN IF NOT EXISTS returned_quantity INTEGER NOT NULL DEFAULT 0`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS returns (
+        id SERIAL PRIMARY KEY,
+        rma_number VARCHAR(30) UNIQUE NOT NULL,
+        order_shipment_id INTEGER NOT NULL REFERENCES order_shipments(id),
+        item_id INTEGER REFERENCES inventory_items(id),
+        quantity_requested INTEGER NOT NULL CHECK (quantity_requested > 0),
+        quantity_received INTEGER NOT NULL DEFAULT 0,
+        quantity_quarantined INTEGER NOT NULL DEFAULT 0,
+        reason_code VARCHAR(30) NOT NULL,
+        status VARCHAR(20) DEFAULT 'requested',
+        notes TEXT,
+        created_by INTEGER,
+        received_at TIMESTAMP,
+        inspected_at TIMESTAMP,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_returns_received CHECK (quantity_received <= quantity_requested),
+        CONSTRAINT chk_returns_quarantined CHECK (quantity_quarantined >= 0)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_returns_order ON returns (order_shipment_id)`;
+    // Inspection outcomes; from_quarantine marks units later released from quarantine
+    await sql`
+      CREATE TABLE IF NOT EXISTS return_dispositions (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+        disposition VARCHAR(20) NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        reason_code VARCHAR(30),
+        warehouse_id VARCHAR(50),
+        bin_code VARCHAR(50),
+        from_quarantine BOOLEAN NOT NULL DEFAULT false,
+        notes TEXT,
+        user_id INTEGER,
+        username VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    // One row per state change; as with transfers, a state can only be left once
+    await sql`
+      CREATE TABLE IF NOT EXISTS return_events (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+        event VARCHAR(20) NOT NULL,
+        from_status VARCHAR(20),
+        user_id INTEGER,
+        username VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_return_events UNIQUE (return_id, from_status)
+      )
+    `;
+    // The order side of the same guard: never more units back than were shipped
+    await sql(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM information_schema.table_constraints WHERE table_name = 'order_shipments' AND constraint_name = 'chk_order_shipments_returned') THEN
+          ALTER TABLE order_shipments ADD CONSTRAINT chk_order_shipments_returned CHECK (returned_quantity >= 0 AND returned_quantity <= COALESCE(quantity, 0));
+        END IF;
+      END $$;
+    `);
+    console.log('✅ Customer return tables created/verified');
+  } catch (err) {
+    console.error('❌ Error creating customer return tables:', err);
+    throw err;
+  }
+};
+
+// Reserve the next RMA number, e.g. RMA-000042
+const nextReturnNumber = async (sql) => {
+  const rows = await sql`SELECT nextval('return_number_seq') AS n`;
+  return `RMA-${String(rows[0].n).padStart(6, '0')}`;
+};
+
+const getAllReturns = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      SELECT
+        r.*,
+        os.order_id,
+        os.customer_id,
+        os.status AS order_status,
+        i.item_code,
+        p.product_name
+      FROM returns r
+      LEFT JOIN order_shipments os ON os.id = r.order_shipment_id
+      LEFT JOIN inventory_items i ON i.id = r.item_id
+      LEFT JOIN products p ON p.product_id = i.product_id
+    `;
+    const conds = [];
+    const params = [];
+    if (filters.status) {
+      conds.push(`r.status = $${params.length + 1}`);
+      params.push(filters.status);
+    }
+    if (filters.orderShipmentId) {
+      conds.push(`r.order_shipment_id = $${params.length + 1}`);
+      params.push(filters.orderShipmentId);
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` ORDER BY r.updated_at DESC`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching returns:', err);
+    throw err;
+  }
+};
+
+// Get a return with its inspection outcomes and state history
+const getReturnById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const rows = await sql`
+      SELECT
+        r.*,
+        os.order_id,
+        os.customer_id,
+        os.status AS order_status,
+        i.item_code,
+        p.product_name
+      FROM returns r
+      LEFT JOIN order_shipments os ON os.id = r.order_shipment_id
+      LEFT JOIN inventory_items i ON i.id = r.item_id
+      LEFT JOIN products p ON p.product_id = i.product_id
+      WHERE r.id = ${id}
+    `;
+    if (!rows.length) return null;
+    const [dispositions, events] = await Promise.all([
+      sql`SELECT * FROM return_dispositions WHERE return_id = ${id} ORDER BY created_at, id`,
+      sql`SELECT * FROM return_events WHERE return_id = ${id} ORDER BY created_at, id`
+    ]);
+    return { ...rows[0], dispositions, events };
+  } catch (err) {
+    console.error('Error fetching return:', err);
+    throw err;
+  }
+};
+
+// Open a return against a shipped or delivered order
+const createReturn = async (returnData, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const orderShipmentId = Number(returnData.order_shipment_id);
+    const quantity = Number(returnData.quantity);
+    const reasonCode = returnData.reason_code;
+    if (!Number.isInteger(orderShipmentId) || orderShipmentId <= 0) {
+      throw httpError(400, 'order_shipment_id is required');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, 'quantity must be a positive whole number');
+    }
+    if (!RETURN_REASON_CODES.includes(reasonCode)) {
+      throw httpError(400, `reason_code must be one of: ${RETURN_REASON_CODES.join(', ')}`);
+    }
+
+    const orders = await sql`SELECT * FROM order_shipments WHERE id = ${orderShipmentId}`;
+    if (!orders.length) throw httpError(404, 'Order not found');
+    const order = orders[0];
+    if (!RETURNABLE_ORDER_STATUSES.includes(String(order.status || '').toLowerCase())) {
+      throw httpError(409, `Only shipped or delivered orders can be returned (order is ${order.status})`);
+    }
+
+    // The item that actually left for this order, as recorded by the shipment
+    const shipped = await sql`
+      SELECT item_id FROM stock_movements
+      WHERE reference_type = 'order_shipment' AND reference_id = ${String(orderShipmentId)} AND movement_type = 'shipment'
+      ORDER BY id LIMIT 1
+    `;
+    const item = shipped.length ? { id: shipped[0].item_id } : await resolveOrderItem(sql, order);
+
+    const rmaNumber = await nextReturnNumber(sql);
+    const user = context.user || null;
+    // Open returns may not add up to more than the order shipped
+    const created = await sql`
+      INSERT INTO returns (rma_number, order_shipment_id, item_id, quantity_requested, reason_code, notes, created_by)
+      SELECT ${rmaNumber}, os.id, ${item ? item.id : null}, ${quantity}, ${reasonCode}, ${returnData.notes || null}, ${user ? user.id : null}
+      FROM order_shipments os
+      WHERE os.id = ${orderShipmentId}
+        AND ${quantity} + (
+          SELECT COALESCE(SUM(CASE WHEN r.status = 'requested' THEN r.quantity_requested ELSE r.quantity_received END), 0)
+          FROM returns r
+          WHERE r.order_shipment_id = os.id AND r.status <> 'cancelled'
+        ) <= COALESCE(os.quantity, 0)
+      RETURNING id
+    `;
+    if (!created.length) {
+      throw httpError(409, 'Return quantity exceeds what the order shipped and has not already been returned');
+    }
+    await sql`
+      INSERT INTO return_events (return_id, event, user_id, username)
+      VALUES (${created[0].id}, 'created', ${user ? user.id : null}, ${user ? user.username : null})
+    `;
+    return getReturnById(created[0].id);
+  } catch (err) {
+    console.error('Error creating return:', err);
+    throw err;
+  }
+};
+
+// Run a state change; a concurrent change of the same return fails on the event key
+const runTransition = async (sql, rma, queries) => {
+  try {
+    await sql.transaction(queries);
+  } catch (err) {
+    if (err && err.constraint === 'uq_return_events') {
+      throw httpError(409, `Return ${rma.rma_number} was changed by someone else; reload and try again`);
+    }
+    if (err && err.constraint === 'chk_order_shipments_returned') {
+      throw httpError(409, `Return ${rma.rma_number} would take back more than the order shipped`);
+    }
+    if (err && err.constraint === 'chk_returns_quarantined') {
+      throw httpError(409, `Return ${rma.rma_number} has fewer units in quarantine; reload and try again`);
+    }
+    if (err && err.code === '23503') {
+      throw httpError(400, 'Unknown warehouse', { fields: { warehouse_id: 'Unknown warehouse' } });
+    }
+    throw toSerialError(err);
+  }
+};
+
+const eventQuery = (sql, rma, event, user) => sql`
+  INSERT INTO return_events (return_id, event, from_status, user_id, username)
+  VALUES (${rma.id}, ${event}, ${rma.status}, ${user ? user.id : null}, ${user ? user.username : null})
+`;
+
+// Receive the goods. They wait for inspection and are not stock yet. Once every
+// shipped unit has come back the order moves to 'returned'. receiptData.serial_numbers
+// names the units of a serialized item that came back.
+const receiveReturn = async (id, receiptData = {}, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const rma = await getReturnById(id);
+    if (!rma) return null;
+    if (rma.status !== 'requested') {
+      throw httpError(409, `Cannot receive a return that is ${rma.status}`);
+    }
+    const quantity = receiptData.quantity_received === undefined ? rma.quantity_requested : Number(receiptData.quantity_received);
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > rma.quantity_requested) {
+      throw httpError(400, `quantity_received must be between 1 and ${rma.quantity_requested}`);
+    }
+    const user = context.user || null;
+    const serialNumbers = parseSerialNumbers(receiptData.serial_numbers);
+    if (serialNumbers.length > quantity) {
+      throw httpError(400, `${quantity} units received but ${serialNumbers.length} serial numbers given`);
+    }
+    const units = serialNumbers.length ? await fetchItemSerials(sql, rma.item_id, serialNumbers) : [];
+    const notShipped = units.filter(u => u.status !== 'shipped' || u.order_shipment_id !== rma.order_shipment_id);
+    if (notShipped.length) {
+      throw httpError(409, `Not shipped on this order: ${notShipped.map(u => u.serial_number).join(', ')}`);
+    }
+
+    const orders = await sql`
+      SELECT os.status, os.quantity, os.returned_quantity,
+        (SELECT COALESCE(MAX(h.seq), 0) FROM order_shipment_status_history h WHERE h.order_shipment_id = os.id) AS last_seq
+      FROM order_shipments os
+      WHERE os.id = ${rma.order_shipment_id}
+    `;
+    const order = orders[0];
+    const queries = [
+      eventQuery(sql, rma, 'received', user),
+      sql`
+        UPDATE returns
+        SET status = 'received', quantity_received = ${quantity}, received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+      `,
+      sql`
+        UPDATE order_shipments
+        SET returned_quantity = returned_quantity + ${quantity}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${rma.order_shipment_id}
+      `
+    ];
+    if (units.length) {
+      queries.push(buildSerialStatusQuery(sql, {
+        serialIds: units.map(u => u.id),
+        toStatus: 'returned',
+        fromStatuses: ['shipped'],
+        ownerOrderId: rma.order_shipment_id,
+        orderShipmentId: rma.order_shipment_id,
+        user,
+        referenceType: 'return',
+        referenceId: rma.rma_number
+      }));
+    }
+    if (order && Number(order.returned_quantity) + quantity >= Number(order.quantity)) {
+      queries.push(
+        sql`
+          INSERT INTO order_shipment_status_history (order_shipment_id, seq, from_status, to_status, user_id, username, notes)
+          VALUES (${rma.order_shipment_id}, ${Number(order.last_seq) + 1}, ${order.status}, 'returned', ${user ? user.id : null}, ${user ? user.username : null}, ${`Fully returned (${rma.rma_number})`})
+        `,
+        sql`UPDATE order_shipments SET status = 'returned' WHERE id = ${rma.order_shipment_id}`
+      );
+    }
+    await runTransition(sql, rma, queries);
+    return getReturnById(id);
+  } catch (err) {
+    console.error('Error receiving return:', err);
+    throw err;
+  }
+};
+
+// Check disposition input and return normalized lines
+const normalizeDispositions = (dispositions, allowed) => {
+  if (!Array.isArray(dispositions) || !dispositions.length) {
+    throw httpError(400, 'At least one disposition is required');
+  }
+  return dispositions.map((line, index) => {
+    const quantity = Number(line.quantity);
+    if (!allowed.includes(line.disposition)) {
+      throw httpError(400, `Line ${index + 1}: disposition must be one of: ${allowed.join(', ')}`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, `Line ${index + 1}: quantity must be a positive whole number`);
+    }
+    if (line.reason_code && !DISPOSITION_REASON_CODES.includes(line.reason_code)) {
+      throw httpError(400, `Line ${index + 1}: reason_code must be one of: ${DISPOSITION_REASON_CODES.join(', ')}`);
+    }
+    if (line.disposition !== 'restock' && !line.reason_code) {
+      throw httpError(400, `Line ${index + 1}: a reason_code is required to ${line.disposition}`);
+    }
+    const serialNumbers = parseSerialNumbers(line.serial_numbers, `Line ${index + 1}: `);
+    if (serialNumbers.length && line.disposition === 'quarantine') {
+      throw httpError(400, `Line ${index + 1}: serial numbers are only named for restocked or scrapped units`);
+    }
+    if (serialNumbers.length > quantity) {
+      throw httpError(400, `Line ${index + 1}: ${quantity} units but ${serialNumbers.length} serial numbers given`);
+    }
+    return {
+      disposition: line.disposition,
+      quantity,
+      reason_code: line.reason_code || null,
+      warehouse_id: line.warehouse_id || null,
+      bin_code: line.bin_code || null,
+      serial_numbers: serialNumbers,
+      notes: line.notes || null
+    };
+  });
+};
+
+// Units received on a return that have not been restocked or scrapped yet
+const pendingReturnSerials = (sql, rma) => sql`
+  SELECT s.id, s.serial_number
+  FROM serial_numbers s
+  WHERE s.item_id = ${rma.item_id} AND s.status = 'returned' AND s.order_shipment_id = ${rma.order_shipment_id}
+    AND (
+      SELECT e.reference_id FROM serial_number_events e
+      WHERE e.serial_id = s.id AND e.to_status = 'returned'
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT 1
+    ) = ${rma.rma_number}
+  ORDER BY s.id
+`;
+
+// Where restocked units go unless the inspector says otherwise: the location the
+// order shipped most from, else the item's home warehouse
+const defaultRestockLocation = async (sql, rma) => {
+  const rows = await sql`
+    SELECT warehouse_id, NULLIF(bin_code, '') AS bin_code
+    FROM stock_movements
+    WHERE reference_type = 'order_shipment' AND reference_id = ${String(rma.order_shipment_id)} AND movement_type = 'shipment'
+    ORDER BY quantity_delta, id
+    LIMIT 1
+  `;
+  return rows.length ? { warehouseId: rows[0].warehouse_id, binCode: rows[0].bin_code } : { warehouseId: null, binCode: null };
+};
+
+// Disposition rows plus the stock added back for restocked units. Units received
+// with serial numbers go back in stock at the restock location, or are scrapped;
+// a line takes the units it names, then units it does not name in the order they
+// were registered. Quarantined units stay returned.
+const buildDispositionQueries = async (sql, rma, lines, user, fromQuarantine) => {
+  const fallback = await defaultRestockLocation(sql, rma);
+  const pending = rma.item_id ? await pendingReturnSerials(sql, rma) : [];
+  const named = lines.flatMap(line => line.serial_numbers);
+  const unknown = named.filter(number => !pending.some(u => u.serial_number === number));
+  if (unknown.length) {
+    throw httpError(409, `Not waiting on return ${rma.rma_number}: ${unknown.join(', ')}`);
+  }
+  const unnamed = pending.filter(u => !named.includes(u.serial_number));
+  const queries = [];
+  lines.forEach(line => {
+    const warehouseId = line.disposition === 'restock' ? (line.warehouse_id || fallback.warehouseId) : null;
+    const binCode = line.disposition === 'restock' ? (line.warehouse_id ? line.bin_code : fallback.binCode) : null;
+    queries.push(sql`
+      INSERT INTO return_dispositions (return_id, disposition, quantity, reason_code, warehouse_id, bin_code, from_quarantine, notes, user_id, username)
+      VALUES (${rma.id}, ${line.disposition}, ${line.quantity}, ${line.reason_code}, ${warehouseId}, ${binCode}, ${fromQuarantine}, ${line.notes}, ${user ? user.id : null}, ${user ? user.username : null})
+    `);
+    if (line.disposition === 'restock') {
+      if (!rma.item_id) {
+        throw httpError(400, `Return ${rma.rma_number} has no inventory item to restock`);
+      }
+      queries.push(buildStockChangeQuery(sql, {
+        itemId: rma.item_id,
+        warehouseId,
+        binCode,
+        operation: 'add',
+        quantity: line.quantity,
+        movementType: 'return',
+        user,
+        referenceType: 'return',
+        referenceId: rma.rma_number,
+        notes: [`Order ${rma.order_id}`, line.reason_code, fromQuarantine ? 'released from quarantine' : null].filter(Boolean).join(' · ')
+      }));
+    }
+    if (line.disposition === 'quarantine') return;
+    const units = [
+      ...pending.filter(u => line.serial_numbers.includes(u.serial_number)),
+      ...unnamed.splice(0, line.quantity - line.serial_numbers.length)
+    ];
+    if (units.length) {
+      const restock = line.disposition === 'restock';
+      queries.push(buildSerialStatusQuery(sql, {
+        serialIds: units.map(u => u.id),
+        toStatus: restock ? 'in_stock' : 'scrapped',
+        fromStatuses: ['returned'],
+        ownerOrderId: rma.order_shipment_id,
+        orderShipmentId: restock ? null : rma.order_shipment_id,
+        location: restock ? { warehouseId, binCode } : null,
+        user,
+        referenceType: 'return',
+        referenceId: rma.rma_number,
+        notes: line.reason_code
+      }));
+    }
+  });
+  return queries;
+};
+
+const sumQuantity = (lines, disposition) => lines
+  .filter(line => !disposition || line.disposition === disposition)
+  .reduce((sum, line) => sum + line.quantity, 0);
+
+// Inspect received goods: every unit is restocked, quarantined or scrapped
+const inspectReturn = async (id, inspection = {}, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const rma = await getReturnById(id);
+    if (!rma) return null;
+    if (rma.status !== 'received') {
+      throw httpError(409, `Cannot inspect a return that is ${rma.status}`);
+    }
+    const lines = normalizeDispositions(inspection.dispositions, RETURN_DISPOSITIONS);
+    if (sumQuantity(lines) !== rma.quantity_received) {
+      throw httpError(400, `Dispositions must account for all ${rma.quantity_received} received units`);
+    }
+    const quarantined = sumQuantity(lines, 'quarantine');
+    const nextStatus = quarantined > 0 ? 'inspected' : 'closed';
+    const user = context.user || null;
+    const queries = [
+      eventQuery(sql, rma, 'inspected', user),
+      ...await buildDispositionQueries(sql, rma, lines, user, false),
+      sql`
+        UPDATE returns
+        SET status = ${nextStatus},
+            quantity_quarantined = ${quarantined},
+            notes = COALESCE(${inspection.notes || null}, notes),
+            inspected_at = CURRENT_TIMESTAMP,
+            closed_at = CASE WHEN ${nextStatus} = 'closed' THEN CURRENT_TIMESTAMP ELSE closed_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+      `
+    ];
+    await runTransition(sql, rma, queries);
+    return getReturnById(id);
+  } catch (err) {
+    console.error('Error inspecting return:', err);
+    throw err;
+  }
+};
+
+// Decide on quarantined units (restock or scrap); the return closes once none are left
+const releaseReturnQuarantine = async (id, release = {}, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const rma = await getReturnById(id);
+    if (!rma) return null;
+    if (rma.status !== 'inspected') {
+      throw httpError(409, `Return ${rma.rma_number} has nothing in quarantine`);
+    }
+    const lines = normalizeDispositions(release.dispositions, ['restock', 'scrap']);
+    const quantity = sumQuantity(lines);
+    if (quantity > rma.quantity_quarantined) {
+      throw httpError(400, `Quarantine holds only ${rma.quantity_quarantined} of this return's units`);
+    }
+    const user = context.user || null;
+    const closes = quantity === rma.quantity_quarantined;
+    const queries = [
+      ...await buildDispositionQueries(sql, rma, lines, user, true),
+      sql`
+        UPDATE returns
+        SET quantity_quarantined = quantity_quarantined - ${quantity},
+            status = CASE WHEN quantity_quarantined - ${quantity} = 0 THEN 'closed' ELSE status END,
+            closed_at = CASE WHEN quantity_quarantined - ${quantity} = 0 THEN CURRENT_TIMESTAMP ELSE closed_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+      `
+    ];
+    if (closes) {
+      queries.unshift(eventQuery(sql, rma, 'closed', user));
+    }
+    await runTransition(sql, rma, queries);
+    return getReturnById(id);
+  } catch (err) {
+    console.error('Error releasing return quarantine:', err);
+    throw err;
+  }
+};
+
+// Cancel a return whose goods have not arrived
+const cancelReturn = async (id, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const rma = await getReturnById(id);
+    if (!rma) return null;
+    if (rma.status !== 'requested') {
+      throw httpError(409, `Cannot cancel a return that is ${rma.status}`);
+    }
+    const user = context.user || null;
+    await runTransition(sql, rma, [
+      eventQuery(sql, rma, 'cancelled', user),
+      sql`UPDATE returns SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`
+    ]);
+    return getReturnById(id);
+  } catch (err) {
+    console.error('Error cancelling return:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  RETURN_REASON_CODES,
+  RETURN_DISPOSITIONS,
+  DISPOSITION_REASON_CODES,
+  initializeReturnsTables,
+  getAllReturns,
+  getReturnById,
+  createReturn,
+  receiveReturn,
+  inspectReturn,
+  releaseReturnQuarantine,
+  cancelReturn
+};
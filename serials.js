@@ -0,0 +1,514 @@
+const database = require('./database');
+const { httpError } = require('./errors');
+const { OPEN_ORDER_STATUSES, resolveOrderItem } = require('./reservations');
+
+// Lifecycle of a serialized unit. 'reserved' units are set aside for an open
+// order; 'returned' units are back from a customer and wait to be restocked, or
+// 'scrapped' when their return is disposed of that way.
+const SERIAL_STATUSES = ['in_stock', 'reserved', 'shipped', 'returned', 'scrapped'];
+
+// Status changes that can be made by hand; the rest follow orders and returns
+const SERIAL_MANUAL_TRANSITIONS = {
+  reserved: ['in_stock'],
+  returned: ['in_stock']
+};
+
+// Initialize serial numbers. An item becomes serialized once it has serial
+// records; from then on its shipments capture which units left.
+const initializeSerialNumbersTables = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS serial_numbers (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        serial_number VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_stock',
+        warehouse_id VARCHAR(50),
+        bin_code VARCHAR(50) NOT NULL DEFAULT '',
+        order_shipment_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_serial_numbers UNIQUE (item_id, serial_number),
+        CONSTRAINT chk_serial_numbers_status CHECK (status IN ('in_stock', 'reserved', 'shipped', 'returned', 'scrapped'))
+      )
+    `;
+    // Tables from before 'scrapped' existed get the wider CHECK
+    await sql(`
+      DO $$
+      BEGIN
+          IF NOT EXISTS (
+              SELECT 1 FROM pg_constraint
+              WHERE conname = 'chk_serial_numbers_status' AND pg_get_constraintdef(oid) LIKE '%scrapped%'
+          ) THEN
+              ALTER TABLE serial_numbers DROP CONSTRAINT IF EXISTS chk_serial_numbers_status;
+              ALTER TABLE serial_numbers ADD CONSTRAINT chk_serial_numbers_status
+                  CHECK (status IN ('in_stock', 'reserved', 'shipped', 'returned', 'scrapped'));
+          END IF;
+      END $$;
+    `);
+    await sql`CREATE INDEX IF NOT EXISTS idx_serial_numbers_lookup ON serial_numbers (LOWER(serial_number))`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_serial_numbers_item ON serial_numbers (item_id, status)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_serial_numbers_order ON serial_numbers (order_shipment_id)`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS serial_number_events (
+        id SERIAL PRIMARY KEY,
+        serial_id INTEGER NOT NULL REFERENCES serial_numbers(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        warehouse_id VARCHAR(50),
+        bin_code VARCHAR(50),
+        order_shipment_id INTEGER,
+        reference_type VARCHAR(30),
+        reference_id VARCHAR(100),
+        user_id INTEGER,
+        username VARCHAR(50),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_serial_number_events_serial ON serial_number_events (serial_id, created_at)`;
+    console.log('✅ Serial numbers tables created/verified');
+  } catch (err) {
+    console.error('❌ Error creating serial numbers tables:', err);
+    throw err;
+  }
+};
+
+// Serial numbers from a request body, as an array or a comma/whitespace separated string
+const parseSerialNumbers = (input, label = '') => {
+  if (input === undefined || input === null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(/[\s,]+/);
+  const serials = list.map(s => String(s).trim()).filter(Boolean);
+  const tooLong = serials.find(s => s.length > 100);
+  if (tooLong) {
+    throw httpError(400, `${label}serial number ${tooLong.slice(0, 20)}... is longer than 100 characters`);
+  }
+  const duplicate = serials.find((s, index) => serials.indexOf(s) !== index);
+  if (duplicate) {
+    throw httpError(400, `${label}serial number ${duplicate} is listed twice`);
+  }
+  return serials;
+};
+
+// Serial constraint failures, as client errors
+const toSerialError = (err) => {
+  const constraint = err && err.constraint;
+  if (constraint === 'chk_serial_numbers_status') {
+    return httpError(409, 'A serial number changed status meanwhile; reload and try again');
+  }
+  if (constraint === 'uq_serial_numbers') {
+    return httpError(409, 'Serial number is already registered for this item');
+  }
+  return err;
+};
+
+// Build (without running) the statement registering new in-stock units at a location
+const buildSerialRegisterQuery = (sql, registration) => {
+  const { itemId, serialNumbers, warehouseId, binCode = null, user = null, referenceType = null, referenceId = null, notes = null } = registration;
+  return sql`
+    WITH ins AS (
+      INSERT INTO serial_numbers (item_id, serial_number, status, warehouse_id, bin_code)
+      SELECT ${itemId}, serial, 'in_stock', ${warehouseId}, ${binCode || ''}
+      FROM unnest(${serialNumbers}::text[]) AS serial
+      RETURNING *
+    )
+    INSERT INTO serial_number_events (
+      serial_id, from_status, to_status, warehouse_id, bin_code, reference_type, reference_id, user_id, username, notes
+    )
+    SELECT ins.id, NULL, ins.status, ins.warehouse_id, NULLIF(ins.bin_code, ''), ${referenceType},
+      ${referenceId != null ? String(referenceId) : null}, ${user ? user.id : null}, ${user ? user.username : null}, ${notes}
+    FROM ins
+    RETURNING serial_id
+  `;
+};
+
+// Build (without running) the statement moving units to another status, with a
+// history row each. Units must be in one of fromStatuses, and when ownerOrderId is
+// given, units other than in-stock ones must belong to that order; a unit that is
+// not (changed meanwhile) fails the status CHECK, so a surrounding transaction
+// rolls back. orderShipmentId is the order the units belong to afterwards. With
+// location ({ warehouseId, binCode }) the units move there too, a missing
+// warehouseId meaning the item's home warehouse.
+const buildSerialStatusQuery = (sql, change) => {
+  const {
+    serialIds,
+    toStatus,
+    fromStatuses,
+    ownerOrderId = null,
+    orderShipmentId = null,
+    location = null,
+    user = null,
+    referenceType = null,
+    referenceId = null,
+    notes = null
+  } = change;
+  return sql`
+    WITH upd AS (
+      UPDATE serial_numbers s
+      SET status = CASE
+            WHEN s.status = ANY(${fromStatuses})
+              AND (${ownerOrderId}::int IS NULL OR s.status = 'in_stock' OR s.order_shipment_id = ${ownerOrderId}::int)
+            THEN ${toStatus}
+            ELSE 'changed'
+          END,
+          order_shipment_id = ${orderShipmentId}::int,
+          warehouse_id = CASE WHEN ${!!location}
+            THEN COALESCE(${location ? location.warehouseId || null : null}::varchar, (SELECT i.warehouse_id FROM inventory_items i WHERE i.id = s.item_id), s.warehouse_id)
+            ELSE s.warehouse_id
+          END,
+          bin_code = CASE WHEN ${!!location} THEN ${location ? location.binCode || '' : ''} ELSE s.bin_code END,
+          updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, status FROM serial_numbers WHERE id = ANY(${serialIds})) old
+      WHERE s.id = old.id
+      RETURNING s.*, old.status AS from_status
+    )
+    INSERT INTO serial_number_events (
+      serial_id, from_status, to_status, warehouse_id, bin_code, order_shipment_id,
+      reference_type, reference_id, user_id, username, notes
+    )
+    SELECT upd.id, upd.from_status, upd.status, upd.warehouse_id, NULLIF(upd.bin_code, ''),
+      COALESCE(upd.order_shipment_id, ${ownerOrderId}::int), ${referenceType},
+      ${referenceId != null ? String(referenceId) : null}, ${user ? user.id : null}, ${user ? user.username : null}, ${notes}
+    FROM upd
+    RETURNING serial_id
+  `;
+};
+
+// Fetch serials of an item by number; throws 400 naming any that are unknown
+const fetchItemSerials = async (sql, itemId, serialNumbers, label = '') => {
+  const rows = await sql`
+    SELECT * FROM serial_numbers
+    WHERE item_id = ${itemId} AND serial_number = ANY(${serialNumbers})
+  `;
+  const missing = serialNumbers.filter(n => !rows.some(r => r.serial_number === n));
+  if (missing.length) {
+    throw httpError(400, `${label}serial number${missing.length === 1 ? '' : 's'} not registered for this item: ${missing.join(', ')}`);
+  }
+  return serialNumbers.map(n => rows.find(r => r.serial_number === n));
+};
+
+// Choose the units an order ships. Explicit serialNumbers must be in stock (or
+// reserved for this order) and ship from where they are; otherwise units reserved
+// for the order go first, then the oldest in-stock units at each source location.
+// Resolves to null for items without serial records, else { sources, serialIds }.
+const chooseShipmentSerials = async (sql, orderShipmentId, itemId, quantity, sources, serialNumbers = []) => {
+  if (serialNumbers.length) {
+    if (serialNumbers.length !== quantity) {
+      throw httpError(400, `The order ships ${quantity} units; ${serialNumbers.length} serial numbers were given`);
+    }
+    const units = await fetchItemSerials(sql, itemId, serialNumbers);
+    const unavailable = units.filter(u => !(u.status === 'in_stock' || (u.status === 'reserved' && u.order_shipment_id === Number(orderShipmentId))));
+    if (unavailable.length) {
+      throw httpError(409, `Serial numbers not available to ship: ${unavailable.map(u => `${u.serial_number} (${u.status})`).join(', ')}`);
+    }
+    const byLocation = new Map();
+    units.forEach(u => {
+      const key = `${u.warehouse_id}\u0000${u.bin_code}`;
+      const source = byLocation.get(key) || { warehouseId: u.warehouse_id, binCode: u.bin_code || null, quantity: 0 };
+      source.quantity += 1;
+      byLocation.set(key, source);
+    });
+    return { sources: Array.from(byLocation.values()), serialIds: units.map(u => u.id) };
+  }
+
+  const registered = await sql`SELECT 1 FROM serial_numbers WHERE item_id = ${itemId} LIMIT 1`;
+  if (!registered.length) return null;
+
+  const units = await sql`
+    SELECT id, serial_number, warehouse_id, bin_code
+    FROM serial_numbers
+    WHERE item_id = ${itemId}
+      AND (status = 'in_stock' OR (status = 'reserved' AND order_shipment_id = ${orderShipmentId}))
+    ORDER BY (status = 'reserved') DESC, created_at, id
+  `;
+  const serialIds = [];
+  for (const source of sources) {
+    const here = units.filter(u => u.warehouse_id === source.warehouseId && u.bin_code === (source.binCode || ''));
+    if (here.length < source.quantity) {
+      throw httpError(400, `you cannot ship the item: only ${here.length} units with serial numbers are in stock at ${source.warehouseId}${source.binCode ? ' / ' + source.binCode : ''}`);
+    }
+    here.slice(0, source.quantity).forEach(u => {
+      serialIds.push(u.id);
+      units.splice(units.indexOf(u), 1);
+    });
+  }
+  return { sources, serialIds };
+};
+
+// Build (without running) the statements putting an order's units back after its
+// shipment is undone, it is cancelled or deleted: shipped and reserved units go to
+// toStatus ('in_stock', 'reserved' or 'returned'), keeping the order unless in stock.
+// context.exceptIds leaves those units alone.
+const buildOrderSerialsQueries = async (sql, orderShipmentId, toStatus, context = {}) => {
+  const fromStatuses = context.fromStatuses || ['shipped', 'reserved'];
+  const exceptIds = context.exceptIds || [];
+  const units = (await sql`
+    SELECT id FROM serial_numbers
+    WHERE order_shipment_id = ${orderShipmentId} AND status = ANY(${fromStatuses}) AND status <> ${toStatus}
+  `).filter(u => !exceptIds.includes(u.id));
+  if (!units.length) return [];
+  return [buildSerialStatusQuery(sql, {
+    serialIds: units.map(u => u.id),
+    toStatus,
+    fromStatuses,
+    ownerOrderId: orderShipmentId,
+    orderShipmentId: toStatus === 'in_stock' ? null : orderShipmentId,
+    user: context.user,
+    referenceType: 'order_shipment',
+    referenceId: orderShipmentId,
+    notes: context.notes
+  })];
+};
+
+const SERIAL_SELECT = `
+  SELECT
+    s.id,
+    s.item_id,
+    i.item_code,
+    p.product_name,
+    s.serial_number,
+    s.status,
+    s.warehouse_id,
+    w.warehouse_name,
+    NULLIF(s.bin_code, '') AS bin_code,
+    s.order_shipment_id,
+    os.order_id,
+    s.created_at,
+    s.updated_at
+  FROM serial_numbers s
+  JOIN inventory_items i ON i.id = s.item_id
+  LEFT JOIN products p ON p.product_id = i.product_id
+  LEFT JOIN warehouses w ON w.warehouse_id = s.warehouse_id
+  LEFT JOIN order_shipments os ON os.id = s.order_shipment_id
+`;
+
+const getSerials = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = SERIAL_SELECT;
+    const conds = [];
+    const params = [];
+    if (filters.itemId) {
+      conds.push(`s.item_id = $${params.length + 1}`);
+      params.push(filters.itemId);
+    }
+    if (filters.status) {
+      conds.push(`s.status = $${params.length + 1}`);
+      params.push(filters.status);
+    }
+    if (filters.warehouse) {
+      conds.push(`s.warehouse_id = $${params.length + 1}`);
+      params.push(filters.warehouse);
+    }
+    if (filters.orderShipmentId) {
+      conds.push(`s.order_shipment_id = $${params.length + 1}`);
+      params.push(filters.orderShipmentId);
+    }
+    if (filters.serialNumbers) {
+      conds.push(`s.serial_number = ANY($${params.length + 1})`);
+      params.push(filters.serialNumbers);
+    }
+    if (filters.serialNumber) {
+      conds.push(`LOWER(s.serial_number) = LOWER($${params.length + 1})`);
+      params.push(filters.serialNumber);
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    const limit = Math.max(1, Math.min(1000, parseInt(filters.limit) || 200));
+    queryText += ` ORDER BY i.item_code, s.serial_number LIMIT ${limit}`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching serial numbers:', err);
+    throw err;
+  }
+};
+
+// One unit with its history, oldest first
+const getSerialById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const rows = await sql(`${SERIAL_SELECT} WHERE s.id = $1`, [id]);
+    if (!rows.length) return null;
+    const history = await sql`
+      SELECT e.*, os.order_id
+      FROM serial_number_events e
+      LEFT JOIN order_shipments os ON os.id = e.order_shipment_id
+      WHERE e.serial_id = ${id}
+      ORDER BY e.created_at, e.id
+    `;
+    return { ...rows[0], history };
+  } catch (err) {
+    console.error('Error fetching serial number:', err);
+    throw err;
+  }
+};
+
+// Register serial numbers for units already in stock at a location. The location
+// must hold at least as many units as it has serial numbers.
+const registerSerials = async (itemId, data = {}, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const items = await sql`SELECT id, item_code, warehouse_id FROM inventory_items WHERE id = ${itemId}`;
+    if (!items.length) return null;
+    const item = items[0];
+    const serialNumbers = parseSerialNumbers(data.serial_numbers);
+    if (!serialNumbers.length) {
+      throw httpError(400, 'At least one serial number is required');
+    }
+    const warehouseId = data.warehouse_id || item.warehouse_id;
+    const binCode = data.bin_code || '';
+    const counts = await sql`
+      SELECT
+        COALESCE((SELECT quantity FROM inventory_locations
+          WHERE item_id = ${itemId} AND warehouse_id = ${warehouseId} AND bin_code = ${binCode}), 0) AS on_hand,
+        (SELECT COUNT(*) FROM serial_numbers
+          WHERE item_id = ${itemId} AND warehouse_id = ${warehouseId} AND bin_code = ${binCode}
+            AND status IN ('in_stock', 'reserved', 'returned'))::int AS serialized
+    `;
+    const { on_hand: onHand, serialized } = counts[0];
+    if (serialized + serialNumbers.length > onHand) {
+      throw httpError(400, `${warehouseId}${binCode ? ' / ' + binCode : ''} holds ${onHand} units of ${item.item_code}; ${serialized} already have serial numbers`);
+    }
+    try {
+      await buildSerialRegisterQuery(sql, {
+        itemId,
+        serialNumbers,
+        warehouseId,
+        binCode,
+        user: context.user,
+        notes: data.notes || 'Registered'
+      });
+    } catch (err) {
+      throw toSerialError(err);
+    }
+    return await getSerials({ itemId, serialNumbers, limit: 1000 });
+  } catch (err) {
+    console.error('Error registering serial numbers:', err);
+    throw err;
+  }
+};
+
+// Set aside specific units for an open order, replacing those it had reserved
+const assignOrderSerials = async (orderShipmentId, serialInput, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const orders = await sql`
+      SELECT os.*, r.item_id AS reserved_item_id
+      FROM order_shipments os
+      LEFT JOIN stock_reservations r ON r.order_shipment_id = os.id AND r.status = 'active'
+      WHERE os.id = ${orderShipmentId}
+    `;
+    if (!orders.length) return null;
+    const order = orders[0];
+    if (!OPEN_ORDER_STATUSES.includes(String(order.status || '').toLowerCase())) {
+      throw httpError(409, `Cannot reserve serial numbers for an order that is ${order.status}`);
+    }
+    const item = order.reserved_item_id ? { id: order.reserved_item_id } : await resolveOrderItem(sql, order);
+    if (!item) {
+      throw httpError(400, 'The order has no matching inventory item');
+    }
+    const serialNumbers = parseSerialNumbers(serialInput);
+    if (serialNumbers.length > Number(order.quantity)) {
+      throw httpError(400, `The order is for ${order.quantity} units; ${serialNumbers.length} serial numbers were given`);
+    }
+    const units = await fetchItemSerials(sql, item.id, serialNumbers);
+    const unavailable = units.filter(u => !(u.status === 'in_stock' || (u.status === 'reserved' && u.order_shipment_id === Number(orderShipmentId))));
+    if (unavailable.length) {
+      throw httpError(409, `Serial numbers not available: ${unavailable.map(u => `${u.serial_number} (${u.status})`).join(', ')}`);
+    }
+
+    const current = await sql`
+      SELECT id FROM serial_numbers WHERE order_shipment_id = ${orderShipmentId} AND status = 'reserved'
+    `;
+    const released = current.map(u => u.id).filter(unitId => !units.some(u => u.id === unitId));
+    const added = units.filter(u => u.status === 'in_stock').map(u => u.id);
+    const queries = [];
+    if (released.length) {
+      queries.push(buildSerialStatusQuery(sql, {
+        serialIds: released,
+        toStatus: 'in_stock',
+        fromStatuses: ['reserved'],
+        ownerOrderId: orderShipmentId,
+        user: context.user,
+        referenceType: 'order_shipment',
+        referenceId: orderShipmentId,
+        notes: 'Unassigned from order'
+      }));
+    }
+    if (added.length) {
+      queries.push(buildSerialStatusQuery(sql, {
+        serialIds: added,
+        toStatus: 'reserved',
+        fromStatuses: ['in_stock'],
+        orderShipmentId,
+        user: context.user,
+        referenceType: 'order_shipment',
+        referenceId: orderShipmentId,
+        notes: 'Assigned to order'
+      }));
+    }
+    if (queries.length) {
+      try {
+        await sql.transaction(queries);
+      } catch (err) {
+        throw toSerialError(err);
+      }
+    }
+    return await getSerials({ orderShipmentId });
+  } catch (err) {
+    console.error('Error assigning order serial numbers:', err);
+    throw err;
+  }
+};
+
+// Change a unit's status by hand (SERIAL_MANUAL_TRANSITIONS)
+const updateSerialStatus = async (id, status, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const rows = await sql`SELECT * FROM serial_numbers WHERE id = ${id}`;
+    if (!rows.length) return null;
+    const unit = rows[0];
+    if (!SERIAL_STATUSES.includes(status)) {
+      throw httpError(400, `Status must be one of: ${SERIAL_STATUSES.join(', ')}`);
+    }
+    if (!(SERIAL_MANUAL_TRANSITIONS[unit.status] || []).includes(status)) {
+      throw httpError(409, `Serial ${unit.serial_number} cannot go from ${unit.status} to ${status} by hand`);
+    }
+    try {
+      await buildSerialStatusQuery(sql, {
+        serialIds: [unit.id],
+        toStatus: status,
+        fromStatuses: [unit.status],
+        orderShipmentId: status === 'in_stock' ? null : unit.order_shipment_id,
+        user: context.user,
+        notes: context.notes || null
+      });
+    } catch (err) {
+      throw toSerialError(err);
+    }
+    return getSerialById(id);
+  } catch (err) {
+    console.error('Error updating serial status:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  SERIAL_STATUSES,
+  SERIAL_MANUAL_TRANSITIONS,
+  initializeSerialNumbersTables,
+  parseSerialNumbers,
+  toSerialError,
+  buildSerialRegisterQuery,
+  buildSerialStatusQuery,
+  fetchItemSerials,
+  chooseShipmentSerials,
+  buildOrderSerialsQueries,
+  getSerials,
+  getSerialById,
+  registerSerials,
+  assignOrderSerials,
+  updateSerialStatus
+};
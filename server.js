@@ -3,13 +3,26 @@ const session = require('express-session');
 const path = require('path');
 const { 
   initializeDatabase, 
+  isMockLoginEnabled,
   authenticateUser, 
+  getAllUsers,
+  getUserById,
+  createUser,
+  updateUserRole,
+  updateUser,
+  deleteUser,
+  verifyUserPassword,
+  setUserPassword,
   sql,
   createNotification,
   getNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
   getUnreadNotificationCount,
+  archiveNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  cleanupNotifications,
   saveScanHistory,
   getScanHistory,
   clearScanHistory,
@@ -17,10 +30,13 @@ const {
 } = require('./database');
 const {
   initializeInventoryTable,
+  MAX_PAGE_SIZE,
   getAllInventoryItems,
+  getInventoryListTotals,
   getInventoryItemById,
   createInventoryItem,
   updateInventoryItem,
+  patchInventoryItem,
   deleteInventoryItem,
   deleteMultipleInventoryItems,
   getAllCategories,
@@ -29,22 +45,134 @@ const {
   updateItemQuantity,
   // New order shipments
   getAllOrderShipments,
+  getOrderShipmentListTotals,
   getOrderShipmentById,
   createOrderShipment,
   updateOrderShipment,
+  patchOrderShipment,
   deleteOrderShipment,
   getOrderShipmentStats,
   updateOrderShipmentStatus,
+  getOrderStatusHistory,
+  ORDER_STATUS_TRANSITIONS,
   getRecentOrderShipmentActivity,
   getStockOverview,
   getStockByCategory,
-  getStockByWarehouse
+  getStockByWarehouse,
+  moveItemStock
 } = require('./inventory');
+const { MOVEMENT_TYPES, getStockLocations, getStockMovements } = require('./stockMovements');
+const {
+  MIN_FOUND_CONFIDENCE,
+  resolveScannedCode,
+  getProductAliases,
+  addProductAlias,
+  deleteProductAlias
+} = require('./barcodeLookup');
+const { ROLES, getPermissions, can, requirePermission } = require('./permissions');
+const { PgSessionStore, destroyUserSessions } = require('./sessionStore');
+const {
+  getIpBlock,
+  recordIpFailure,
+  getAccountLock,
+  recordAccountFailure,
+  recordAccountSuccess,
+  unlockAccount
+} = require('./loginThrottle');
+const {
+  getAllSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  deletePurchaseOrder,
+  getPurchaseOrderReceipts,
+  receivePurchaseOrder
+} = require('./purchasing');
+const {
+  TRANSFER_STATUSES,
+  getAllStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  updateStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer
+} = require('./transfers');
+const { syncOrderReservation, getReservations } = require('./reservations');
+const {
+  RETURN_STATUSES,
+  RETURN_REASON_CODES,
+  RETURN_DISPOSITIONS,
+  DISPOSITION_REASON_CODES,
+  getAllReturns,
+  getReturnById,
+  createReturn,
+  receiveReturn,
+  inspectReturn,
+  releaseReturnQuarantine,
+  cancelReturn
+} = require('./returns');
+const {
+  CYCLE_COUNT_STATUSES,
+  getAllCycleCounts,
+  getCycleCountById,
+  createCycleCount,
+  recordCycleCount,
+  getCycleCountVariance,
+  approveCycleCount,
+  cancelCycleCount
+} = require('./cycleCounts');
+const {
+  EXPIRY_WARNING_DAYS,
+  parseLotInput,
+  getStockLots,
+  getExpiringLots,
+  notifyExpiringLots
+} = require('./lots');
+const {
+  SERIAL_STATUSES,
+  getSerials,
+  getSerialById,
+  registerSerials,
+  assignOrderSerials,
+  updateSerialStatus
+} = require('./serials');
+const {
+  updateReorderSettings,
+  getReorderSuggestions,
+  notifyReorderPoints
+} = require('./reorder');
+const { subscribe: subscribeLiveEvents } = require('./liveEvents');
+const { importInventoryItems } = require('./itemImport');
+const { streamReport } = require('./reportExports');
+const { getInventoryValuation, getStandardCosts, setStandardCost } = require('./valuation');
+const {
+  getEffectivePrice,
+  getPriceHistory,
+  schedulePrice,
+  applyDiscount,
+  cancelScheduledPrice,
+  bulkUpdatePrices
+} = require('./pricing');
+const { httpError, sendError } = require('./errors');
+const { checkFields, validateBody, schemas } = require('./validation');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, req.ip must come from X-Forwarded-For for per-IP lockout to work.
+// Only the entries added by our own proxies (TRUST_PROXY_HOPS, default 1) are trusted:
+// proxies append to the header, so anything further left is whatever the client sent.
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 1);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -52,6 +180,7 @@ app.use(express.static(path.join(__dirname)));
 
 // Session configuration
 app.use(session({
+  store: new PgSessionStore(),
   secret: process.env.SESSION_SECRET || 'fox-control-hub-secret-key',
   resave: false,
   saveUninitialized: false,
@@ -61,15 +190,63 @@ app.use(session({
   }
 }));
 
+// Routes a user with a pending password change may still reach
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/user', '/api/user/password'];
+
 // Authentication middleware
 const requireAuth = (req, res, next) => {
   if (req.session && req.session.user) {
+    if (req.session.user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+      if (req.path.startsWith('/api/')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You must change your password before continuing',
+          passwordChangeRequired: true
+        });
+      }
+      return res.redirect('/loginpage.html?changePassword=1');
+    }
     return next();
   } else {
     return res.redirect('/loginpage.html');
   }
 };
 
+// Version of the record an update was made against, for optimistic concurrency:
+// the If-Match header ("3", as an ETag) or the body's version. Null when the
+// caller sent neither (or If-Match: *), and the update then applies regardless.
+const requestedVersion = (req) => {
+  const header = req.get('If-Match');
+  const raw = header !== undefined ? header.trim() : (req.body.version != null ? String(req.body.version) : '');
+  if (!raw || raw === '*') return null;
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(raw);
+  if (!match) {
+    throw httpError(400, 'version must be a whole number');
+  }
+  return Number(match[1]);
+};
+
+// Minimal password policy shared by account creation, resets and self-service changes
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  if (password.toLowerCase() === 'admin' || password.toLowerCase() === 'password') {
+    return 'Password is too easy to guess';
+  }
+  return null;
+};
+
+// Sign user in on a new session id, so an id planted in the browser (or taken
+// from it) before this point is not the one that ends up authenticated
+const startUserSession = (req, user) => new Promise((resolve, reject) => {
+  req.session.regenerate((err) => {
+    if (err) return reject(err);
+    req.session.user = user;
+    resolve();
+  });
+});
+
 // Routes
 
 // Root route - redirect to login if not authenticated, otherwise to inventory
@@ -83,7 +260,7 @@ app.get('/', (req, res) => {
 
 // Login page
 app.get('/login.html', (req, res) => {
-  if (req.session && req.session.user) {
+  if (req.session && req.session.user && !req.session.user.mustChangePassword) {
     res.redirect('/inventory.html');
   } else {
     res.sendFile(path.join(__dirname, 'loginpage.html'));
@@ -91,7 +268,7 @@ app.get('/login.html', (req, res) => {
 });
 
 app.get('/loginpage.html', (req, res) => {
-  if (req.session && req.session.user) {
+  if (req.session && req.session.user && !req.session.user.mustChangePassword) {
     res.redirect('/inventory.html');
   } else {
     res.sendFile(path.join(__dirname, 'loginpage.html'));
@@ -99,24 +276,53 @@ app.get('/loginpage.html', (req, res) => {
 });
 
 // Login POST route
-app.post('/login', async (req, res) => {
+app.post('/login', validateBody(schemas.login), async (req, res) => {
   const { username, password } = req.body;
   
   try {
+    const ipBlockedUntil = getIpBlock(req.ip);
+    if (ipBlockedUntil) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this address. Please try again later.',
+        retryAfter: ipBlockedUntil
+      });
+    }
+
     let user;
     try {
       user = await authenticateUser(username, password);
     } catch (dbError) {
-      // Mock authentication if database is not available
-      if (username === 'admin' && password === 'admin') {
+      // Mock authentication if database is not available (opt-in only)
+      if (isMockLoginEnabled() && username === 'admin' && password === 'admin') {
         user = { id: 1, username: 'admin', role: 'admin' };
       }
     }
     
     if (user) {
-      req.session.user = user;
-      res.json({ success: true, message: 'Login successful' });
+      // The lock is only reported once the password is known to be right, so
+      // lockouts cannot be used to tell which usernames exist
+      const lockedUntil = await getAccountLock(username);
+      if (lockedUntil) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is temporarily locked after repeated failed logins. Please try again later.',
+          lockedUntil
+        });
+      }
+      // Only the account's counter resets; the IP's failures expire with their window,
+      // so logging in to one account does not clear guesses made at others
+      await recordAccountSuccess(user.id);
+      await startUserSession(req, user);
+      res.json({
+        success: true,
+        message: user.mustChangePassword ? 'Password change required' : 'Login successful',
+        mustChangePassword: !!user.mustChangePassword
+      });
     } else {
+      // Same answer whether or not the username exists or is locked
+      recordIpFailure(req.ip);
+      await recordAccountFailure(username);
       res.status(401).json({ success: false, message: 'Invalid username or password' });
     }
   } catch (error) {
@@ -167,16 +373,196 @@ app.get('/api/user', requireAuth, (req, res) => {
   res.json({
     success: true,
     data: {
+      id: req.session.user.id,
       username: req.session.user.username,
-      role: req.session.user.role
+      role: req.session.user.role,
+      permissions: getPermissions(req.session.user.role),
+      mustChangePassword: !!req.session.user.mustChangePassword
     }
   });
 });
 
-// Notification API endpoints
+// Self-service password change for the signed-in user
+app.post('/api/user/password', requireAuth, validateBody(schemas.passwordChange), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const policyError = validatePassword(newPassword);
+    if (policyError) {
+      return res.status(400).json({ success: false, message: policyError });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ success: false, message: 'New password must be different from the current password' });
+    }
+    const valid = await verifyUserPassword(req.session.user.id, currentPassword);
+    if (!valid) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+    await setUserPassword(req.session.user.id, newPassword, false);
+    // Sign out every other session of the user, in case one was stolen, and carry
+    // on in a new one
+    await destroyUserSessions(req.session.user.id);
+    await startUserSession(req, { ...req.session.user, mustChangePassword: false });
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to change password' });
+  }
+});
+
+// User administration (admin only)
+app.get('/api/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await getAllUsers();
+    res.json({ success: true, data: users, roles: ROLES });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/users', requireAuth, requirePermission('users:manage'), validateBody(schemas.newUser), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const policyError = validatePassword(password);
+    if (policyError) {
+      return res.status(400).json({ success: false, message: policyError });
+    }
+    const user = await createUser(username, password, role);
+    res.json({ success: true, message: 'User created successfully', data: user });
+  } catch (error) {
+    console.error('Create user error:', error);
+    if (error && error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Username already exists', details: { fields: { username: 'Username already exists' } } });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create user' });
+  }
+});
+
+app.get('/api/users/:id(\\d+)', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await getUserById(req.params.id);
+    if (user) {
+      res.json({ success: true, data: user });
+    } else {
+      res.status(404).json({ success: false, message: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch user' });
+  }
+});
+
+app.put('/api/users/:id(\\d+)', requireAuth, requirePermission('users:manage'), validateBody(schemas.userUpdate, { partial: true }), async (req, res) => {
+  try {
+    const { username, role, is_active } = req.body;
+    // Keeps at least one admin able to manage accounts
+    const isSelf = Number(req.params.id) === Number(req.session.user.id);
+    if (isSelf && ((role !== undefined && role !== req.session.user.role) || is_active === false)) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role or disable your own account' });
+    }
+    const user = await updateUser(req.params.id, { username, role, is_active });
+    if (user && !isSelf) {
+      // Sessions cache the role, so make the user sign in again to pick up the change
+      await destroyUserSessions(user.id);
+    }
+    if (user) {
+      res.json({ success: true, message: 'User updated successfully', data: user });
+    } else {
+      res.status(404).json({ success: false, message: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Update user error:', error);
+    if (error && error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Username already exists', details: { fields: { username: 'Username already exists' } } });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/users/:id(\\d+)', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (Number(req.params.id) === Number(req.session.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    }
+    const deleted = await deleteUser(req.params.id);
+    if (deleted) {
+      await destroyUserSessions(deleted.id);
+      res.json({ success: true, message: 'User deleted successfully' });
+    } else {
+      res.status(404).json({ success: false, message: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete user' });
+  }
+});
+
+// Admin reset: sets a temporary password the user must change at next login
+app.post('/api/users/:id(\\d+)/reset-password', requireAuth, requirePermission('users:manage'), validateBody(schemas.passwordReset), async (req, res) => {
+  try {
+    const { password } = req.body;
+    const policyError = validatePassword(password);
+    if (policyError) {
+      return res.status(400).json({ success: false, message: policyError });
+    }
+    const user = await setUserPassword(req.params.id, password, true);
+    if (user) {
+      await unlockAccount(user.id);
+      await destroyUserSessions(user.id);
+      res.json({ success: true, message: 'Password reset successfully', data: user });
+    } else {
+      res.status(404).json({ success: false, message: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset password' });
+  }
+});
+
+// Admin unlock for an account locked by failed logins
+app.post('/api/users/:id(\\d+)/unlock', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await unlockAccount(req.params.id);
+    if (user) {
+      res.json({ success: true, message: 'Account unlocked successfully', data: user });
+    } else {
+      res.status(404).json({ success: false, message: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlock account' });
+  }
+});
+
+app.put('/api/users/:id(\\d+)/role', requireAuth, requirePermission('users:manage'), validateBody(schemas.roleChange), async (req, res) => {
+  try {
+    const { role } = req.body;
+    // Keeps at least one admin able to manage roles
+    if (Number(req.params.id) === Number(req.session.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+    const user = await updateUserRole(req.params.id, role);
+    if (user) {
+      await destroyUserSessions(user.id);
+      res.json({ success: true, message: 'Role updated successfully', data: user });
+    } else {
+      res.status(404).json({ success: false, message: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role' });
+  }
+});
+
+// Notification API endpoints. Each user sees the notifications delivered to them,
+// with their own read state; ?unread=true and ?archived=true filter the list.
 app.get('/api/notifications', requireAuth, async (req, res) => {
   try {
-    const notifications = await getNotifications(20);
+    const notifications = await getNotifications(req.session.user.id, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      unreadOnly: req.query.unread === 'true',
+      archived: req.query.archived === 'true'
+    });
     res.json({ success: true, data: notifications });
   } catch (error) {
     console.error('Get notifications error:', error);
@@ -186,7 +572,7 @@ app.get('/api/notifications', requireAuth, async (req, res) => {
 
 app.get('/api/notifications/unread-count', requireAuth, async (req, res) => {
   try {
-    const count = await getUnreadNotificationCount();
+    const count = await getUnreadNotificationCount(req.session.user.id);
     res.json({ 
       success: true, 
       count: count || 0 
@@ -203,11 +589,11 @@ app.get('/api/notifications/unread-count', requireAuth, async (req, res) => {
 
 app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
   try {
-    const success = await markNotificationAsRead(req.params.id);
+    const success = await markNotificationAsRead(req.params.id, req.session.user.id);
     if (success) {
       res.json({ success: true, message: 'Notification marked as read' });
     } else {
-      res.status(500).json({ success: false, message: 'Failed to mark notification as read' });
+      res.status(404).json({ success: false, message: 'Notification not found' });
     }
   } catch (error) {
     console.error('Mark notification as read error:', error);
@@ -217,7 +603,7 @@ app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
 
 app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
   try {
-    const success = await markAllNotificationsAsRead();
+    const success = await markAllNotificationsAsRead(req.session.user.id);
     if (success) {
       res.json({ success: true, message: 'All notifications marked as read' });
     } else {
@@ -229,29 +615,73 @@ app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
   }
 });
 
-// Create new notification
-app.post('/api/notifications', requireAuth, async (req, res) => {
+app.post('/api/notifications/:id(\\d+)/archive', requireAuth, async (req, res) => {
   try {
-    const { title, message, type = 'info' } = req.body;
-
-    // Validate required fields
-    if (!title || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title and message are required'
-      });
+    const archived = await archiveNotification(req.params.id, req.session.user.id);
+    if (!archived) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
     }
+    res.json({ success: true, message: 'Notification archived' });
+  } catch (error) {
+    console.error('Archive notification error:', error);
+    res.status(500).json({ success: false, message: 'Failed to archive notification' });
+  }
+});
+
+// Which kinds of notification the signed-in user receives
+app.get('/api/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.session.user.id);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch notification preferences' });
+  }
+});
+
+app.put('/api/notifications/preferences', requireAuth, validateBody(schemas.notificationPreferences, { strict: true }), async (req, res) => {
+  try {
+    const preferences = await updateNotificationPreferences(req.session.user.id, req.body);
+    res.json({ success: true, message: 'Notification preferences saved', data: preferences });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    sendError(res, error, 'Failed to save notification preferences');
+  }
+});
+
+// Run the notification archive and cleanup now instead of waiting for the scheduled one
+app.post('/api/notifications/cleanup', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await cleanupNotifications();
+    res.json({
+      success: true,
+      message: `Archived ${result.archived} and deleted ${result.deleted} notification(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Notification cleanup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to clean up notifications' });
+  }
+});
 
-    // Validate notification type
-    const validTypes = ['info', 'success', 'warning', 'error'];
-    if (!validTypes.includes(type)) {
+// Create new notification, for everyone unless target_user_id or target_role is given
+app.post('/api/notifications', requireAuth, validateBody(schemas.notification), async (req, res) => {
+  try {
+    const { title, message, type, category, target_role, target_user_id } = req.body;
+    if (target_user_id && !await getUserById(target_user_id)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid notification type'
+        message: 'Target user not found',
+        details: { fields: { target_user_id: 'Target user not found' } }
       });
     }
 
-    const notification = await createNotification(title, message, type);
+    const notification = await createNotification(title, message, type || 'info', {
+      category: category || 'messages',
+      role: target_role || null,
+      userId: target_user_id || null,
+      createdBy: req.session.user.id
+    });
     
     res.json({ 
       success: true, 
@@ -260,14 +690,17 @@ app.post('/api/notifications', requireAuth, async (req, res) => {
     });
   } catch (error) {
     console.error('Create notification error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to create notification',
-      error: error.message 
-    });
+    sendError(res, error, 'Failed to create notification');
   }
 });
 
+// Live updates: a Server-Sent Events stream of new notifications ('notification'),
+// stock changes ('inventory') and order status changes ('order')
+app.get('/api/events', requireAuth, (req, res) => {
+  const lastId = parseInt(req.get('Last-Event-ID')) || 0;
+  subscribeLiveEvents(req, res, lastId);
+});
+
 // API route to check database connection status
 app.get('/api/db-status', async (req, res) => {
   try {
@@ -324,18 +757,71 @@ app.get('/api/db-status', async (req, res) => {
   }
 });
 
-// API: Get all inventory items
+// List query parameters shared by the inventory and order lists
+const parseListQuery = (query, filterNames) => {
+  const filters = {};
+  for (const name of [...filterNames, 'sort', 'order', 'limit', 'offset']) {
+    if (typeof query[name] === 'string' && query[name] !== '') filters[name] = query[name];
+  }
+  return filters;
+};
+
+// API: Get inventory items. ?search=, ?category=, ?status= and ?warehouse=
+// filter; ?sort= and ?order= sort; ?limit= and ?offset= page (all rows without
+// ?limit=). total and facets count every matching item, not just the page.
 app.get('/api/inventory', requireAuth, async (req, res) => {
   try {
-    const items = await getAllInventoryItems();
-    res.json({ success: true, data: items });
+    const filters = parseListQuery(req.query, ['search', 'category', 'status', 'warehouse']);
+    const [items, totals] = await Promise.all([getAllInventoryItems(filters), getInventoryListTotals(filters)]);
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total: totals.total,
+      limit: filters.limit ? Math.min(Number(filters.limit), MAX_PAGE_SIZE) : null,
+      offset: Number(filters.offset || 0),
+      facets: totals.facets
+    });
   } catch (err) {
+    if (err && err.status) return sendError(res, err, 'Failed to fetch inventory items');
     console.error('Failed to fetch inventory items:', err);
     // Return an empty dataset to keep UI responsive, but include error message
     res.json({ success: true, data: [], warning: 'Database error while fetching inventory items' });
   }
 });
 
+// API: Resolve a scanned code (combined label, item code, product alias, serial) to ranked matches.
+// A serial number also returns the matching units.
+app.get('/api/inventory/search', requireAuth, async (req, res) => {
+  try {
+    const code = String(req.query.code || '').trim();
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+    const matches = await resolveScannedCode(code, { limit: req.query.limit });
+    const best = matches.length && matches[0].confidence >= MIN_FOUND_CONFIDENCE ? matches[0] : null;
+    const serials = matches.some(m => m.match_type === 'serial') ? await getSerials({ serialNumber: code }) : [];
+    res.json({ success: true, data: best, matches, count: matches.length, serials });
+  } catch (err) {
+    console.error('Inventory search error:', err);
+    res.status(500).json({ success: false, message: 'Failed to search inventory' });
+  }
+});
+
+// API: Value stock at cost. ?method= is fifo (default), average or standard;
+// ?as_of=YYYY-MM-DD values the stock held at the end of that day. The
+// inventory list filters narrow the rows; totals come per warehouse and category.
+app.get('/api/inventory/valuation', requireAuth, async (req, res) => {
+  try {
+    const options = parseListQuery(req.query, ['method', 'as_of', 'search', 'category', 'status', 'warehouse']);
+    const valuation = await getInventoryValuation(options);
+    res.json({ success: true, data: valuation });
+  } catch (err) {
+    console.error('Inventory valuation error:', err);
+    sendError(res, err, 'Failed to value inventory');
+  }
+});
+
 app.get('/api/inventory/:id', requireAuth, async (req, res) => {
   try {
     const item = await getInventoryItemById(req.params.id);
@@ -350,16 +836,17 @@ app.get('/api/inventory/:id', requireAuth, async (req, res) => {
 });
 
 // API: Insert new inventory item
-app.post('/api/inventory', requireAuth, async (req, res) => {
+app.post('/api/inventory', requireAuth, requirePermission('inventory:write'), validateBody(schemas.inventoryItem), async (req, res) => {
   try {
-    const newItem = await createInventoryItem(req.body);
+    const newItem = await createInventoryItem(req.body, { user: req.session.user });
     
     // Create notification for successful item addition
     try {
       await createNotification(
         'Item Added Successfully',
-        `${newItem.name} has been added to inventory with SKU: ${newItem.sku}`,
-        'success'
+        `${newItem.item_code} has been added to inventory by ${req.session.user.username}`,
+        'success',
+        { category: 'inventory_changes', excludeUserId: req.session.user.id, createdBy: req.session.user.id }
       );
     } catch (notifError) {
       console.error('Failed to create notification:', notifError);
@@ -367,12 +854,12 @@ app.post('/api/inventory', requireAuth, async (req, res) => {
     
     res.json({ success: true, message: 'Item inserted successfully', data: newItem });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to insert item' });
+    sendError(res, err, 'Failed to insert item');
   }
 });
 
 // API: Delete multiple inventory items
-app.post('/api/inventory/delete-multiple', requireAuth, async (req, res) => {
+app.post('/api/inventory/delete-multiple', requireAuth, requirePermission('inventory:delete'), validateBody(schemas.itemDeletion), async (req, res) => {
   try {
     const { ids } = req.body;
     await deleteMultipleInventoryItems(ids);
@@ -381,8 +868,9 @@ app.post('/api/inventory/delete-multiple', requireAuth, async (req, res) => {
     try {
       await createNotification(
         'Items Deleted Successfully',
-        `${ids.length} item(s) have been deleted from inventory`,
-        'warning'
+        `${ids.length} item(s) have been deleted from inventory by ${req.session.user.username}`,
+        'warning',
+        { category: 'inventory_changes', excludeUserId: req.session.user.id, createdBy: req.session.user.id }
       );
     } catch (notifError) {
       console.error('Failed to create notification:', notifError);
@@ -390,21 +878,63 @@ app.post('/api/inventory/delete-multiple', requireAuth, async (req, res) => {
     
     res.json({ success: true, message: 'Items deleted successfully' });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to delete items' });
+    console.error('Delete items error:', err);
+    sendError(res, err, 'Failed to delete items');
+  }
+});
+
+// API: Import inventory items from a CSV or XLSX file sent as the request body,
+// creating new item codes and updating existing ones. ?dry_run=true only
+// checks the file and reports what importing it would do.
+app.post('/api/inventory/import', requireAuth, requirePermission('inventory:write'), express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const result = await importInventoryItems(req.body, { dryRun, user: req.session.user });
+    const { create, update } = result.summary;
+    if (!dryRun && create + update > 0) {
+      try {
+        await createNotification(
+          'Items Imported',
+          `${req.session.user.username} imported ${create} new and ${update} updated item(s)`,
+          'success',
+          { category: 'inventory_changes', excludeUserId: req.session.user.id, createdBy: req.session.user.id }
+        );
+      } catch (notifError) {
+        console.error('Failed to create notification:', notifError);
+      }
+    }
+    res.json({
+      success: true,
+      message: dryRun ? 'Import checked; nothing was changed' : 'Items imported successfully',
+      data: result
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to import items');
   }
 });
 
 // API: Update inventory item
-app.put('/api/inventory/:id', requireAuth, async (req, res) => {
+app.put('/api/inventory/:id', requireAuth, requirePermission('inventory:write'), validateBody(schemas.inventoryItemUpdate), async (req, res) => {
   try {
-    const updatedItem = await updateInventoryItem(req.params.id, req.body);
+    // Callers may tag the quantity change, e.g. 'scan_correction'
+    const { movement_type, movement_notes } = req.body;
+    const updatedItem = await updateInventoryItem(req.params.id, req.body, {
+      user: req.session.user,
+      movementType: movement_type,
+      notes: movement_notes,
+      expectedVersion: requestedVersion(req)
+    });
+    if (!updatedItem) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
     
     // Create notification for successful item update
     try {
       await createNotification(
         'Item Updated Successfully',
-        `${updatedItem.name} (SKU: ${updatedItem.sku}) has been updated in inventory`,
-        'info'
+        `${updatedItem.item_code} has been updated in inventory by ${req.session.user.username}`,
+        'info',
+        { category: 'inventory_changes', excludeUserId: req.session.user.id, createdBy: req.session.user.id }
       );
     } catch (notifError) {
       console.error('Failed to create notification:', notifError);
@@ -412,7 +942,95 @@ app.put('/api/inventory/:id', requireAuth, async (req, res) => {
     
     res.json({ success: true, message: 'Item updated successfully', data: updatedItem });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to update item' });
+    sendError(res, err, 'Failed to update item');
+  }
+});
+
+// API: Change only the fields sent, e.g. { "total_quantity": 12 } from the scanner
+app.patch('/api/inventory/:id(\\d+)', requireAuth, requirePermission('inventory:write'), validateBody(schemas.inventoryItemUpdate, { partial: true, strict: true }), async (req, res) => {
+  try {
+    const { version, movement_type, movement_notes, ...changes } = req.body;
+    const updatedItem = await patchInventoryItem(req.params.id, changes, {
+      user: req.session.user,
+      movementType: movement_type,
+      notes: movement_notes,
+      expectedVersion: requestedVersion(req)
+    });
+    if (!updatedItem) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    try {
+      await createNotification(
+        'Item Updated Successfully',
+        `${updatedItem.item_code} has been updated in inventory by ${req.session.user.username}`,
+        'info',
+        { category: 'inventory_changes', excludeUserId: req.session.user.id, createdBy: req.session.user.id }
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+
+    res.json({ success: true, message: 'Item updated successfully', data: updatedItem });
+  } catch (err) {
+    sendError(res, err, 'Failed to update item');
+  }
+});
+
+// API: Stock of one item per location (warehouse + bin)
+app.get('/api/inventory/:id(\\d+)/locations', requireAuth, async (req, res) => {
+  try {
+    const rows = await getStockLocations({ itemId: req.params.id, includeEmpty: req.query.include_empty === 'true' });
+    res.json({ success: true, data: rows });
+  } catch (err) {
+    console.error('Item locations error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch item locations' });
+  }
+});
+
+// API: Set, add or subtract stock at one location of an item
+app.post('/api/inventory/:id(\\d+)/locations/adjust', requireAuth, requirePermission('inventory:write'), validateBody(schemas.stockAdjustment), async (req, res) => {
+  try {
+    const { warehouse_id, bin_code, quantity, operation, movement_type, notes } = req.body;
+    const lot = parseLotInput(req.body);
+    const updated = await updateItemQuantity(req.params.id, quantity, operation || 'set', {
+      user: req.session.user,
+      warehouseId: warehouse_id,
+      binCode: bin_code,
+      movementType: movement_type,
+      notes,
+      ...lot
+    });
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true, message: 'Stock updated successfully', data: updated });
+  } catch (err) {
+    console.error('Adjust item location error:', err);
+    sendError(res, err, 'Failed to update stock');
+  }
+});
+
+// API: Move stock of an item between warehouses or bins
+app.post('/api/inventory/:id(\\d+)/locations/move', requireAuth, requirePermission('inventory:write'), validateBody(schemas.stockMove), async (req, res) => {
+  try {
+    const { from_warehouse_id, from_bin_code, to_warehouse_id, to_bin_code, lot_number, quantity, notes } = req.body;
+    const moved = await moveItemStock(req.params.id, {
+      quantity,
+      fromWarehouseId: from_warehouse_id,
+      fromBinCode: from_bin_code,
+      toWarehouseId: to_warehouse_id,
+      toBinCode: to_bin_code,
+      lotNumber: lot_number
+    }, { user: req.session.user, notes });
+    if (!moved) {
+      const message = lot_number ? `Not enough stock of lot ${lot_number} at the source location` : 'Not enough stock at the source location';
+      return res.status(400).json({ success: false, message });
+    }
+    res.json({ success: true, message: 'Stock moved successfully', data: moved });
+  } catch (err) {
+    console.error('Move item stock error:', err);
+    sendError(res, err, 'Failed to move stock');
   }
 });
 
@@ -448,8 +1066,8 @@ app.get('/api/warehouses', requireAuth, async (req, res) => {
 // Stock Tracking APIs
 app.get('/api/stock/overview', requireAuth, async (req, res) => {
   try {
-    const threshold = parseInt(req.query.threshold) || 50;
-    const data = await getStockOverview({ threshold });
+    // Without ?threshold each item counts as low at its own reorder point
+    const data = await getStockOverview({ threshold: parseInt(req.query.threshold) || null });
     res.json({ success: true, data });
   } catch (err) {
     console.error('Stock overview error:', err);
@@ -467,6 +1085,16 @@ app.get('/api/stock/by-category', requireAuth, async (req, res) => {
   }
 });
 
+app.get('/api/stock/locations', requireAuth, async (req, res) => {
+  try {
+    const rows = await getStockLocations({ itemId: req.query.item_id, warehouse: req.query.warehouse });
+    res.json({ success: true, data: rows });
+  } catch (err) {
+    console.error('Stock locations error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock locations' });
+  }
+});
+
 app.get('/api/stock/by-warehouse', requireAuth, async (req, res) => {
   try {
     const rows = await getStockByWarehouse();
@@ -477,7 +1105,88 @@ app.get('/api/stock/by-warehouse', requireAuth, async (req, res) => {
   }
 });
 
-// Products and Pricing (read-only)
+// Report exports: /api/exports/inventory-valuation, stock-by-category,
+// stock-by-warehouse, order-shipments or scan-history, as ?format=csv, xlsx or
+// pdf, streamed as a download. The report's filters are taken from the query.
+app.get('/api/exports/:report', requireAuth, async (req, res) => {
+  try {
+    await streamReport(res, req.params.report, String(req.query.format || 'csv').toLowerCase(), {
+      filters: req.query,
+      user: req.session.user
+    });
+  } catch (err) {
+    console.error('Report export error:', err);
+    sendError(res, err, 'Failed to export report');
+  }
+});
+
+// Stock movement ledger APIs
+const parseMovementFilters = (query) => {
+  const { item_id, item_code, warehouse, type, reference_id, from, to, limit, offset } = query;
+  if (type && !MOVEMENT_TYPES.includes(type)) {
+    return { error: 'Invalid movement type' };
+  }
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return { error: 'Invalid date range' };
+  }
+  return {
+    filters: {
+      itemId: item_id,
+      itemCode: item_code,
+      warehouse,
+      type,
+      referenceId: reference_id,
+      from,
+      to,
+      limit,
+      offset
+    }
+  };
+};
+
+app.get('/api/stock/movements', requireAuth, async (req, res) => {
+  try {
+    const { error, filters } = parseMovementFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const rows = await getStockMovements(filters);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error('Stock movements error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock movements' });
+  }
+});
+
+app.get('/api/stock/movements/item/:itemId(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const { error, filters } = parseMovementFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const rows = await getStockMovements({ ...filters, itemId: req.params.itemId });
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error('Item stock movements error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock movements' });
+  }
+});
+
+app.get('/api/stock/movements/warehouse/:warehouseId', requireAuth, async (req, res) => {
+  try {
+    const { error, filters } = parseMovementFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const rows = await getStockMovements({ ...filters, warehouse: req.params.warehouseId });
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error('Warehouse stock movements error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock movements' });
+  }
+});
+
+// Products and Pricing
 app.get('/api/products', requireAuth, async (req, res) => {
   try {
     const db = require('./database');
@@ -490,35 +1199,142 @@ app.get('/api/products', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/product-pricing/:productId', requireAuth, async (req, res) => {
+// Price in effect today, or on ?date=YYYY-MM-DD
+app.get('/api/product-pricing/:productId(\\d+)', requireAuth, async (req, res) => {
   try {
-    const db = require('./database');
-    const sqlConn = await db.sql();
-    const rows = await sqlConn`
-      SELECT product_id, price, discount_rate, effective_date
-      FROM product_pricing
-      WHERE product_id = ${req.params.productId}
-      ORDER BY effective_date DESC
-      LIMIT 1
-    `;
-    res.json({ success: true, data: rows[0] || null });
+    const { date } = checkFields(req.query, schemas.priceQuery);
+    const price = await getEffectivePrice(req.params.productId, date);
+    res.json({ success: true, data: price });
   } catch (error) {
+    if (error && error.status) return sendError(res, error, 'Failed to fetch product pricing');
     console.error('Fetch product pricing error:', error);
     res.json({ success: true, data: null });
   }
 });
 
-// API: Get scan history
-app.get('/api/scan-history', requireAuth, async (req, res) => {
+// Every price the product has had or has scheduled, newest first
+app.get('/api/product-pricing/:productId(\\d+)/history', requireAuth, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    
-    // Validate limit
-    if (isNaN(limit) || limit < 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid limit parameter'
-      });
+    const history = await getPriceHistory(req.params.productId);
+    if (!history) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    res.json({ success: true, data: history, count: history.length });
+  } catch (error) {
+    console.error('Fetch price history error:', error);
+    sendError(res, error, 'Failed to fetch price history');
+  }
+});
+
+// Set a price from effective_date (today if omitted, or a later date to schedule it)
+app.post('/api/product-pricing/:productId(\\d+)', requireAuth, requirePermission('catalog:write'), validateBody(schemas.productPrice), async (req, res) => {
+  try {
+    const price = await schedulePrice(req.params.productId, req.body, req.session.user);
+    if (!price) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    res.status(201).json({ success: true, message: 'Price saved', data: price });
+  } catch (error) {
+    console.error('Save product price error:', error);
+    sendError(res, error, 'Failed to save price');
+  }
+});
+
+app.post('/api/product-pricing/:productId(\\d+)/discount', requireAuth, requirePermission('catalog:write'), validateBody(schemas.priceDiscount), async (req, res) => {
+  try {
+    const price = await applyDiscount(req.params.productId, req.body, req.session.user);
+    if (!price) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    res.status(201).json({ success: true, message: 'Discount applied', data: price });
+  } catch (error) {
+    console.error('Apply discount error:', error);
+    sendError(res, error, 'Failed to apply discount');
+  }
+});
+
+app.delete('/api/product-pricing/:productId(\\d+)/:priceId(\\d+)', requireAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const cancelled = await cancelScheduledPrice(req.params.productId, req.params.priceId);
+    if (!cancelled) {
+      return res.status(404).json({ success: false, message: 'Price not found' });
+    }
+    res.json({ success: true, message: 'Scheduled price cancelled' });
+  } catch (error) {
+    console.error('Cancel scheduled price error:', error);
+    sendError(res, error, 'Failed to cancel scheduled price');
+  }
+});
+
+// Raise or lower (negative percent) the prices of a product category; with
+// dry_run: true the new prices are returned without saving them
+app.post('/api/product-pricing/bulk-update', requireAuth, requirePermission('catalog:write'), validateBody(schemas.bulkPriceChange), async (req, res) => {
+  try {
+    const result = await bulkUpdatePrices(req.body, req.session.user);
+    if (!result.count) {
+      return res.status(404).json({ success: false, message: `No priced products in category ${req.body.category}` });
+    }
+    res.status(result.dry_run ? 200 : 201).json({
+      success: true,
+      message: result.dry_run ? `${result.count} prices would change` : `${result.count} prices updated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Bulk price update error:', error);
+    sendError(res, error, 'Failed to update prices');
+  }
+});
+
+// Product aliases (alternate barcodes resolved by the scanner)
+app.get('/api/products/:productId(\\d+)/aliases', requireAuth, async (req, res) => {
+  try {
+    const rows = await getProductAliases(req.params.productId);
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch product aliases error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch product aliases' });
+  }
+});
+
+app.post('/api/products/:productId(\\d+)/aliases', requireAuth, requirePermission('catalog:write'), validateBody(schemas.productAlias), async (req, res) => {
+  try {
+    const { alias, alias_type } = req.body;
+    const created = await addProductAlias(req.params.productId, alias, alias_type || 'barcode', req.session.user.id);
+    res.json({ success: true, message: 'Alias added successfully', data: created });
+  } catch (error) {
+    console.error('Add product alias error:', error);
+    if (error && error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'Alias is already assigned to a product', details: { fields: { alias: 'Alias is already assigned to a product' } } });
+    }
+    sendError(res, error, 'Failed to add alias');
+  }
+});
+
+app.delete('/api/products/:productId(\\d+)/aliases/:aliasId(\\d+)', requireAuth, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const deleted = await deleteProductAlias(req.params.productId, req.params.aliasId);
+    if (deleted) {
+      res.json({ success: true, message: 'Alias deleted successfully' });
+    } else {
+      res.status(404).json({ success: false, message: 'Alias not found' });
+    }
+  } catch (error) {
+    console.error('Delete product alias error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete alias' });
+  }
+});
+
+// API: Get scan history
+app.get('/api/scan-history', requireAuth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    
+    // Validate limit
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter'
+      });
     }
 
     const history = await getScanHistory(limit);
@@ -540,17 +1356,8 @@ app.get('/api/scan-history', requireAuth, async (req, res) => {
 });
 
 // API: Save scan to history
-app.post('/api/scan-history', requireAuth, async (req, res) => {
+app.post('/api/scan-history', requireAuth, requirePermission('scans:write'), validateBody(schemas.scan), async (req, res) => {
   try {
-    // Validate required fields
-    const { code, type } = req.body;
-    if (!code) {
-      return res.status(400).json({
-        success: false,
-        message: 'Scan code is required'
-      });
-    }
-
     // Add user info to scan data
     const scanData = {
       ...req.body,
@@ -561,11 +1368,12 @@ app.post('/api/scan-history', requireAuth, async (req, res) => {
     const savedScan = await saveScanHistory(scanData);
     
     if (savedScan) {
-      // Create notification for successful scan
+      // Create notification for successful scan, for the scanning user only
       await createNotification(
         'New Scan Recorded',
         `New ${scanData.type || 'barcode'} scan: ${scanData.code}`,
-        'info'
+        'info',
+        { category: 'scans', userId: req.session.user.id, createdBy: req.session.user.id }
       );
       
       res.json({ 
@@ -578,16 +1386,12 @@ app.post('/api/scan-history', requireAuth, async (req, res) => {
     }
   } catch (err) {
     console.error('Save scan error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to save scan',
-      error: err.message 
-    });
+    sendError(res, err, 'Failed to save scan');
   }
 });
 
 // API: Clear scan history
-app.delete('/api/scan-history', requireAuth, async (req, res) => {
+app.delete('/api/scan-history', requireAuth, requirePermission('scans:clear'), async (req, res) => {
   try {
     const success = await clearScanHistory();
     
@@ -595,8 +1399,9 @@ app.delete('/api/scan-history', requireAuth, async (req, res) => {
       // Create notification for successful clear
       await createNotification(
         'Scan History Cleared',
-        'All scan history records have been cleared',
-        'warning'
+        `All scan history records have been cleared by ${req.session.user.username}`,
+        'warning',
+        { category: 'scans', createdBy: req.session.user.id }
       );
       
       res.json({ 
@@ -620,7 +1425,7 @@ app.delete('/api/scan-history', requireAuth, async (req, res) => {
 });
 
 // API: Delete individual scan history record
-app.delete('/api/scan-history/:id', requireAuth, async (req, res) => {
+app.delete('/api/scan-history/:id', requireAuth, requirePermission('scans:delete'), async (req, res) => {
   try {
     const scanId = parseInt(req.params.id);
     
@@ -638,7 +1443,8 @@ app.delete('/api/scan-history/:id', requireAuth, async (req, res) => {
       await createNotification(
         'Scan Deleted',
         `Scan record ${scanId} has been deleted`,
-        'info'
+        'info',
+        { category: 'scans', userId: req.session.user.id, createdBy: req.session.user.id }
       );
       
       res.json({
@@ -671,6 +1477,30 @@ app.get('/api/test-inventory', async (req, res) => {
   }
 });
 
+// Raise expiry alerts for lots at startup, then every LOT_EXPIRY_CHECK_HOURS
+const scheduleLotExpiryCheck = () => {
+  const hours = parseFloat(process.env.LOT_EXPIRY_CHECK_HOURS) || 6;
+  const check = () => notifyExpiringLots().catch(err => console.warn('Lot expiry check failed:', err?.message));
+  check();
+  setInterval(check, hours * 60 * 60 * 1000).unref();
+};
+
+// Archive and delete old notifications every NOTIFICATION_CLEANUP_HOURS (default 24)
+const scheduleNotificationCleanup = () => {
+  const hours = parseFloat(process.env.NOTIFICATION_CLEANUP_HOURS) || 24;
+  const cleanup = () => cleanupNotifications().catch(err => console.warn('Notification cleanup failed:', err?.message));
+  cleanup();
+  setInterval(cleanup, hours * 60 * 60 * 1000).unref();
+};
+
+// Alert on items falling to their reorder point every REORDER_CHECK_MINUTES (default 15)
+const scheduleReorderCheck = () => {
+  const minutes = parseFloat(process.env.REORDER_CHECK_MINUTES) || 15;
+  const check = () => notifyReorderPoints().catch(err => console.warn('Reorder point check failed:', err?.message));
+  check();
+  setInterval(check, minutes * 60 * 1000).unref();
+};
+
 // Initialize database and start server
 const startServer = async () => {
   try {
@@ -678,12 +1508,18 @@ const startServer = async () => {
     try {
       await initializeDatabase();
       console.log(`🗄️ Database: Connected to Neon PostgreSQL`);
+      scheduleLotExpiryCheck();
+      scheduleReorderCheck();
+      scheduleNotificationCleanup();
     } catch (dbError) {
       console.log(`⚠️ Database connection failed, running in mock mode`);
     }
     
     app.listen(PORT, () => {
       console.log(`🚀 Fox Control Hub server running on http://localhost:${PORT}`);
+      if (isMockLoginEnabled()) {
+        console.warn('⚠️ ALLOW_MOCK_LOGIN is enabled: admin/admin works whenever the database is unavailable');
+      }
       console.log(`📝 Default login credentials:`);
       console.log(`   Username: admin`);
       console.log(`   Password: admin`);
@@ -707,15 +1543,25 @@ app.get('/api/order-shipments/stats', requireAuth, async (req, res) => {
   }
 });
 
+// ?search=, ?status=, ?date=, ?warehouse= and ?category= filter; sorting,
+// paging, total and facets work as for /api/inventory
 app.get('/api/order-shipments', requireAuth, async (req, res) => {
   try {
-    const { search, status, priority, date } = req.query;
-    const filters = { search, status, priority, date };
+    const filters = parseListQuery(req.query, ['search', 'status', 'date', 'warehouse', 'category']);
     const orders = await getAllOrderShipments(filters);
-    res.json({ success: true, data: orders || [], count: orders ? orders.length : 0 });
+    const totals = await getOrderShipmentListTotals(filters);
+    res.json({
+      success: true,
+      data: orders,
+      count: orders.length,
+      total: totals.total,
+      limit: filters.limit ? Math.min(Number(filters.limit), MAX_PAGE_SIZE) : null,
+      offset: Number(filters.offset || 0),
+      facets: totals.facets
+    });
   } catch (error) {
     console.error('Error fetching order shipments:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch order shipments' });
+    sendError(res, error, 'Failed to fetch order shipments');
   }
 });
 
@@ -733,19 +1579,22 @@ app.get('/api/order-shipments/:id(\\d+)', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/order-shipments', requireAuth, async (req, res) => {
+app.post('/api/order-shipments', requireAuth, requirePermission('orders:write'), validateBody(schemas.orderShipment), async (req, res) => {
   try {
-    const newOrder = await createOrderShipment(req.body);
+    const newOrder = await createOrderShipment(req.body, { user: req.session.user });
     res.json({ success: true, message: 'Order created successfully', data: newOrder });
   } catch (error) {
     console.error('Error creating order shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to create order' });
+    sendError(res, error, 'Failed to create order');
   }
 });
 
-app.put('/api/order-shipments/:id(\\d+)', requireAuth, async (req, res) => {
+app.put('/api/order-shipments/:id(\\d+)', requireAuth, requirePermission('orders:write'), validateBody(schemas.orderShipmentUpdate), async (req, res) => {
   try {
-    const updatedOrder = await updateOrderShipment(req.params.id, req.body);
+    const updatedOrder = await updateOrderShipment(req.params.id, req.body, {
+      user: req.session.user,
+      expectedVersion: requestedVersion(req)
+    });
     if (updatedOrder) {
       res.json({ success: true, message: 'Order updated successfully', data: updatedOrder });
     } else {
@@ -753,38 +1602,101 @@ app.put('/api/order-shipments/:id(\\d+)', requireAuth, async (req, res) => {
     }
   } catch (error) {
     console.error('Error updating order shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to update order' });
+    sendError(res, error, 'Failed to update order');
   }
 });
 
-app.delete('/api/order-shipments/:id(\\d+)', requireAuth, async (req, res) => {
+app.patch('/api/order-shipments/:id(\\d+)', requireAuth, requirePermission('orders:write'), validateBody(schemas.orderShipmentUpdate, { partial: true, strict: true }), async (req, res) => {
   try {
-    const deleted = await deleteOrderShipment(req.params.id);
-    if (deleted) {
-      res.json({ success: true, message: 'Order deleted successfully' });
+    const { version, ...changes } = req.body;
+    const updatedOrder = await patchOrderShipment(req.params.id, changes, {
+      user: req.session.user,
+      expectedVersion: requestedVersion(req)
+    });
+    if (updatedOrder) {
+      res.json({ success: true, message: 'Order updated successfully', data: updatedOrder });
     } else {
       res.status(404).json({ success: false, message: 'Order not found' });
     }
   } catch (error) {
-    console.error('Error deleting order shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to delete order' });
+    console.error('Error patching order shipment:', error);
+    sendError(res, error, 'Failed to update order');
   }
 });
 
-app.post('/api/order-shipments/:id(\\d+)/status', requireAuth, async (req, res) => {
+app.delete('/api/order-shipments/:id(\\d+)', requireAuth, requirePermission('orders:delete'), async (req, res) => {
   try {
-    const { status, setShipDate, setDeliveryDate } = req.body;
-    const updated = await updateOrderShipmentStatus(req.params.id, status, { setShipDate, setDeliveryDate });
-    if (updated) {
-      res.json({ success: true, message: 'Order status updated', data: updated });
+    const deleted = await deleteOrderShipment(req.params.id, { user: req.session.user });
+    if (deleted) {
+      res.json({ success: true, message: 'Order deleted successfully' });
     } else {
       res.status(404).json({ success: false, message: 'Order not found' });
     }
+  } catch (error) {
+    console.error('Error deleting order shipment:', error);
+    sendError(res, error, 'Failed to delete order');
+  }
+});
+
+app.post('/api/order-shipments/:id(\\d+)/status', requireAuth, requirePermission('orders:status'), validateBody(schemas.orderStatus), async (req, res) => {
+  try {
+    const { status, setShipDate, setDeliveryDate, warehouse_id, bin_code, notes, serial_numbers } = req.body;
+    const updated = await updateOrderShipmentStatus(req.params.id, status, {
+      setShipDate,
+      setDeliveryDate,
+      warehouseId: warehouse_id,
+      binCode: bin_code,
+      serialNumbers: serial_numbers,
+      notes,
+      user: req.session.user
+    });
+    res.json({ success: true, message: 'Order status updated', data: updated });
   } catch (error) {
     console.error('Error updating order status:', error);
-    const message = (error && error.message) ? error.message : 'Failed to update order status';
-    const isBusinessError = /you cannot ship the item|Order not found/i.test(message);
-    res.status(isBusinessError ? 400 : 500).json({ success: false, message });
+    sendError(res, error, 'Failed to update order status');
+  }
+});
+
+// API: Status history of an order, with the statuses it may move to next
+app.get('/api/order-shipments/:id(\\d+)/history', requireAuth, async (req, res) => {
+  try {
+    const order = await getOrderShipmentById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    const history = await getOrderStatusHistory(req.params.id);
+    const nextStatuses = ORDER_STATUS_TRANSITIONS[String(order.status || '').toLowerCase()] || [];
+    res.json({ success: true, data: { status: order.status, next_statuses: nextStatuses, history } });
+  } catch (error) {
+    console.error('Error fetching order status history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch order status history' });
+  }
+});
+
+// API: Retry the stock reservation of an open order (e.g. after stock arrived)
+app.post('/api/order-shipments/:id(\\d+)/reserve', requireAuth, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const order = await getOrderShipmentById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    const reservation = await syncOrderReservation(order, 're_reserved');
+    res.json({ success: true, message: 'Order reservation updated', data: reservation });
+  } catch (error) {
+    console.error('Error reserving order stock:', error);
+    sendError(res, error, 'Failed to reserve order stock');
+  }
+});
+
+// API: Stock reservations, filterable by item, order and status
+app.get('/api/reservations', requireAuth, async (req, res) => {
+  try {
+    const { item_id, order_shipment_id, status } = req.query;
+    const rows = await getReservations({ itemId: item_id, orderShipmentId: order_shipment_id, status });
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reservations' });
   }
 });
 
@@ -799,6 +1711,630 @@ app.get('/api/order-shipments/recent-activity', requireAuth, async (req, res) =>
   }
 });
 
+// Suppliers
+app.get('/api/suppliers', requireAuth, async (req, res) => {
+  try {
+    const rows = await getAllSuppliers({ activeOnly: req.query.active === 'true' });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch suppliers error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch suppliers' });
+  }
+});
+
+app.get('/api/suppliers/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const supplier = await getSupplierById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+    res.json({ success: true, data: supplier });
+  } catch (error) {
+    console.error('Fetch supplier error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch supplier' });
+  }
+});
+
+app.post('/api/suppliers', requireAuth, requirePermission('purchasing:write'), validateBody(schemas.supplier), async (req, res) => {
+  try {
+    const created = await createSupplier(req.body);
+    res.json({ success: true, message: 'Supplier created successfully', data: created });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    sendError(res, error, 'Failed to create supplier');
+  }
+});
+
+app.put('/api/suppliers/:id(\\d+)', requireAuth, requirePermission('purchasing:write'), validateBody(schemas.supplier, { partial: true }), async (req, res) => {
+  try {
+    const updated = await updateSupplier(req.params.id, req.body);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+    res.json({ success: true, message: 'Supplier updated successfully', data: updated });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    sendError(res, error, 'Failed to update supplier');
+  }
+});
+
+// Purchase orders and goods receiving
+app.get('/api/purchase-orders', requireAuth, async (req, res) => {
+  try {
+    const { status, supplier, warehouse, search } = req.query;
+    const rows = await getAllPurchaseOrders({ status, supplier, warehouse, search });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch purchase orders error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch purchase orders' });
+  }
+});
+
+app.get('/api/purchase-orders/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const order = await getPurchaseOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error('Fetch purchase order error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch purchase order' });
+  }
+});
+
+app.post('/api/purchase-orders', requireAuth, requirePermission('purchasing:write'), validateBody(schemas.purchaseOrder), async (req, res) => {
+  try {
+    const created = await createPurchaseOrder(req.body, { user: req.session.user });
+    res.json({ success: true, message: 'Purchase order created successfully', data: created });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    sendError(res, error, 'Failed to create purchase order');
+  }
+});
+
+app.put('/api/purchase-orders/:id(\\d+)', requireAuth, requirePermission('purchasing:write'), validateBody(schemas.purchaseOrder, { partial: true }), async (req, res) => {
+  try {
+    const updated = await updatePurchaseOrder(req.params.id, req.body);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    res.json({ success: true, message: 'Purchase order updated successfully', data: updated });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    sendError(res, error, 'Failed to update purchase order');
+  }
+});
+
+app.post('/api/purchase-orders/:id(\\d+)/status', requireAuth, requirePermission('purchasing:write'), validateBody(schemas.purchaseOrderStatus), async (req, res) => {
+  try {
+    const updated = await updatePurchaseOrderStatus(req.params.id, req.body.status);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    res.json({ success: true, message: `Purchase order ${updated.status}`, data: updated });
+  } catch (error) {
+    console.error('Update purchase order status error:', error);
+    sendError(res, error, 'Failed to update purchase order status');
+  }
+});
+
+app.delete('/api/purchase-orders/:id(\\d+)', requireAuth, requirePermission('purchasing:write'), async (req, res) => {
+  try {
+    const deleted = await deletePurchaseOrder(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    res.json({ success: true, message: 'Purchase order deleted successfully' });
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    sendError(res, error, 'Failed to delete purchase order');
+  }
+});
+
+app.get('/api/purchase-orders/:id(\\d+)/receipts', requireAuth, async (req, res) => {
+  try {
+    const rows = await getPurchaseOrderReceipts(req.params.id);
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch goods receipts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch goods receipts' });
+  }
+});
+
+// Receive goods: body { warehouse_id, notes, lines: [{ line_id, quantity, item_id?, bin_code?, unit_cost? }] }
+app.post('/api/purchase-orders/:id(\\d+)/receive', requireAuth, requirePermission('purchasing:receive'), validateBody(schemas.goodsReceipt), async (req, res) => {
+  try {
+    const receipt = await receivePurchaseOrder(req.params.id, req.body, { user: req.session.user });
+    if (!receipt) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    res.json({ success: true, message: `Goods received (${receipt.receipt_number})`, data: receipt });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    sendError(res, error, 'Failed to receive goods');
+  }
+});
+
+// Inter-warehouse stock transfers
+app.get('/api/transfers', requireAuth, async (req, res) => {
+  try {
+    const { status, warehouse } = req.query;
+    if (status && !TRANSFER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid transfer status' });
+    }
+    const rows = await getAllStockTransfers({ status, warehouse });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch stock transfers error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transfers' });
+  }
+});
+
+app.get('/api/transfers/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const transfer = await getStockTransferById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+    res.json({ success: true, data: transfer });
+  } catch (error) {
+    console.error('Fetch stock transfer error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transfer' });
+  }
+});
+
+// Create a draft: body { from_warehouse_id, to_warehouse_id, notes, lines: [{ item_id, quantity, from_bin_code?, to_bin_code? }] }
+app.post('/api/transfers', requireAuth, requirePermission('transfers:write'), validateBody(schemas.stockTransfer), async (req, res) => {
+  try {
+    const created = await createStockTransfer(req.body, { user: req.session.user });
+    res.json({ success: true, message: `Transfer ${created.transfer_number} created`, data: created });
+  } catch (error) {
+    console.error('Create stock transfer error:', error);
+    sendError(res, error, 'Failed to create transfer');
+  }
+});
+
+app.put('/api/transfers/:id(\\d+)', requireAuth, requirePermission('transfers:write'), validateBody(schemas.stockTransfer, { partial: true }), async (req, res) => {
+  try {
+    const updated = await updateStockTransfer(req.params.id, req.body);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+    res.json({ success: true, message: 'Transfer updated successfully', data: updated });
+  } catch (error) {
+    console.error('Update stock transfer error:', error);
+    sendError(res, error, 'Failed to update transfer');
+  }
+});
+
+app.post('/api/transfers/:id(\\d+)/dispatch', requireAuth, requirePermission('transfers:write'), async (req, res) => {
+  try {
+    const transfer = await dispatchStockTransfer(req.params.id, { user: req.session.user });
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+    res.json({ success: true, message: `Transfer ${transfer.transfer_number} dispatched`, data: transfer });
+  } catch (error) {
+    console.error('Dispatch stock transfer error:', error);
+    sendError(res, error, 'Failed to dispatch transfer');
+  }
+});
+
+app.post('/api/transfers/:id(\\d+)/receive', requireAuth, requirePermission('transfers:receive'), async (req, res) => {
+  try {
+    const transfer = await receiveStockTransfer(req.params.id, { user: req.session.user });
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+    res.json({ success: true, message: `Transfer ${transfer.transfer_number} received`, data: transfer });
+  } catch (error) {
+    console.error('Receive stock transfer error:', error);
+    sendError(res, error, 'Failed to receive transfer');
+  }
+});
+
+app.post('/api/transfers/:id(\\d+)/cancel', requireAuth, requirePermission('transfers:write'), async (req, res) => {
+  try {
+    const transfer = await cancelStockTransfer(req.params.id, { user: req.session.user });
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+    res.json({ success: true, message: `Transfer ${transfer.transfer_number} cancelled`, data: transfer });
+  } catch (error) {
+    console.error('Cancel stock transfer error:', error);
+    sendError(res, error, 'Failed to cancel transfer');
+  }
+});
+
+// Customer returns (RMA)
+app.get('/api/returns', requireAuth, async (req, res) => {
+  try {
+    const { status, order_shipment_id } = req.query;
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid return status' });
+    }
+    const rows = await getAllReturns({ status, orderShipmentId: order_shipment_id });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch returns error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns' });
+  }
+});
+
+// API: Reason and disposition codes for return forms
+app.get('/api/returns/codes', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      reasons: RETURN_REASON_CODES,
+      dispositions: RETURN_DISPOSITIONS,
+      disposition_reasons: DISPOSITION_REASON_CODES
+    }
+  });
+});
+
+app.get('/api/returns/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const rma = await getReturnById(req.params.id);
+    if (!rma) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+    res.json({ success: true, data: rma });
+  } catch (error) {
+    console.error('Fetch return error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch return' });
+  }
+});
+
+app.post('/api/returns', requireAuth, requirePermission('returns:write'), validateBody(schemas.returnRequest), async (req, res) => {
+  try {
+    const rma = await createReturn(req.body, { user: req.session.user });
+    res.json({ success: true, message: `Return ${rma.rma_number} created`, data: rma });
+  } catch (error) {
+    console.error('Create return error:', error);
+    sendError(res, error, 'Failed to create return');
+  }
+});
+
+app.post('/api/returns/:id(\\d+)/receive', requireAuth, requirePermission('returns:receive'), validateBody(schemas.returnReceipt), async (req, res) => {
+  try {
+    const rma = await receiveReturn(req.params.id, req.body, { user: req.session.user });
+    if (!rma) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+    res.json({ success: true, message: `Return ${rma.rma_number} received`, data: rma });
+  } catch (error) {
+    console.error('Receive return error:', error);
+    sendError(res, error, 'Failed to receive return');
+  }
+});
+
+app.post('/api/returns/:id(\\d+)/inspect', requireAuth, requirePermission('returns:inspect'), validateBody(schemas.returnInspection), async (req, res) => {
+  try {
+    const rma = await inspectReturn(req.params.id, req.body, { user: req.session.user });
+    if (!rma) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+    res.json({ success: true, message: `Return ${rma.rma_number} inspected`, data: rma });
+  } catch (error) {
+    console.error('Inspect return error:', error);
+    sendError(res, error, 'Failed to inspect return');
+  }
+});
+
+app.post('/api/returns/:id(\\d+)/quarantine/release', requireAuth, requirePermission('returns:inspect'), validateBody(schemas.quarantineRelease), async (req, res) => {
+  try {
+    const rma = await releaseReturnQuarantine(req.params.id, req.body, { user: req.session.user });
+    if (!rma) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+    res.json({ success: true, message: `Quarantine of ${rma.rma_number} updated`, data: rma });
+  } catch (error) {
+    console.error('Release return quarantine error:', error);
+    sendError(res, error, 'Failed to release quarantined units');
+  }
+});
+
+app.post('/api/returns/:id(\\d+)/cancel', requireAuth, requirePermission('returns:write'), async (req, res) => {
+  try {
+    const rma = await cancelReturn(req.params.id, { user: req.session.user });
+    if (!rma) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+    res.json({ success: true, message: `Return ${rma.rma_number} cancelled`, data: rma });
+  } catch (error) {
+    console.error('Cancel return error:', error);
+    sendError(res, error, 'Failed to cancel return');
+  }
+});
+
+// Cycle counts: count sessions, scanned quantities, variance and approval
+app.get('/api/cycle-counts', requireAuth, async (req, res) => {
+  try {
+    const { status, warehouse } = req.query;
+    if (status && !CYCLE_COUNT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid count status' });
+    }
+    const rows = await getAllCycleCounts({ status, warehouse });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch cycle counts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cycle counts' });
+  }
+});
+
+app.get('/api/cycle-counts/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const count = await getCycleCountById(req.params.id);
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, data: count });
+  } catch (error) {
+    console.error('Fetch cycle count error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cycle count' });
+  }
+});
+
+app.get('/api/cycle-counts/:id(\\d+)/variance', requireAuth, async (req, res) => {
+  try {
+    const report = await getCycleCountVariance(req.params.id, { onlyVariances: req.query.only_variances === 'true' });
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Cycle count variance error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build variance report' });
+  }
+});
+
+app.post('/api/cycle-counts', requireAuth, requirePermission('counts:write'), validateBody(schemas.cycleCount), async (req, res) => {
+  try {
+    const count = await createCycleCount(req.body, { user: req.session.user });
+    res.json({ success: true, message: `Cycle count ${count.count_number} started`, data: count });
+  } catch (error) {
+    console.error('Create cycle count error:', error);
+    sendError(res, error, 'Failed to start cycle count');
+  }
+});
+
+app.post('/api/cycle-counts/:id(\\d+)/counts', requireAuth, requirePermission('counts:write'), validateBody(schemas.countEntry), async (req, res) => {
+  try {
+    const line = await recordCycleCount(req.params.id, req.body, { user: req.session.user });
+    if (!line) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, message: 'Count recorded', data: line });
+  } catch (error) {
+    console.error('Record cycle count error:', error);
+    sendError(res, error, 'Failed to record count');
+  }
+});
+
+app.post('/api/cycle-counts/:id(\\d+)/approve', requireAuth, requirePermission('counts:approve'), validateBody(schemas.countApproval), async (req, res) => {
+  try {
+    const count = await approveCycleCount(req.params.id, {
+      uncounted: req.body.uncounted,
+      canApproveLarge: can(req.session.user.role, 'counts:approve_large')
+    }, { user: req.session.user });
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, message: `Cycle count ${count.count_number} approved`, data: count });
+  } catch (error) {
+    console.error('Approve cycle count error:', error);
+    sendError(res, error, 'Failed to approve cycle count');
+  }
+});
+
+app.post('/api/cycle-counts/:id(\\d+)/cancel', requireAuth, requirePermission('counts:write'), async (req, res) => {
+  try {
+    const count = await cancelCycleCount(req.params.id, { user: req.session.user });
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, message: `Cycle count ${count.count_number} cancelled`, data: count });
+  } catch (error) {
+    console.error('Cancel cycle count error:', error);
+    sendError(res, error, 'Failed to cancel cycle count');
+  }
+});
+
+// Serial numbers of serialized units
+app.get('/api/serials', requireAuth, async (req, res) => {
+  try {
+    const { item_id, status, warehouse, order_shipment_id, serial_number, limit } = req.query;
+    if (status && !SERIAL_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid serial status' });
+    }
+    const rows = await getSerials({
+      itemId: item_id,
+      status,
+      warehouse,
+      orderShipmentId: order_shipment_id,
+      serialNumber: serial_number,
+      limit
+    });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch serial numbers error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch serial numbers' });
+  }
+});
+
+// A unit and its history
+app.get('/api/serials/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const unit = await getSerialById(req.params.id);
+    if (!unit) {
+      return res.status(404).json({ success: false, message: 'Serial number not found' });
+    }
+    res.json({ success: true, data: unit });
+  } catch (error) {
+    console.error('Fetch serial number error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch serial number' });
+  }
+});
+
+app.post('/api/serials/:id(\\d+)/status', requireAuth, requirePermission('inventory:write'), validateBody(schemas.serialStatus), async (req, res) => {
+  try {
+    const unit = await updateSerialStatus(req.params.id, req.body.status, { user: req.session.user, notes: req.body.notes });
+    if (!unit) {
+      return res.status(404).json({ success: false, message: 'Serial number not found' });
+    }
+    res.json({ success: true, message: `Serial ${unit.serial_number} is now ${unit.status}`, data: unit });
+  } catch (error) {
+    console.error('Update serial status error:', error);
+    sendError(res, error, 'Failed to update serial number');
+  }
+});
+
+// Register serial numbers for units of an item already in stock
+app.post('/api/inventory/:id(\\d+)/serials', requireAuth, requirePermission('inventory:write'), validateBody(schemas.serialRegistration), async (req, res) => {
+  try {
+    const units = await registerSerials(req.params.id, req.body, { user: req.session.user });
+    if (!units) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true, message: `${units.length} serial number(s) registered`, data: units });
+  } catch (error) {
+    console.error('Register serial numbers error:', error);
+    sendError(res, error, 'Failed to register serial numbers');
+  }
+});
+
+// Set aside specific units for an open order
+app.post('/api/order-shipments/:id(\\d+)/serials', requireAuth, requirePermission('orders:write'), validateBody(schemas.orderSerials), async (req, res) => {
+  try {
+    const units = await assignOrderSerials(req.params.id, req.body.serial_numbers, { user: req.session.user });
+    if (!units) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    res.json({ success: true, message: 'Serial numbers assigned', data: units });
+  } catch (error) {
+    console.error('Assign order serial numbers error:', error);
+    sendError(res, error, 'Failed to assign serial numbers');
+  }
+});
+
+// Stock lots and expiry
+app.get('/api/lots', requireAuth, async (req, res) => {
+  try {
+    const rows = await getStockLots({
+      itemId: req.query.item_id,
+      warehouse: req.query.warehouse,
+      lotNumber: req.query.lot_number,
+      includeEmpty: req.query.include_empty === 'true'
+    });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch stock lots error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch lots' });
+  }
+});
+
+// Lots expiring within ?days (default LOT_EXPIRY_WARNING_DAYS), expired ones included
+app.get('/api/lots/expiring', requireAuth, async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : EXPIRY_WARNING_DAYS;
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ success: false, message: 'days must be a whole number of zero or more' });
+    }
+    const lots = await getExpiringLots({ days, warehouse: req.query.warehouse });
+    res.json({ success: true, data: { days, lots } });
+  } catch (error) {
+    console.error('Fetch expiring lots error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch expiring lots' });
+  }
+});
+
+// Run the expiry check now instead of waiting for the scheduled one
+app.post('/api/lots/expiring/notify', requireAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const lots = await notifyExpiringLots();
+    res.json({
+      success: true,
+      message: lots.length ? `Raised expiry alerts for ${lots.length} lot(s)` : 'No new expiring lots',
+      data: lots
+    });
+  } catch (error) {
+    console.error('Notify expiring lots error:', error);
+    sendError(res, error, 'Failed to check expiring lots');
+  }
+});
+
+// Reorder points and purchase suggestions
+app.put('/api/inventory/:id(\\d+)/reorder-settings', requireAuth, requirePermission('inventory:write'), validateBody(schemas.reorderSettings), async (req, res) => {
+  try {
+    const settings = await updateReorderSettings(req.params.id, req.body);
+    if (!settings) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true, message: 'Reorder settings updated', data: settings });
+  } catch (error) {
+    console.error('Update reorder settings error:', error);
+    sendError(res, error, 'Failed to update reorder settings');
+  }
+});
+
+// Standard costs, used by the standard cost valuation method
+app.get('/api/inventory/:id(\\d+)/standard-costs', requireAuth, async (req, res) => {
+  try {
+    const costs = await getStandardCosts(req.params.id);
+    if (!costs) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true, data: costs, count: costs.length });
+  } catch (error) {
+    console.error('Fetch standard costs error:', error);
+    sendError(res, error, 'Failed to fetch standard costs');
+  }
+});
+
+app.put('/api/inventory/:id(\\d+)/standard-cost', requireAuth, requirePermission('catalog:write'), validateBody(schemas.standardCost), async (req, res) => {
+  try {
+    const cost = await setStandardCost(req.params.id, req.body, req.session.user);
+    if (!cost) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true, message: 'Standard cost set', data: cost });
+  } catch (error) {
+    console.error('Set standard cost error:', error);
+    sendError(res, error, 'Failed to set standard cost');
+  }
+});
+
+// Items at or below their reorder point after incoming stock, with how much to buy
+app.get('/api/reorder/suggestions', requireAuth, async (req, res) => {
+  try {
+    const rows = await getReorderSuggestions({
+      warehouse: req.query.warehouse,
+      category: req.query.category
+    });
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Fetch reorder suggestions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reorder suggestions' });
+  }
+});
+
+// Run the reorder point check now instead of waiting for the scheduled one
+app.post('/api/reorder/check', requireAuth, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const items = await notifyReorderPoints();
+    res.json({
+      success: true,
+      message: items.length ? `Raised reorder alerts for ${items.length} item(s)` : 'No new items at reorder point',
+      data: items
+    });
+  } catch (error) {
+    console.error('Reorder point check error:', error);
+    sendError(res, error, 'Failed to check reorder points');
+  }
+});
+
 app.get('/api/health/db', requireAuth, async (req, res) => {
   try {
     const db = require('./database');
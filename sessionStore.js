@@ -0,0 +1,118 @@
+const session = require('express-session');
+const database = require('./database');
+
+// Sessions without a cookie expiry are kept this long
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// How often expired rows are swept from the table
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Initialize session table
+const initializeSessionTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        sid VARCHAR(255) PRIMARY KEY,
+        sess JSON NOT NULL,
+        expire TIMESTAMP NOT NULL
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_user_sessions_expire ON user_sessions (expire)`;
+    console.log('✅ Session table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating session table:', err);
+    throw err;
+  }
+};
+
+const expiryOf = (sess) => {
+  if (sess && sess.cookie && sess.cookie.expires) {
+    return new Date(sess.cookie.expires);
+  }
+  return new Date(Date.now() + DEFAULT_TTL_MS);
+};
+
+// express-session store backed by the shared Postgres connection, so sign-ins
+// survive restarts and deploys. Falls back to memory while the database is unavailable.
+class PgSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.fallback = new session.MemoryStore();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  // Run query(sql) against the database, or fallback() when there is no connection
+  run(query, fallback, callback) {
+    database.sql()
+      .then(sql => (sql ? query(sql).then(result => ({ result })) : { useFallback: true }))
+      .then(
+        outcome => (outcome.useFallback ? fallback() : callback && callback(null, outcome.result)),
+        err => callback && callback(err)
+      );
+  }
+
+  get(sid, callback) {
+    this.run(
+      sql => sql`
+        SELECT sess FROM user_sessions
+        WHERE sid = ${sid} AND expire > ${new Date()}
+      `.then(rows => (rows.length ? rows[0].sess : null)),
+      () => this.fallback.get(sid, callback),
+      callback
+    );
+  }
+
+  set(sid, sess, callback) {
+    this.run(
+      sql => sql`
+        INSERT INTO user_sessions (sid, sess, expire)
+        VALUES (${sid}, ${JSON.stringify(sess)}, ${expiryOf(sess)})
+        ON CONFLICT (sid) DO UPDATE SET sess = EXCLUDED.sess, expire = EXCLUDED.expire
+      `.then(() => undefined),
+      () => this.fallback.set(sid, sess, callback),
+      callback
+    );
+  }
+
+  touch(sid, sess, callback) {
+    this.run(
+      sql => sql`UPDATE user_sessions SET expire = ${expiryOf(sess)} WHERE sid = ${sid}`.then(() => undefined),
+      () => this.fallback.touch(sid, sess, callback),
+      callback
+    );
+  }
+
+  destroy(sid, callback) {
+    this.run(
+      sql => sql`DELETE FROM user_sessions WHERE sid = ${sid}`.then(() => undefined),
+      () => this.fallback.destroy(sid, callback),
+      callback
+    );
+  }
+
+  prune() {
+    this.run(
+      sql => sql`DELETE FROM user_sessions WHERE expire <= ${new Date()}`,
+      () => undefined,
+      err => err && console.error('Session prune error:', err)
+    );
+  }
+}
+
+// Sign a user out everywhere, e.g. after their account is disabled or their role changes
+const destroyUserSessions = async (userId) => {
+  try {
+    const sql = await database.sql();
+    if (!sql) return;
+    await sql`DELETE FROM user_sessions WHERE (sess->'user'->>'id')::int = ${Number(userId)}`;
+  } catch (err) {
+    console.error('Destroy user sessions error:', err);
+  }
+};
+
+module.exports = {
+  initializeSessionTable,
+  PgSessionStore,
+  destroyUserSessions
+};
@@ -0,0 +1,615 @@
+const database = require('./database');
+const { httpError } = require('./errors');
+
+// Movement types accepted by the stock ledger
+const MOVEMENT_TYPES = ['receipt', 'adjustment', 'shipment', 'shipment_reversal', 'return', 'transfer', 'scan_correction', 'cycle_count'];
+
+// Initialize per-location stock balances. inventory_items.total_quantity stays
+// as the item's total across its locations; inventory_items.warehouse_id is the
+// item's home warehouse, used when a change names no location.
+const initializeInventoryLocationsTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS inventory_locations (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        warehouse_id VARCHAR(50) NOT NULL,
+        bin_code VARCHAR(50) NOT NULL DEFAULT '',
+        quantity INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_inventory_locations UNIQUE (item_id, warehouse_id, bin_code),
+        CONSTRAINT chk_inventory_locations_quantity CHECK (quantity >= 0),
+        CONSTRAINT fk_inventory_locations_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(warehouse_id)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_inventory_locations_warehouse ON inventory_locations (warehouse_id)`;
+
+    // Move stock of items that predate locations into their home warehouse
+    await sql`
+      INSERT INTO inventory_locations (item_id, warehouse_id, bin_code, quantity)
+      SELECT i.id, COALESCE(w.warehouse_id, (SELECT warehouse_id FROM warehouses ORDER BY id LIMIT 1)), '', i.total_quantity
+      FROM inventory_items i
+      LEFT JOIN warehouses w ON w.warehouse_id = i.warehouse_id
+      WHERE i.total_quantity > 0
+        AND NOT EXISTS (SELECT 1 FROM inventory_locations l WHERE l.item_id = i.id)
+    `;
+
+    console.log('✅ Inventory locations table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating inventory locations table:', err);
+    throw err;
+  }
+};
+
+// Initialize append-only stock movements ledger
+const initializeStockMovementsTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL,
+        item_code VARCHAR(50),
+        warehouse_id VARCHAR(50),
+        movement_type VARCHAR(30) NOT NULL,
+        quantity_delta INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        user_id INTEGER,
+        username VARCHAR(50),
+        reference_type VARCHAR(30),
+        reference_id VARCHAR(100),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS bin_code VARCHAR(50)`;
+    await sql`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS location_balance_after INTEGER`;
+    await sql`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS lot_number VARCHAR(50)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_stock_movements_item ON stock_movements (item_id, created_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_stock_movements_warehouse ON stock_movements (warehouse_id, created_at)`;
+    // Live events find new rows by created_at
+    await sql`CREATE INDEX IF NOT EXISTS idx_stock_movements_created ON stock_movements (created_at)`;
+
+    // Ledger rows are never edited or removed once written
+    await sql(`
+      CREATE OR REPLACE FUNCTION prevent_stock_movement_changes()
+      RETURNS TRIGGER AS $$
+      BEGIN
+          RAISE EXCEPTION 'stock_movements is append-only';
+      END;
+      $$ LANGUAGE plpgsql;`);
+    await sql(`
+      DO $$
+      BEGIN
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_stock_movements_append_only') THEN
+              CREATE TRIGGER trg_stock_movements_append_only
+              BEFORE UPDATE OR DELETE ON stock_movements
+              FOR EACH ROW
+              EXECUTE FUNCTION prevent_stock_movement_changes();
+          END IF;
+      END $$;
+    `);
+
+    console.log('✅ Stock movements table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating stock movements table:', err);
+    throw err;
+  }
+};
+
+// Build (without running) the statement that changes an item's quantity and
+// appends its ledger row. Both happen in one statement, so they commit together.
+// The item is matched by itemId, or by its unique itemCode when no id is known yet.
+// Stock is held per location (warehouse + optional bin); warehouseId/binCode pick
+// the location, defaulting to the item's home warehouse with no bin.
+// operation: 'set' | 'add' | 'subtract'. 'set' sets the location's quantity when a
+// warehouseId is given, otherwise it sets the item's total by adjusting the home location
+// (check it first with checkTotalSet).
+// A subtract clamps at zero by default. With requireSufficient it matches no row
+// instead; with strict the statement fails, so a surrounding transaction rolls back.
+// lotNumber adds to or subtracts from that lot at the location as well (see lots.js),
+// a clamped subtract then clamping at the lot's quantity; expiryDate/manufactureDate
+// record the lot's dates when it is received.
+const buildStockChangeQuery = (sql, change) => {
+  const {
+    itemId,
+    itemCode,
+    warehouseId = null,
+    binCode = null,
+    operation = 'set',
+    quantity,
+    requireSufficient = false,
+    strict = false,
+    movementType = 'adjustment',
+    user = null,
+    referenceType = null,
+    referenceId = null,
+    notes = null,
+    lotNumber = null,
+    expiryDate = null,
+    manufactureDate = null
+  } = change;
+
+  if (!MOVEMENT_TYPES.includes(movementType)) {
+    throw new Error(`Invalid movement type: ${movementType}`);
+  }
+  if (lotNumber && operation === 'set') {
+    throw httpError(400, 'Stock of a lot can only be added or subtracted');
+  }
+
+  // New quantity of the location, from its current quantity and the item total
+  let locationExpr;
+  let guard = '';
+  if (operation === 'add') {
+    locationExpr = 'previous_location_quantity + $2::int';
+  } else if (operation === 'subtract') {
+    locationExpr = requireSufficient || strict
+      ? 'previous_location_quantity - $2::int'
+      : (lotNumber
+        ? 'previous_location_quantity - LEAST($2::int, previous_lot_quantity)'
+        : 'GREATEST(previous_location_quantity - $2::int, 0)');
+    if (requireSufficient) guard = 'WHERE previous_location_quantity >= $2::int';
+    if (requireSufficient && lotNumber) guard += ' AND previous_lot_quantity >= $2::int';
+  } else if (warehouseId != null) {
+    locationExpr = '$2::int';
+  } else {
+    locationExpr = 'previous_location_quantity + ($2::int - previous_quantity)';
+  }
+  // Stock running out marks the item out of stock; stock coming back re-activates it
+  const statusExpr = `CASE
+        WHEN calc.previous_quantity + calc.delta <= 0 THEN 'out of stock'
+        WHEN i.status = 'out of stock' THEN 'active'
+        ELSE i.status
+      END`;
+
+  // The lot's balance moves by the same amount as the location's
+  let lotSelect = '';
+  let lotDeltaExpr = '';
+  let lotChanges = '';
+  if (lotNumber) {
+    lotDeltaExpr = operation === 'add'
+      ? '$2::int'
+      : (requireSufficient || strict ? '-$2::int' : '-LEAST($2::int, previous_lot_quantity)');
+    lotSelect = `, curlot AS (
+      SELECT s.id, s.quantity
+      FROM stock_lots s
+      WHERE s.location_id = (SELECT id FROM curloc) AND s.lot_number = $11
+      FOR UPDATE
+    )`;
+    lotChanges = `, lot_update AS (
+      UPDATE stock_lots s
+      SET quantity = s.quantity + calc.lot_delta,
+          expiry_date = COALESCE($12::date, s.expiry_date),
+          manufacture_date = COALESCE($13::date, s.manufacture_date),
+          updated_at = CURRENT_TIMESTAMP
+      FROM calc, curlot
+      WHERE s.id = curlot.id
+      RETURNING s.id
+    ), lot_insert AS (
+      -- A lot new to this location takes the dates it has elsewhere unless given
+      INSERT INTO stock_lots (location_id, item_id, lot_number, expiry_date, manufacture_date, quantity)
+      SELECT
+        COALESCE((SELECT id FROM curloc), (SELECT id FROM loc_insert)),
+        calc.item_id,
+        $11,
+        COALESCE($12::date, (SELECT o.expiry_date FROM stock_lots o WHERE o.item_id = calc.item_id AND o.lot_number = $11 AND o.expiry_date IS NOT NULL LIMIT 1)),
+        COALESCE($13::date, (SELECT o.manufacture_date FROM stock_lots o WHERE o.item_id = calc.item_id AND o.lot_number = $11 AND o.manufacture_date IS NOT NULL LIMIT 1)),
+        calc.lot_delta
+      FROM calc
+      WHERE calc.lot_delta <> 0 AND NOT EXISTS (SELECT 1 FROM curlot)
+      ON CONFLICT (location_id, lot_number) DO UPDATE
+        SET quantity = stock_lots.quantity + EXCLUDED.quantity,
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    )`;
+  }
+
+  const queryText = `
+    WITH item AS (
+      SELECT id, total_quantity, warehouse_id FROM inventory_items WHERE ${itemId != null ? 'id' : 'item_code'} = $1 FOR UPDATE
+    ), target AS (
+      SELECT
+        item.id AS item_id,
+        COALESCE(item.total_quantity, 0) AS previous_quantity,
+        COALESCE($9::varchar, item.warehouse_id, (SELECT warehouse_id FROM warehouses ORDER BY id LIMIT 1)) AS warehouse_id,
+        COALESCE($10::varchar, '') AS bin_code
+      FROM item
+    ), curloc AS (
+      SELECT l.id, l.quantity
+      FROM inventory_locations l
+      JOIN target t ON l.item_id = t.item_id AND l.warehouse_id = t.warehouse_id AND l.bin_code = t.bin_code
+      FOR UPDATE OF l
+    )${lotSelect}, change AS (
+      SELECT
+        t.*,
+        COALESCE((SELECT quantity FROM curloc), 0) AS previous_location_quantity,
+        ${lotNumber ? 'COALESCE((SELECT quantity FROM curlot), 0)' : '0'} AS previous_lot_quantity
+      FROM target t
+    ), calc AS (
+      SELECT change.*, (${locationExpr}) - previous_location_quantity AS delta${lotNumber ? `, ${lotDeltaExpr} AS lot_delta` : ''}
+      FROM change
+      ${guard}
+    ), loc_update AS (
+      UPDATE inventory_locations l
+      SET quantity = l.quantity + calc.delta, updated_at = CURRENT_TIMESTAMP
+      FROM calc
+      WHERE l.item_id = calc.item_id AND l.warehouse_id = calc.warehouse_id AND l.bin_code = calc.bin_code
+        AND calc.delta <> 0
+      RETURNING l.id
+    ), loc_insert AS (
+      -- A location seen for the first time; the upsert covers one created concurrently
+      INSERT INTO inventory_locations (item_id, warehouse_id, bin_code, quantity)
+      SELECT item_id, warehouse_id, bin_code, delta FROM calc
+      WHERE delta <> 0 AND NOT EXISTS (SELECT 1 FROM curloc)
+      ON CONFLICT (item_id, warehouse_id, bin_code) DO UPDATE
+        SET quantity = inventory_locations.quantity + EXCLUDED.quantity,
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    )${lotChanges}, upd AS (
+      UPDATE inventory_items i
+      SET total_quantity = calc.previous_quantity + calc.delta,
+          status = ${statusExpr},
+          updated_at = CURRENT_TIMESTAMP
+      FROM calc
+      WHERE i.id = calc.item_id
+      RETURNING i.*, calc.previous_quantity
+    ), movement AS (
+      INSERT INTO stock_movements (
+        item_id, item_code, warehouse_id, bin_code, movement_type, quantity_delta, balance_after,
+        location_balance_after, user_id, username, reference_type, reference_id, notes, lot_number
+      )
+      SELECT
+        upd.id, upd.item_code, calc.warehouse_id, NULLIF(calc.bin_code, ''), $3, calc.delta, upd.total_quantity,
+        calc.previous_location_quantity + calc.delta, $4, $5, $6, $7, $8, $11::varchar
+      FROM upd, calc
+      WHERE calc.delta <> 0
+      RETURNING id
+    )
+    SELECT
+      upd.*,
+      calc.warehouse_id AS location_warehouse_id,
+      NULLIF(calc.bin_code, '') AS bin_code,
+      calc.previous_location_quantity + calc.delta AS location_quantity,
+      $11::varchar AS lot_number,
+      (SELECT id FROM movement) AS movement_id
+    FROM upd, calc
+  `;
+
+  const params = [
+    itemId != null ? itemId : itemCode,
+    quantity,
+    movementType,
+    user ? user.id : null,
+    user ? user.username : null,
+    referenceType,
+    referenceId != null ? String(referenceId) : null,
+    notes,
+    warehouseId || null,
+    binCode || null,
+    lotNumber || null
+  ];
+  if (lotNumber) params.push(expiryDate || null, manufactureDate || null);
+  return sql(queryText, params);
+};
+
+// Build (without running) the statement that moves stock of one item between two
+// of its locations. Writes a 'transfer' ledger row for each side; the item total
+// is unchanged. Matches no row when the source location lacks the quantity.
+// Lots go along with their dates: lotNumber moves stock of that lot only (matching
+// no row when the lot is short); otherwise untracked stock moves first, then lots
+// earliest expiry first, the order trim_stock_lots takes them in. Each lot moved
+// gets its own pair of ledger rows.
+const buildLocationMoveQuery = (sql, move) => {
+  const {
+    itemId,
+    quantity,
+    fromWarehouseId,
+    fromBinCode = null,
+    toWarehouseId,
+    toBinCode = null,
+    lotNumber = null,
+    movementType = 'transfer',
+    user = null,
+    referenceType = null,
+    referenceId = null,
+    notes = null
+  } = move;
+
+  if (fromWarehouseId === toWarehouseId && (fromBinCode || '') === (toBinCode || '')) {
+    throw httpError(400, 'Source and destination locations must differ');
+  }
+
+  const queryText = `
+    WITH item AS (
+      SELECT id, item_code, total_quantity FROM inventory_items WHERE id = $1 FOR UPDATE
+    ), src AS (
+      SELECT l.id, l.quantity
+      FROM inventory_locations l
+      JOIN item ON l.item_id = item.id
+      WHERE l.warehouse_id = $3 AND l.bin_code = $4 AND l.quantity >= $2::int
+        AND ($13::varchar IS NULL OR EXISTS (
+          SELECT 1 FROM stock_lots s WHERE s.location_id = l.id AND s.lot_number = $13 AND s.quantity >= $2::int
+        ))
+      FOR UPDATE OF l
+    ), untracked AS (
+      SELECT CASE WHEN $13::varchar IS NULL
+        THEN LEAST($2::int, src.quantity - COALESCE((SELECT SUM(s.quantity) FROM stock_lots s WHERE s.location_id = src.id), 0))::int
+        ELSE 0 END AS quantity
+      FROM src
+    ), src_lots AS (
+      SELECT s.id, s.lot_number, s.expiry_date, s.manufacture_date, s.quantity,
+        SUM(s.quantity) OVER (ORDER BY s.expiry_date NULLS LAST, s.manufacture_date NULLS LAST, s.id) - s.quantity AS before
+      FROM stock_lots s
+      JOIN src ON s.location_id = src.id
+      WHERE s.quantity > 0 AND ($13::varchar IS NULL OR s.lot_number = $13)
+    ), portions AS (
+      SELECT NULL::int AS lot_id, NULL::varchar AS lot_number, NULL::date AS expiry_date, NULL::date AS manufacture_date,
+        quantity, 0::bigint AS seq
+      FROM untracked
+      UNION ALL
+      SELECT sl.id, sl.lot_number, sl.expiry_date, sl.manufacture_date,
+        LEAST(sl.quantity, GREATEST($2::int - u.quantity - sl.before, 0))::int,
+        ROW_NUMBER() OVER (ORDER BY sl.before, sl.id)
+      FROM src_lots sl, untracked u
+    ), moved AS (
+      SELECT portions.*, SUM(quantity) OVER (ORDER BY seq) AS moved_so_far
+      FROM portions
+      WHERE quantity > 0
+    ), out_loc AS (
+      UPDATE inventory_locations l
+      SET quantity = l.quantity - $2::int, updated_at = CURRENT_TIMESTAMP
+      FROM src
+      WHERE l.id = src.id
+      RETURNING l.warehouse_id, l.bin_code, l.quantity
+    ), in_loc AS (
+      INSERT INTO inventory_locations (item_id, warehouse_id, bin_code, quantity)
+      SELECT item.id, $5, $6, $2::int FROM item, src
+      ON CONFLICT (item_id, warehouse_id, bin_code) DO UPDATE
+        SET quantity = inventory_locations.quantity + EXCLUDED.quantity,
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING id, warehouse_id, bin_code, quantity
+    ), out_lots AS (
+      UPDATE stock_lots s
+      SET quantity = s.quantity - moved.quantity, updated_at = CURRENT_TIMESTAMP
+      FROM moved
+      WHERE s.id = moved.lot_id
+      RETURNING s.id
+    ), in_lots AS (
+      -- A lot already at the destination keeps the dates it has there
+      INSERT INTO stock_lots (location_id, item_id, lot_number, expiry_date, manufacture_date, quantity)
+      SELECT in_loc.id, $1, moved.lot_number, moved.expiry_date, moved.manufacture_date, moved.quantity
+      FROM in_loc, moved
+      WHERE moved.lot_id IS NOT NULL
+      ON CONFLICT (location_id, lot_number) DO UPDATE
+        SET quantity = stock_lots.quantity + EXCLUDED.quantity,
+            expiry_date = COALESCE(stock_lots.expiry_date, EXCLUDED.expiry_date),
+            manufacture_date = COALESCE(stock_lots.manufacture_date, EXCLUDED.manufacture_date),
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    ), upd AS (
+      UPDATE inventory_items i
+      SET updated_at = CURRENT_TIMESTAMP
+      FROM src
+      WHERE i.id = $1
+      RETURNING i.*
+    ), movement AS (
+      INSERT INTO stock_movements (
+        item_id, item_code, warehouse_id, bin_code, movement_type, quantity_delta, balance_after,
+        location_balance_after, user_id, username, reference_type, reference_id, notes, lot_number
+      )
+      SELECT item.id, item.item_code, m.warehouse_id, NULLIF(m.bin_code, ''), $7, m.delta, item.total_quantity,
+             m.quantity, $8, $9, $10, $11, $12, m.lot_number
+      FROM item, (
+        SELECT o.warehouse_id, o.bin_code, (o.quantity + $2::int - moved.moved_so_far)::int AS quantity,
+          -moved.quantity AS delta, moved.lot_number, 1 AS side, moved.seq
+        FROM out_loc o, moved
+        UNION ALL
+        SELECT i.warehouse_id, i.bin_code, (i.quantity - $2::int + moved.moved_so_far)::int AS quantity,
+          moved.quantity AS delta, moved.lot_number, 2 AS side, moved.seq
+        FROM in_loc i, moved
+      ) m
+      ORDER BY m.side, m.seq
+      RETURNING id
+    )
+    SELECT upd.*, (SELECT COUNT(*) FROM movement)::int AS movement_count FROM upd
+  `;
+
+  return sql(queryText, [
+    itemId,
+    quantity,
+    fromWarehouseId,
+    fromBinCode || '',
+    toWarehouseId,
+    toBinCode || '',
+    movementType,
+    user ? user.id : null,
+    user ? user.username : null,
+    referenceType,
+    referenceId != null ? String(referenceId) : null,
+    notes,
+    lotNumber || null
+  ]);
+};
+
+const totalSetMessage = (elsewhere) =>
+  `total_quantity cannot be less than the ${elsewhere} units held outside the home location; adjust those locations instead`;
+
+// A total 'set' takes the whole change at the home location (outside any bin), so
+// it cannot go below what the item holds in its other locations. Throws 400 when
+// quantity would; homeWarehouseId is a home warehouse being set in the same change,
+// whose stock then joins the home location.
+const checkTotalSet = async (sql, itemId, quantity, homeWarehouseId = null) => {
+  const rows = await sql`
+    SELECT COALESCE(SUM(l.quantity) FILTER (
+      WHERE NOT (l.bin_code = '' AND l.warehouse_id IN (home.warehouse_id, COALESCE(${homeWarehouseId || null}, home.warehouse_id)))
+    ), 0)::int AS elsewhere
+    FROM inventory_items i
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(i.warehouse_id, (SELECT warehouse_id FROM warehouses ORDER BY id LIMIT 1)) AS warehouse_id
+    ) home
+    LEFT JOIN inventory_locations l ON l.item_id = i.id
+    WHERE i.id = ${itemId}
+    GROUP BY i.id
+  `;
+  if (rows.length && Number(quantity) < rows[0].elsewhere) {
+    const message = totalSetMessage(rows[0].elsewhere);
+    throw httpError(400, message, { fields: { total_quantity: message } });
+  }
+};
+
+// Location constraint failures raised by the statements above, as client errors
+const toStockError = (err) => {
+  const constraint = err && err.constraint;
+  if (constraint === 'chk_inventory_locations_quantity') {
+    return httpError(400, 'Not enough stock at that location');
+  }
+  if (constraint === 'chk_stock_lots_quantity') {
+    return httpError(400, 'Not enough stock in that lot');
+  }
+  if (constraint === 'fk_inventory_locations_warehouse') {
+    return httpError(400, 'Unknown warehouse', { fields: { warehouse_id: 'Unknown warehouse' } });
+  }
+  return err;
+};
+
+// Apply a quantity change and record it; resolves to the updated item, or
+// null when the item does not exist (or lacks stock under requireSufficient)
+const applyStockChange = async (change) => {
+  try {
+    const sql = await database.sql();
+    const result = await buildStockChangeQuery(sql, change);
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error applying stock change:', err);
+    throw toStockError(err);
+  }
+};
+
+// Per-location balances, optionally for one item or warehouse
+const getStockLocations = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    if (!sql) return [];
+
+    let queryText = `
+      SELECT
+        l.id,
+        l.item_id,
+        i.item_code,
+        i.product_id,
+        p.product_name,
+        l.warehouse_id,
+        w.warehouse_name,
+        NULLIF(l.bin_code, '') AS bin_code,
+        l.quantity,
+        l.updated_at
+      FROM inventory_locations l
+      JOIN inventory_items i ON i.id = l.item_id
+      LEFT JOIN products p ON p.product_id = i.product_id
+      LEFT JOIN warehouses w ON w.warehouse_id = l.warehouse_id
+    `;
+
+    const conds = [];
+    const params = [];
+    if (filters.itemId) {
+      conds.push(`l.item_id = $${params.length + 1}`);
+      params.push(filters.itemId);
+    }
+    if (filters.warehouse) {
+      conds.push(`l.warehouse_id = $${params.length + 1}`);
+      params.push(filters.warehouse);
+    }
+    if (!filters.includeEmpty) {
+      conds.push('l.quantity > 0');
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` ORDER BY i.item_code, l.warehouse_id, l.bin_code`;
+
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching stock locations:', err);
+    throw err;
+  }
+};
+
+// Query the ledger by item, warehouse, type and date range
+const getStockMovements = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    if (!sql) return [];
+
+    let queryText = `
+      SELECT
+        sm.*,
+        p.product_name,
+        w.warehouse_name
+      FROM stock_movements sm
+      LEFT JOIN inventory_items i ON i.id = sm.item_id
+      LEFT JOIN products p ON p.product_id = i.product_id
+      LEFT JOIN warehouses w ON w.warehouse_id = sm.warehouse_id
+    `;
+
+    const conds = [];
+    const params = [];
+
+    if (filters.itemId) {
+      conds.push(`sm.item_id = $${params.length + 1}`);
+      params.push(filters.itemId);
+    }
+    if (filters.itemCode) {
+      conds.push(`sm.item_code = $${params.length + 1}`);
+      params.push(filters.itemCode);
+    }
+    if (filters.warehouse) {
+      conds.push(`sm.warehouse_id = $${params.length + 1}`);
+      params.push(filters.warehouse);
+    }
+    if (filters.type) {
+      conds.push(`sm.movement_type = $${params.length + 1}`);
+      params.push(filters.type);
+    }
+    if (filters.referenceId) {
+      conds.push(`sm.reference_id = $${params.length + 1}`);
+      params.push(String(filters.referenceId));
+    }
+    if (filters.from) {
+      conds.push(`sm.created_at >= $${params.length + 1}`);
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conds.push(`sm.created_at <= $${params.length + 1}`);
+      params.push(filters.to);
+    }
+
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+
+    const limit = Math.max(1, Math.min(1000, parseInt(filters.limit) || 100));
+    const offset = Math.max(0, parseInt(filters.offset) || 0);
+    queryText += ` ORDER BY sm.created_at DESC, sm.id DESC LIMIT ${limit} OFFSET ${offset}`;
+
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching stock movements:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  initializeInventoryLocationsTable,
+  initializeStockMovementsTable,
+  buildStockChangeQuery,
+  buildLocationMoveQuery,
+  totalSetMessage,
+  checkTotalSet,
+  toStockError,
+  applyStockChange,
+  getStockLocations,
+  getStockMovements
+};
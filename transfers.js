@@ -0,0 +1,428 @@
+const database = require('./database');
+const { buildStockChangeQuery } = require('./stockMovements');
+const { splitByLot } = require('./lots');
+const { httpError, toDatabaseError } = require('./errors');
+
+// Transfer lifecycle: draft -> in_transit (dispatched) -> received, or cancelled
+const TRANSFER_STATUSES = ['draft', 'in_transit', 'received', 'cancelled'];
+
+// Initialize stock transfer tables
+const initializeStockTransfersTables = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`CREATE SEQUENCE IF NOT EXISTS stock_transfer_number_seq`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_transfers (
+        id SERIAL PRIMARY KEY,
+        transfer_number VARCHAR(30) UNIQUE NOT NULL,
+        from_warehouse_id VARCHAR(50) NOT NULL REFERENCES warehouses(warehouse_id),
+        to_warehouse_id VARCHAR(50) NOT NULL REFERENCES warehouses(warehouse_id),
+        status VARCHAR(20) DEFAULT 'draft',
+        notes TEXT,
+        created_by INTEGER,
+        dispatched_at TIMESTAMP,
+        received_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_stock_transfers_warehouses CHECK (from_warehouse_id <> to_warehouse_id)
+      )
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_transfer_lines (
+        id SERIAL PRIMARY KEY,
+        transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id),
+        from_bin_code VARCHAR(50),
+        to_bin_code VARCHAR(50),
+        quantity INTEGER NOT NULL CHECK (quantity > 0)
+      )
+    `;
+    // The lot a line moves, with its dates once dispatched
+    await sql`ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS lot_number VARCHAR(50)`;
+    await sql`ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS expiry_date DATE`;
+    await sql`ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS manufacture_date DATE`;
+    // One row per state change. A state can only be left once, so the unique key
+    // stops racing requests (e.g. dispatch and cancel) from both applying
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_transfer_events (
+        id SERIAL PRIMARY KEY,
+        transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+        event VARCHAR(20) NOT NULL,
+        from_status VARCHAR(20),
+        user_id INTEGER,
+        username VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_stock_transfer_events UNIQUE (transfer_id, from_status)
+      )
+    `;
+    console.log('✅ Stock transfer tables created/verified');
+  } catch (err) {
+    console.error('❌ Error creating stock transfer tables:', err);
+    throw err;
+  }
+};
+
+// Reserve the next transfer number, e.g. TR-000042
+const nextTransferNumber = async (sql) => {
+  const rows = await sql`SELECT nextval('stock_transfer_number_seq') AS n`;
+  return `TR-${String(rows[0].n).padStart(6, '0')}`;
+};
+
+// Check transfer line input and return normalized lines
+const normalizeTransferLines = (lines) => {
+  if (!Array.isArray(lines) || !lines.length) {
+    throw httpError(400, 'At least one line item is required');
+  }
+  return lines.map((line, index) => {
+    const itemId = Number(line.item_id);
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(itemId) || itemId <= 0) throw httpError(400, `Line ${index + 1}: item_id is required`);
+    if (!Number.isInteger(quantity) || quantity <= 0) throw httpError(400, `Line ${index + 1}: quantity must be a positive whole number`);
+    return {
+      item_id: itemId,
+      quantity,
+      from_bin_code: line.from_bin_code || null,
+      to_bin_code: line.to_bin_code || null,
+      lot_number: line.lot_number || null
+    };
+  });
+};
+
+const checkWarehouses = (fromWarehouseId, toWarehouseId) => {
+  if (!fromWarehouseId || !toWarehouseId) {
+    throw httpError(400, 'Source and destination warehouses are required');
+  }
+  if (fromWarehouseId === toWarehouseId) {
+    throw httpError(400, 'Source and destination warehouses must differ');
+  }
+};
+
+// Turn FK violations from warehouse/item references into 400s naming the field
+const rethrowReferenceError = (err) => {
+  if (err && err.code === '23503') throw toDatabaseError(err);
+  throw err;
+};
+
+const getAllStockTransfers = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let queryText = `
+      SELECT
+        t.*,
+        fw.warehouse_name AS from_warehouse_name,
+        tw.warehouse_name AS to_warehouse_name,
+        COUNT(l.id)::int AS line_count,
+        COALESCE(SUM(l.quantity), 0)::int AS total_quantity
+      FROM stock_transfers t
+      LEFT JOIN warehouses fw ON fw.warehouse_id = t.from_warehouse_id
+      LEFT JOIN warehouses tw ON tw.warehouse_id = t.to_warehouse_id
+      LEFT JOIN stock_transfer_lines l ON l.transfer_id = t.id
+    `;
+    const conds = [];
+    const params = [];
+    if (filters.status) {
+      conds.push(`t.status = $${params.length + 1}`);
+      params.push(filters.status);
+    }
+    if (filters.warehouse) {
+      conds.push(`(t.from_warehouse_id = $${params.length + 1} OR t.to_warehouse_id = $${params.length + 1})`);
+      params.push(filters.warehouse);
+    }
+    if (conds.length) {
+      queryText += ` WHERE ${conds.join(' AND ')}`;
+    }
+    queryText += ` GROUP BY t.id, fw.warehouse_name, tw.warehouse_name ORDER BY t.updated_at DESC`;
+    return await sql(queryText, params);
+  } catch (err) {
+    console.error('Error fetching stock transfers:', err);
+    throw err;
+  }
+};
+
+// Get a transfer with its lines and state history
+const getStockTransferById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const transfers = await sql`
+      SELECT
+        t.*,
+        fw.warehouse_name AS from_warehouse_name,
+        tw.warehouse_name AS to_warehouse_name
+      FROM stock_transfers t
+      LEFT JOIN warehouses fw ON fw.warehouse_id = t.from_warehouse_id
+      LEFT JOIN warehouses tw ON tw.warehouse_id = t.to_warehouse_id
+      WHERE t.id = ${id}
+    `;
+    if (!transfers.length) return null;
+    const [lines, events] = await Promise.all([
+      sql`
+        SELECT l.*, i.item_code, p.product_name
+        FROM stock_transfer_lines l
+        LEFT JOIN inventory_items i ON i.id = l.item_id
+        LEFT JOIN products p ON p.product_id = i.product_id
+        WHERE l.transfer_id = ${id}
+        ORDER BY l.id
+      `,
+      sql`SELECT * FROM stock_transfer_events WHERE transfer_id = ${id} ORDER BY created_at, id`
+    ]);
+    return { ...transfers[0], lines, events };
+  } catch (err) {
+    console.error('Error fetching stock transfer:', err);
+    throw err;
+  }
+};
+
+const createStockTransfer = async (transferData, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const { from_warehouse_id, to_warehouse_id, notes } = transferData;
+    checkWarehouses(from_warehouse_id, to_warehouse_id);
+    const lines = normalizeTransferLines(transferData.lines);
+    const transferNumber = await nextTransferNumber(sql);
+    const user = context.user || null;
+
+    const queries = [
+      sql`
+        INSERT INTO stock_transfers (transfer_number, from_warehouse_id, to_warehouse_id, status, notes, created_by)
+        VALUES (${transferNumber}, ${from_warehouse_id}, ${to_warehouse_id}, 'draft', ${notes || null}, ${user ? user.id : null})
+      `,
+      ...lines.map(line => sql`
+        INSERT INTO stock_transfer_lines (transfer_id, item_id, from_bin_code, to_bin_code, lot_number, quantity)
+        SELECT id, ${line.item_id}, ${line.from_bin_code}, ${line.to_bin_code}, ${line.lot_number}, ${line.quantity}
+        FROM stock_transfers WHERE transfer_number = ${transferNumber}
+      `),
+      sql`
+        INSERT INTO stock_transfer_events (transfer_id, event, user_id, username)
+        SELECT id, 'created', ${user ? user.id : null}, ${user ? user.username : null}
+        FROM stock_transfers WHERE transfer_number = ${transferNumber}
+      `
+    ];
+    await sql.transaction(queries).catch(rethrowReferenceError);
+
+    const created = await sql`SELECT id FROM stock_transfers WHERE transfer_number = ${transferNumber}`;
+    return getStockTransferById(created[0].id);
+  } catch (err) {
+    console.error('Error creating stock transfer:', err);
+    throw err;
+  }
+};
+
+// Draft transfers can be edited; lines are replaced wholesale
+const updateStockTransfer = async (id, transferData) => {
+  try {
+    const sql = await database.sql();
+    const existing = await sql`SELECT * FROM stock_transfers WHERE id = ${id}`;
+    if (!existing.length) return null;
+    if (existing[0].status !== 'draft') {
+      throw httpError(409, `Only draft transfers can be edited (current status: ${existing[0].status})`);
+    }
+    const fromWarehouseId = transferData.from_warehouse_id || existing[0].from_warehouse_id;
+    const toWarehouseId = transferData.to_warehouse_id || existing[0].to_warehouse_id;
+    checkWarehouses(fromWarehouseId, toWarehouseId);
+
+    const queries = [
+      sql`
+        UPDATE stock_transfers SET
+          from_warehouse_id = ${fromWarehouseId},
+          to_warehouse_id = ${toWarehouseId},
+          notes = COALESCE(${transferData.notes ?? null}, notes),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND status = 'draft'
+      `
+    ];
+    if (transferData.lines !== undefined) {
+      const lines = normalizeTransferLines(transferData.lines);
+      queries.push(sql`DELETE FROM stock_transfer_lines WHERE transfer_id = ${id}`);
+      lines.forEach(line => queries.push(sql`
+        INSERT INTO stock_transfer_lines (transfer_id, item_id, from_bin_code, to_bin_code, lot_number, quantity)
+        VALUES (${id}, ${line.item_id}, ${line.from_bin_code}, ${line.to_bin_code}, ${line.lot_number}, ${line.quantity})
+      `));
+    }
+    await sql.transaction(queries).catch(rethrowReferenceError);
+    return getStockTransferById(id);
+  } catch (err) {
+    console.error('Error updating stock transfer:', err);
+    throw err;
+  }
+};
+
+// Run a state change. Its event row fails on the unique key when another request
+// already moved the transfer out of this state, rolling back the stock changes too
+const runTransition = async (sql, transfer, queries) => {
+  try {
+    await sql.transaction(queries);
+  } catch (err) {
+    if (err && err.constraint === 'uq_stock_transfer_events') {
+      throw httpError(409, `Transfer ${transfer.transfer_number} was changed by someone else; reload and try again`);
+    }
+    if (err && err.constraint === 'chk_inventory_locations_quantity') {
+      throw httpError(400, `Not enough stock in ${transfer.from_warehouse_id} to dispatch ${transfer.transfer_number}`);
+    }
+    if (err && err.constraint === 'chk_stock_lots_quantity') {
+      throw httpError(400, `Not enough stock of a lot in ${transfer.from_warehouse_id} to dispatch ${transfer.transfer_number}`);
+    }
+    throw err;
+  }
+};
+
+const eventQuery = (sql, transfer, event, user) => sql`
+  INSERT INTO stock_transfer_events (transfer_id, event, from_status, user_id, username)
+  VALUES (${transfer.id}, ${event}, ${transfer.status}, ${user ? user.id : null}, ${user ? user.username : null})
+`;
+
+// Dispatch: stock leaves the source warehouse and is in transit until received.
+// Each line comes out of the lots it names or, without one, the lots splitByLot
+// picks; such a line is replaced by one line per lot, and every line records its
+// lot's dates, so receiving or cancelling puts back the same lots.
+const dispatchStockTransfer = async (id, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const transfer = await getStockTransferById(id);
+    if (!transfer) return null;
+    if (transfer.status !== 'draft') {
+      throw httpError(409, `Cannot dispatch a transfer that is ${transfer.status}`);
+    }
+    if (!transfer.lines.length) {
+      throw httpError(400, 'Cannot dispatch a transfer without line items');
+    }
+    const user = context.user || null;
+    const queries = [eventQuery(sql, transfer, 'dispatched', user)];
+    for (const line of transfer.lines) {
+      const portions = await splitByLot(sql, line.item_id, transfer.from_warehouse_id, line.from_bin_code, line.quantity, line.lot_number);
+      if (portions.length === 1) {
+        queries.push(sql`
+          UPDATE stock_transfer_lines
+          SET lot_number = ${portions[0].lotNumber}, expiry_date = ${portions[0].expiryDate}, manufacture_date = ${portions[0].manufactureDate}
+          WHERE id = ${line.id}
+        `);
+      } else {
+        queries.push(
+          sql`DELETE FROM stock_transfer_lines WHERE id = ${line.id}`,
+          ...portions.map(portion => sql`
+            INSERT INTO stock_transfer_lines (transfer_id, item_id, from_bin_code, to_bin_code, lot_number, expiry_date, manufacture_date, quantity)
+            VALUES (${id}, ${line.item_id}, ${line.from_bin_code}, ${line.to_bin_code}, ${portion.lotNumber}, ${portion.expiryDate}, ${portion.manufactureDate}, ${portion.quantity})
+          `)
+        );
+      }
+      queries.push(...portions.map(portion => buildStockChangeQuery(sql, {
+        itemId: line.item_id,
+        warehouseId: transfer.from_warehouse_id,
+        binCode: line.from_bin_code,
+        lotNumber: portion.lotNumber,
+        operation: 'subtract',
+        quantity: portion.quantity,
+        strict: true,
+        movementType: 'transfer',
+        user,
+        referenceType: 'stock_transfer',
+        referenceId: transfer.transfer_number,
+        notes: `Dispatched to ${transfer.to_warehouse_id}`
+      })));
+    }
+    queries.push(
+      sql`
+        UPDATE stock_transfers
+        SET status = 'in_transit', dispatched_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+      `
+    );
+    await runTransition(sql, transfer, queries);
+    return getStockTransferById(id);
+  } catch (err) {
+    console.error('Error dispatching stock transfer:', err);
+    throw err;
+  }
+};
+
+// Receive: in-transit stock is added to the destination warehouse
+const receiveStockTransfer = async (id, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const transfer = await getStockTransferById(id);
+    if (!transfer) return null;
+    if (transfer.status !== 'in_transit') {
+      throw httpError(409, `Cannot receive a transfer that is ${transfer.status}`);
+    }
+    const user = context.user || null;
+    const queries = [
+      eventQuery(sql, transfer, 'received', user),
+      ...transfer.lines.map(line => buildStockChangeQuery(sql, {
+        itemId: line.item_id,
+        warehouseId: transfer.to_warehouse_id,
+        binCode: line.to_bin_code,
+        lotNumber: line.lot_number,
+        expiryDate: line.expiry_date,
+        manufactureDate: line.manufacture_date,
+        operation: 'add',
+        quantity: line.quantity,
+        movementType: 'transfer',
+        user,
+        referenceType: 'stock_transfer',
+        referenceId: transfer.transfer_number,
+        notes: `Received from ${transfer.from_warehouse_id}`
+      })),
+      sql`
+        UPDATE stock_transfers
+        SET status = 'received', received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+      `
+    ];
+    await runTransition(sql, transfer, queries);
+    return getStockTransferById(id);
+  } catch (err) {
+    console.error('Error receiving stock transfer:', err);
+    throw err;
+  }
+};
+
+// Cancel a draft, or an in-transit transfer whose stock then returns to the source
+const cancelStockTransfer = async (id, context = {}) => {
+  try {
+    const sql = await database.sql();
+    const transfer = await getStockTransferById(id);
+    if (!transfer) return null;
+    if (!['draft', 'in_transit'].includes(transfer.status)) {
+      throw httpError(409, `Cannot cancel a transfer that is ${transfer.status}`);
+    }
+    const user = context.user || null;
+    const queries = [eventQuery(sql, transfer, 'cancelled', user)];
+    if (transfer.status === 'in_transit') {
+      transfer.lines.forEach(line => queries.push(buildStockChangeQuery(sql, {
+        itemId: line.item_id,
+        warehouseId: transfer.from_warehouse_id,
+        binCode: line.from_bin_code,
+        lotNumber: line.lot_number,
+        expiryDate: line.expiry_date,
+        manufactureDate: line.manufacture_date,
+        operation: 'add',
+        quantity: line.quantity,
+        movementType: 'transfer',
+        user,
+        referenceType: 'stock_transfer',
+        referenceId: transfer.transfer_number,
+        notes: 'Transfer cancelled; returned to source'
+      })));
+    }
+    queries.push(sql`
+      UPDATE stock_transfers SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `);
+    await runTransition(sql, transfer, queries);
+    return getStockTransferById(id);
+  } catch (err) {
+    console.error('Error cancelling stock transfer:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  TRANSFER_STATUSES,
+  initializeStockTransfersTables,
+  getAllStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  updateStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer
+};
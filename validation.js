@@ -0,0 +1,443 @@
+const { httpError, sendError } = require('./errors');
+const { ROLES } = require('./permissions');
+const { MOVEMENT_TYPES } = require('./stockMovements');
+const { NOTIFICATION_CATEGORIES } = require('./database');
+const { ORDER_STATUSES } = require('./inventory');
+const { PO_STATUSES } = require('./purchasing');
+const { RETURN_REASON_CODES, RETURN_DISPOSITIONS, DISPOSITION_REASON_CODES } = require('./returns');
+const { SERIAL_STATUSES } = require('./serials');
+
+// Request body schemas for the write routes. A schema maps each field to a rule;
+// a rule takes the submitted value and returns the value to use, or throws an
+// Error whose message describes what is wrong with it. Blank values ('' or null)
+// become null unless the rule is required. Business rules (stock levels, status
+// transitions, ...) stay with the domain modules; this only checks the shape.
+
+const isBlank = (value) => value === null || (typeof value === 'string' && !value.trim());
+
+const rule = (check) => (options = {}) => {
+  const apply = (value) => {
+    if (isBlank(value)) {
+      if (options.required) throw new Error('is required');
+      return null;
+    }
+    return check(value, options);
+  };
+  apply.required = !!options.required;
+  return apply;
+};
+
+const text = rule((value, { max = 255, trim = true }) => {
+  if (typeof value !== 'string' && typeof value !== 'number') throw new Error('must be text');
+  const result = trim ? String(value).trim() : String(value);
+  if (result.length > max) throw new Error(`must be at most ${max} characters`);
+  return result;
+});
+
+const wholeNumber = rule((value, { min = 0 }) => {
+  const n = typeof value === 'string' ? Number(value.trim()) : value;
+  if (!Number.isInteger(n) || n < min) throw new Error(`must be a whole number of ${min} or more`);
+  return n;
+});
+
+const amount = rule((value) => {
+  const n = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < 0) throw new Error('must be an amount of zero or more');
+  return n;
+});
+
+// A percentage between min and max; negative ones lower a value
+const percentage = rule((value, { min = 0, max = 100 }) => {
+  const n = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < min || n > max) {
+    throw new Error(`must be a percentage from ${min} to ${max}`);
+  }
+  return n;
+});
+
+const date = rule((value) => {
+  const valid = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+  if (!valid) throw new Error('must be a date (YYYY-MM-DD)');
+  return value;
+});
+
+const bool = rule((value) => {
+  if (typeof value !== 'boolean') throw new Error('must be true or false');
+  return value;
+});
+
+const oneOf = (values, options = {}) => rule((value) => {
+  const choice = typeof value === 'string' ? value.trim() : value;
+  const normalized = options.lowercase && typeof choice === 'string' ? choice.toLowerCase() : choice;
+  if (!values.includes(normalized)) throw new Error(`must be one of: ${values.join(', ')}`);
+  return normalized;
+})(options);
+
+// Serial numbers as a list or one string separated by spaces or commas
+const serialNumbers = rule((value) => {
+  const valid = typeof value === 'string' ||
+    (Array.isArray(value) && value.every(s => typeof s === 'string' || typeof s === 'number'));
+  if (!valid) throw new Error('must be a list of serial numbers');
+  return value;
+});
+
+// A list of objects checked against schema, e.g. the lines of an order
+const lines = (schema, options = {}) => {
+  const apply = (value, path) => {
+    if (value === null || value === undefined) {
+      if (options.required) throw new Error('is required');
+      return null;
+    }
+    if (!Array.isArray(value)) throw new Error('must be a list');
+    if (options.required && !value.length) throw new Error('must have at least one entry');
+    const fields = {};
+    const checked = value.map((line, index) => {
+      try {
+        return checkFields(line, schema, { path: `${path}[${index}]` });
+      } catch (err) {
+        Object.assign(fields, err.details.fields);
+        return null;
+      }
+    });
+    if (Object.keys(fields).length) {
+      throw httpError(400, Object.values(fields).join('; '), { fields });
+    }
+    return checked;
+  };
+  apply.required = !!options.required;
+  return apply;
+};
+
+// Check body against schema and resolve to the checked values of the fields it
+// supplies. Errors are collected per field (nested ones as lines[0].quantity)
+// and thrown together as a 400 with details.fields. options.partial makes every
+// field optional (a partial update); options.strict refuses fields the schema
+// does not know instead of passing them through.
+const checkFields = (body, schema, options = {}) => {
+  const prefix = options.path ? `${options.path}.` : '';
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    const message = `${options.path || 'Request body'} must be an object`;
+    throw httpError(400, message, { fields: { [options.path || 'body']: message } });
+  }
+  const values = {};
+  const fields = {};
+  for (const [name, apply] of Object.entries(schema)) {
+    const value = body[name];
+    if (value === undefined) {
+      if (apply.required && !options.partial) fields[prefix + name] = `${prefix + name} is required`;
+      continue;
+    }
+    try {
+      values[name] = apply(value, prefix + name);
+    } catch (err) {
+      if (err.details && err.details.fields) {
+        Object.assign(fields, err.details.fields);
+      } else {
+        fields[prefix + name] = `${prefix + name} ${err.message}`;
+      }
+    }
+  }
+  if (options.strict) {
+    Object.keys(body).filter(name => !schema[name]).forEach(name => {
+      fields[prefix + name] = `${prefix + name} is not a known field`;
+    });
+  }
+  const messages = Object.values(fields);
+  if (messages.length) {
+    throw httpError(400, messages.join('; '), { fields });
+  }
+  return values;
+};
+
+// Route middleware: check req.body against schema (options as for checkFields)
+// and answer 400 when it does not fit. Checked values replace the submitted ones.
+const validateBody = (schema, options = {}) => (req, res, next) => {
+  try {
+    req.body = { ...req.body, ...checkFields(req.body || {}, schema, options) };
+    next();
+  } catch (err) {
+    sendError(res, err, 'Invalid request');
+  }
+};
+
+const ITEM_STATUSES = ['active', 'inactive', 'out of stock'];
+const NOTIFICATION_TYPES = ['info', 'success', 'warning', 'error'];
+
+const lotFields = {
+  lot_number: text({ max: 50 }),
+  expiry_date: date(),
+  manufacture_date: date()
+};
+
+const inventoryItem = {
+  item_code: text({ max: 50, required: true }),
+  product_id: wholeNumber({ min: 1, required: true }),
+  unit_of_measure: text({ max: 10, required: true }),
+  category_id: text({ max: 50 }),
+  status: oneOf(ITEM_STATUSES),
+  warehouse_id: text({ max: 50 }),
+  total_quantity: wholeNumber({ min: 0 })
+};
+
+const reorderSettings = {
+  reorder_point: wholeNumber({ min: 0 }),
+  reorder_quantity: wholeNumber({ min: 1 }),
+  safety_stock: wholeNumber({ min: 0 })
+};
+
+// Fields an item update carries besides the item's own
+const itemUpdateFields = {
+  version: wholeNumber({ min: 1 }),
+  movement_type: oneOf(MOVEMENT_TYPES),
+  movement_notes: text({ max: 500 })
+};
+
+const orderShipment = {
+  order_id: text({ max: 50, required: true }),
+  customer_id: text({ max: 50 }),
+  item_code: text({ max: 50, required: true }),
+  quantity: wholeNumber({ min: 1, required: true }),
+  total_value: amount(),
+  status: oneOf(ORDER_STATUSES, { lowercase: true }),
+  order_date: date(),
+  ship_date: date(),
+  delivery_date: date(),
+  tracking_number: text({ max: 100 }),
+  notes: text({ max: 2000 }),
+  warehouse_id: text({ max: 50 }),
+  bin_code: text({ max: 50 })
+};
+
+const supplier = {
+  supplier_code: text({ max: 50, required: true }),
+  supplier_name: text({ max: 255, required: true }),
+  contact_name: text({ max: 255 }),
+  email: text({ max: 255 }),
+  phone: text({ max: 50 }),
+  address: text({ max: 1000 }),
+  is_active: bool()
+};
+
+const purchaseOrder = {
+  supplier_id: wholeNumber({ min: 1, required: true }),
+  warehouse_id: text({ max: 50 }),
+  order_date: date(),
+  expected_date: date(),
+  notes: text({ max: 2000 }),
+  lines: lines({
+    product_id: wholeNumber({ min: 1, required: true }),
+    quantity_ordered: wholeNumber({ min: 1 }),
+    quantity: wholeNumber({ min: 1 }),
+    unit_cost: amount(),
+    notes: text({ max: 500 })
+  }, { required: true })
+};
+
+const stockTransfer = {
+  from_warehouse_id: text({ max: 50, required: true }),
+  to_warehouse_id: text({ max: 50, required: true }),
+  notes: text({ max: 2000 }),
+  lines: lines({
+    item_id: wholeNumber({ min: 1, required: true }),
+    quantity: wholeNumber({ min: 1, required: true }),
+    from_bin_code: text({ max: 50 }),
+    to_bin_code: text({ max: 50 }),
+    lot_number: text({ max: 50 })
+  }, { required: true })
+};
+
+const dispositions = (allowed) => lines({
+  disposition: oneOf(allowed, { required: true }),
+  quantity: wholeNumber({ min: 1, required: true }),
+  reason_code: oneOf(DISPOSITION_REASON_CODES),
+  warehouse_id: text({ max: 50 }),
+  bin_code: text({ max: 50 }),
+  serial_numbers: serialNumbers(),
+  notes: text({ max: 500 })
+}, { required: true });
+
+const schemas = {
+  login: {
+    username: text({ max: 50, required: true }),
+    password: text({ max: 255, required: true, trim: false })
+  },
+  passwordChange: {
+    currentPassword: text({ max: 255, required: true, trim: false }),
+    newPassword: text({ max: 255, required: true, trim: false })
+  },
+  newUser: {
+    username: text({ max: 50, required: true }),
+    password: text({ max: 255, required: true, trim: false }),
+    role: oneOf(ROLES, { required: true })
+  },
+  userUpdate: {
+    username: text({ max: 50, required: true }),
+    role: oneOf(ROLES, { required: true }),
+    is_active: bool({ required: true })
+  },
+  passwordReset: {
+    password: text({ max: 255, required: true, trim: false })
+  },
+  roleChange: {
+    role: oneOf(ROLES, { required: true })
+  },
+  notification: {
+    title: text({ max: 100, required: true }),
+    message: text({ max: 2000, required: true }),
+    type: oneOf(NOTIFICATION_TYPES),
+    category: oneOf(Object.keys(NOTIFICATION_CATEGORIES)),
+    target_role: oneOf(ROLES),
+    target_user_id: wholeNumber({ min: 1 })
+  },
+  notificationPreferences: Object.fromEntries(Object.keys(NOTIFICATION_CATEGORIES).map(category => [category, bool()])),
+  inventoryItem,
+  inventoryItemUpdate: { ...inventoryItem, ...itemUpdateFields },
+  itemDeletion: {
+    ids: rule((value) => {
+      if (!Array.isArray(value) || !value.length) throw new Error('must be a list of item ids');
+      return value.map(id => wholeNumber({ min: 1, required: true })(id));
+    })({ required: true })
+  },
+  stockAdjustment: {
+    warehouse_id: text({ max: 50, required: true }),
+    bin_code: text({ max: 50 }),
+    quantity: wholeNumber({ min: 0, required: true }),
+    operation: oneOf(['set', 'add', 'subtract']),
+    movement_type: oneOf(MOVEMENT_TYPES),
+    notes: text({ max: 500 }),
+    ...lotFields
+  },
+  stockMove: {
+    from_warehouse_id: text({ max: 50, required: true }),
+    from_bin_code: text({ max: 50 }),
+    to_warehouse_id: text({ max: 50, required: true }),
+    to_bin_code: text({ max: 50 }),
+    lot_number: text({ max: 50 }),
+    quantity: wholeNumber({ min: 1, required: true }),
+    notes: text({ max: 500 })
+  },
+  productAlias: {
+    alias: text({ max: 100, required: true }),
+    alias_type: text({ max: 20 })
+  },
+  scan: {
+    code: text({ max: 100, required: true }),
+    type: text({ max: 20 }),
+    itemId: wholeNumber({ min: 1 }),
+    productName: text({ max: 255 }),
+    quantity: wholeNumber({ min: 0 }),
+    status: text({ max: 20 }),
+    notes: text({ max: 2000 })
+  },
+  orderShipment,
+  orderShipmentUpdate: { ...orderShipment, version: wholeNumber({ min: 1 }) },
+  orderStatus: {
+    status: oneOf(ORDER_STATUSES, { required: true, lowercase: true }),
+    setShipDate: date(),
+    setDeliveryDate: date(),
+    warehouse_id: text({ max: 50 }),
+    bin_code: text({ max: 50 }),
+    notes: text({ max: 500 }),
+    serial_numbers: serialNumbers()
+  },
+  orderSerials: {
+    serial_numbers: serialNumbers({ required: true })
+  },
+  supplier,
+  purchaseOrder,
+  purchaseOrderStatus: {
+    status: oneOf(PO_STATUSES, { required: true })
+  },
+  goodsReceipt: {
+    warehouse_id: text({ max: 50 }),
+    notes: text({ max: 2000 }),
+    lines: lines({
+      line_id: wholeNumber({ min: 1, required: true }),
+      quantity: wholeNumber({ min: 1, required: true }),
+      item_id: wholeNumber({ min: 1 }),
+      bin_code: text({ max: 50 }),
+      unit_cost: amount(),
+      serial_numbers: serialNumbers(),
+      ...lotFields
+    }, { required: true })
+  },
+  stockTransfer,
+  returnRequest: {
+    order_shipment_id: wholeNumber({ min: 1, required: true }),
+    quantity: wholeNumber({ min: 1, required: true }),
+    reason_code: oneOf(RETURN_REASON_CODES, { required: true }),
+    notes: text({ max: 2000 })
+  },
+  returnReceipt: {
+    quantity_received: wholeNumber({ min: 1 }),
+    serial_numbers: serialNumbers(),
+    notes: text({ max: 2000 })
+  },
+  returnInspection: {
+    dispositions: dispositions(RETURN_DISPOSITIONS),
+    notes: text({ max: 2000 })
+  },
+  quarantineRelease: {
+    dispositions: dispositions(['restock', 'scrap'])
+  },
+  cycleCount: {
+    warehouse_id: text({ max: 50 }),
+    category_id: text({ max: 50 }),
+    notes: text({ max: 2000 })
+  },
+  countEntry: {
+    item_id: wholeNumber({ min: 1 }),
+    item_code: text({ max: 100 }),
+    quantity: wholeNumber({ min: 0 }),
+    mode: oneOf(['set', 'add']),
+    warehouse_id: text({ max: 50 }),
+    bin_code: text({ max: 50 }),
+    notes: text({ max: 500 })
+  },
+  countApproval: {
+    uncounted: oneOf(['skip', 'zero'])
+  },
+  serialStatus: {
+    status: oneOf(SERIAL_STATUSES, { required: true }),
+    notes: text({ max: 500 })
+  },
+  serialRegistration: {
+    serial_numbers: serialNumbers({ required: true }),
+    warehouse_id: text({ max: 50 }),
+    bin_code: text({ max: 50 }),
+    notes: text({ max: 500 })
+  },
+  reorderSettings,
+  standardCost: {
+    unit_cost: amount({ required: true }),
+    effective_date: date()
+  },
+  productPrice: {
+    price: amount({ required: true }),
+    discount_rate: percentage(),
+    effective_date: date()
+  },
+  priceDiscount: {
+    discount_rate: percentage({ required: true }),
+    effective_date: date()
+  },
+  bulkPriceChange: {
+    category: text({ max: 100, required: true }),
+    percent: percentage({ min: -100, max: 1000, required: true }),
+    effective_date: date(),
+    dry_run: bool()
+  },
+  priceQuery: {
+    date: date()
+  },
+  // One row of an inventory import file, once its codes are resolved (itemImport.js)
+  inventoryImportRow: { ...inventoryItem, ...reorderSettings }
+};
+
+module.exports = {
+  ITEM_STATUSES,
+  checkFields,
+  validateBody,
+  schemas
+};
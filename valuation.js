@@ -0,0 +1,335 @@
+const database = require('./database');
+const { httpError } = require('./errors');
+const { inventoryListConditions } = require('./inventory');
+const { effectivePriceJoin, currentDate } = require('./pricing');
+
+// fifo: stock on hand is the most recent receipts, at their cost
+// average: moving weighted average of receipt costs, updated on each receipt
+// standard: the item's standard cost in effect on the valuation date
+const VALUATION_METHODS = ['fifo', 'average', 'standard'];
+const DEFAULT_VALUATION_METHOD = 'fifo';
+
+// Initialize standard cost history. A standard cost applies from its
+// effective date until the next one, so past valuations use the cost then in
+// force; setting a cost again for the same date replaces it.
+const initializeStandardCostsTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS item_standard_costs (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        unit_cost NUMERIC(12,4) NOT NULL,
+        effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        user_id INTEGER,
+        username VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_item_standard_costs UNIQUE (item_id, effective_date),
+        CONSTRAINT chk_item_standard_costs_unit_cost CHECK (unit_cost >= 0)
+      )
+    `;
+    console.log('✅ Item standard costs table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating item standard costs table:', err);
+    throw err;
+  }
+};
+
+// Standard cost history of an item, newest first; null when the item does not exist
+const getStandardCosts = async (itemId) => {
+  try {
+    const sql = await database.sql();
+    const item = await sql`SELECT id FROM inventory_items WHERE id = ${itemId}`;
+    if (!item.length) return null;
+    return await sql`
+      SELECT id, item_id, unit_cost, effective_date, username, created_at
+      FROM item_standard_costs
+      WHERE item_id = ${itemId}
+      ORDER BY effective_date DESC
+    `;
+  } catch (err) {
+    console.error('Error fetching standard costs:', err);
+    throw err;
+  }
+};
+
+// Set an item's standard cost from costData.effective_date (default today);
+// null when the item does not exist
+const setStandardCost = async (itemId, costData, user) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      INSERT INTO item_standard_costs (item_id, unit_cost, effective_date, user_id, username)
+      SELECT id, ${costData.unit_cost}, COALESCE(${costData.effective_date || null}::date, CURRENT_DATE),
+        ${user ? user.id : null}, ${user ? user.username : null}
+      FROM inventory_items WHERE id = ${itemId}
+      ON CONFLICT (item_id, effective_date) DO UPDATE SET
+        unit_cost = EXCLUDED.unit_cost,
+        user_id = EXCLUDED.user_id,
+        username = EXCLUDED.username,
+        created_at = CURRENT_TIMESTAMP
+      RETURNING id, item_id, unit_cost, effective_date, username, created_at
+    `;
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error setting standard cost:', err);
+    throw err;
+  }
+};
+
+// Stock of each item in each warehouse at the end of the as-of date ($N),
+// worked back from the current location balances through the ledger entries
+// made since, with the list price then in effect. Items created after that
+// date are left out.
+const stockAsOfQuery = (conds, asOfParam) => `
+  WITH stock AS (
+    SELECT item_id, warehouse_id, SUM(quantity) AS quantity
+    FROM inventory_locations
+    GROUP BY item_id, warehouse_id
+    UNION ALL
+    SELECT m.item_id, COALESCE(m.warehouse_id, mi.warehouse_id), -SUM(m.quantity_delta)
+    FROM stock_movements m
+    JOIN inventory_items mi ON mi.id = m.item_id
+    WHERE m.created_at >= ${asOfParam}::date + 1
+    GROUP BY 1, 2
+  )
+  SELECT
+    i.id AS item_id,
+    i.item_code,
+    p.product_name,
+    i.category_id,
+    c.category_name,
+    s.warehouse_id,
+    w.warehouse_name,
+    i.status,
+    i.unit_of_measure,
+    SUM(s.quantity)::int AS quantity,
+    sc.unit_cost AS standard_cost,
+    pp.price
+  FROM stock s
+  JOIN inventory_items i ON i.id = s.item_id
+  LEFT JOIN products p ON p.product_id = i.product_id
+  LEFT JOIN categories c ON c.category_id = i.category_id
+  LEFT JOIN warehouses w ON w.warehouse_id = s.warehouse_id
+  LEFT JOIN LATERAL (
+    SELECT unit_cost FROM item_standard_costs isc
+    WHERE isc.item_id = i.id AND isc.effective_date <= ${asOfParam}::date
+    ORDER BY isc.effective_date DESC
+    LIMIT 1
+  ) sc ON true
+  ${effectivePriceJoin('pp', 'i.product_id', asOfParam + '::date')}
+  WHERE ${['i.created_at < ' + asOfParam + '::date + 1', ...conds].join(' AND ')}
+  GROUP BY i.id, p.product_name, c.category_name, s.warehouse_id, w.warehouse_name, sc.unit_cost, pp.price
+  HAVING SUM(s.quantity) > 0
+  ORDER BY i.item_code, s.warehouse_id
+`;
+
+// Receipt history of items $2 up to the end of date $1, in order. Each goods
+// receipt line starts a new segment; a segment row has that receipt's quantity
+// and cost and the net of the other stock movements up to the next receipt.
+// Segment 0 holds the movements before the first receipt.
+const COST_SEGMENTS_QUERY = `
+  WITH events AS (
+    SELECT gl.item_id, r.received_at AS at, 1 AS kind, gl.id AS seq, gl.quantity, gl.unit_cost
+    FROM goods_receipt_lines gl
+    JOIN goods_receipts r ON r.id = gl.receipt_id
+    WHERE r.received_at < $1::date + 1 AND gl.item_id = ANY($2)
+    UNION ALL
+    SELECT m.item_id, m.created_at, 2, m.id, m.quantity_delta, NULL
+    FROM stock_movements m
+    WHERE m.created_at < $1::date + 1 AND m.item_id = ANY($2)
+      AND m.reference_type IS DISTINCT FROM 'goods_receipt'
+  ), segments AS (
+    SELECT events.*, COUNT(unit_cost) OVER (PARTITION BY item_id ORDER BY at, kind, seq) AS segment
+    FROM events
+  )
+  SELECT
+    item_id,
+    segment,
+    COALESCE(SUM(quantity) FILTER (WHERE unit_cost IS NOT NULL), 0)::int AS receipt_quantity,
+    MAX(unit_cost) AS unit_cost,
+    COALESCE(SUM(quantity) FILTER (WHERE unit_cost IS NULL), 0)::int AS other_quantity
+  FROM segments
+  GROUP BY item_id, segment
+  ORDER BY item_id, segment
+`;
+
+// Unit cost of an item's stock on hand (quantity, across all warehouses) under
+// method, from its cost segments. Stock older than the first receipt is costed
+// at standard cost, failing that at the first receipt's cost. null when there
+// is nothing to cost it by.
+const itemUnitCost = (method, segments, quantity, standardCost) => {
+  if (method === 'standard') return standardCost;
+  const receipts = segments.filter(segment => segment.receipt_quantity > 0);
+  const openingCost = standardCost != null ? standardCost : receipts.length ? receipts[0].unit_cost : null;
+
+  if (method === 'fifo') {
+    let left = quantity;
+    let value = 0;
+    for (let k = receipts.length - 1; k >= 0 && left > 0; k--) {
+      const used = Math.min(left, receipts[k].receipt_quantity);
+      value += used * receipts[k].unit_cost;
+      left -= used;
+    }
+    if (left > 0) {
+      if (openingCost == null) return null;
+      value += left * openingCost;
+    }
+    return value / quantity;
+  }
+
+  // Stock from before the ledger enters at the opening cost; other movements
+  // leave the average unchanged
+  const moved = segments.reduce((sum, segment) => sum + segment.receipt_quantity + segment.other_quantity, 0);
+  let onHand = Math.max(quantity - moved, 0);
+  let average = openingCost;
+  for (const segment of segments) {
+    if (segment.receipt_quantity > 0) {
+      const received = segment.receipt_quantity;
+      average = onHand > 0 && average != null
+        ? (onHand * average + received * segment.unit_cost) / (onHand + received)
+        : segment.unit_cost;
+      onHand += received;
+    }
+    onHand = Math.max(onHand + segment.other_quantity, 0);
+  }
+  return average;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Sum rows into one entry per key(row), with the fields of fields(row)
+const summarize = (rows, key, fields) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const id = key(row);
+    if (!groups.has(id)) {
+      groups.set(id, { ...fields(row), item_count: 0, quantity: 0, value: 0, unvalued_quantity: 0, items: new Set() });
+    }
+    const group = groups.get(id);
+    group.items.add(row.item_id);
+    group.quantity += row.quantity;
+    group.value += row.value;
+    group.unvalued_quantity += row.unvalued_quantity;
+  }
+  return [...groups.values()]
+    .map(({ items, ...group }) => ({ ...group, item_count: items.size, value: roundMoney(group.value) }))
+    .sort((a, b) => b.value - a.value);
+};
+
+// Value stock on hand at the end of options.as_of (default today) by
+// options.method (see VALUATION_METHODS), optionally narrowed by the inventory
+// list filters search, category, status and warehouse. Cost layers are kept
+// per item rather than per warehouse, since transfers move stock at cost, so
+// an item has the same unit cost in every warehouse. Stock that cannot be
+// costed is valued at zero and reported as unvalued_quantity. Rows also carry
+// the list price in effect on the date and the stock's value at it (price_value).
+const getInventoryValuation = async (options = {}) => {
+  try {
+    const method = String(options.method || DEFAULT_VALUATION_METHOD).toLowerCase();
+    if (!VALUATION_METHODS.includes(method)) {
+      const message = `method must be one of: ${VALUATION_METHODS.join(', ')}`;
+      throw httpError(400, message, { fields: { method: message } });
+    }
+    const sql = await database.sql();
+    const today = await currentDate(sql);
+    const asOf = options.as_of || today;
+    const validDate = /^\d{4}-\d{2}-\d{2}$/.test(asOf) && !Number.isNaN(Date.parse(asOf)) &&
+      new Date(asOf).toISOString().slice(0, 10) === asOf;
+    if (!validDate) {
+      throw httpError(400, 'as_of must be a date (YYYY-MM-DD)', { fields: { as_of: 'as_of must be a date (YYYY-MM-DD)' } });
+    }
+    if (asOf > today) {
+      throw httpError(400, 'as_of cannot be in the future', { fields: { as_of: 'as_of cannot be in the future' } });
+    }
+
+    // The warehouse filter applies to where the stock is, not to the item
+    const { conds, params } = inventoryListConditions(options, 'warehouse');
+    if (options.warehouse) {
+      params.push(options.warehouse);
+      conds.push(`s.warehouse_id = $${params.length}`);
+    }
+    params.push(asOf);
+    const stock = await sql(stockAsOfQuery(conds, `$${params.length}`), params);
+
+    const itemQuantities = new Map();
+    const standardCosts = new Map();
+    for (const row of stock) {
+      itemQuantities.set(row.item_id, 0);
+      standardCosts.set(row.item_id, row.standard_cost != null ? Number(row.standard_cost) : null);
+    }
+    // Costing needs each item's whole stock, including warehouses filtered out
+    if (itemQuantities.size) {
+      const totals = await sql(`
+        SELECT item_id, SUM(quantity)::int AS quantity FROM (${stockAsOfQuery(['i.id = ANY($2)'], '$1')}) s
+        GROUP BY item_id
+      `, [asOf, [...itemQuantities.keys()]]);
+      totals.forEach(row => itemQuantities.set(row.item_id, row.quantity));
+    }
+
+    const segmentsByItem = new Map([...itemQuantities.keys()].map(id => [id, []]));
+    if (method !== 'standard' && itemQuantities.size) {
+      const segments = await sql(COST_SEGMENTS_QUERY, [asOf, [...itemQuantities.keys()]]);
+      for (const segment of segments) {
+        segmentsByItem.get(segment.item_id).push({
+          receipt_quantity: segment.receipt_quantity,
+          unit_cost: segment.unit_cost != null ? Number(segment.unit_cost) : null,
+          other_quantity: segment.other_quantity
+        });
+      }
+    }
+
+    const unitCosts = new Map();
+    for (const [itemId, quantity] of itemQuantities) {
+      unitCosts.set(itemId, itemUnitCost(method, segmentsByItem.get(itemId), quantity, standardCosts.get(itemId)));
+    }
+
+    const rows = stock.map(row => {
+      const unitCost = unitCosts.get(row.item_id);
+      return {
+        ...row,
+        standard_cost: standardCosts.get(row.item_id),
+        unit_cost: unitCost != null ? Math.round(unitCost * 10000) / 10000 : null,
+        value: unitCost != null ? unitCost * row.quantity : 0,
+        unvalued_quantity: unitCost != null ? 0 : row.quantity,
+        price: row.price != null ? Number(row.price) : null,
+        price_value: row.price != null ? roundMoney(Number(row.price) * row.quantity) : null
+      };
+    });
+
+    // Totals are summed before rounding, so they can differ from the sum of the
+    // rounded rows by a cent
+    return {
+      method,
+      as_of: asOf,
+      totals: {
+        item_count: itemQuantities.size,
+        quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+        value: roundMoney(rows.reduce((sum, row) => sum + row.value, 0)),
+        unvalued_quantity: rows.reduce((sum, row) => sum + row.unvalued_quantity, 0),
+        price_value: roundMoney(rows.reduce((sum, row) => sum + (row.price_value || 0), 0))
+      },
+      by_warehouse: summarize(rows, row => row.warehouse_id, row => ({
+        warehouse_id: row.warehouse_id,
+        warehouse_name: row.warehouse_name
+      })),
+      by_category: summarize(rows, row => row.category_id, row => ({
+        category_id: row.category_id,
+        category_name: row.category_name || row.category_id || 'Uncategorized'
+      })),
+      rows: rows.map(row => ({ ...row, value: roundMoney(row.value) }))
+    };
+  } catch (err) {
+    console.error('Error valuing inventory:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  VALUATION_METHODS,
+  DEFAULT_VALUATION_METHOD,
+  initializeStandardCostsTable,
+  getStandardCosts,
+  setStandardCost,
+  getInventoryValuation
+};